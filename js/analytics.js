@@ -0,0 +1,317 @@
+// analytics.js - Analytics mode: centrality and community results as node size/color and a ranking in the info panel
+// The numbers come from graph-analytics.js in a worker and are kept until another file is loaded.
+
+const ANALYTICS_TOP_N = 25;
+const ANALYTICS_TOP_GROUPS = 8;
+const ANALYTICS_MAX_VAL = 40;
+const ANALYTICS_COLOR_STEPS = 12;
+const analyticsUngroupedColor = '#555566';
+
+const analyticsMetrics = {
+    degree: 'Degree',
+    betweenness: 'Betweenness',
+    pagerank: 'PageRank'
+};
+
+const analyticsGroupings = {
+    community: 'Community',
+    component: 'Component'
+};
+
+const analytics = {
+    active: false,
+    running: false,
+    stop: null,
+    result: null,           // computeGraphAnalytics output, indexed like nodes
+    nodes: [],
+    indexByNode: new Map(),
+    maxima: {},
+    groupSizes: {},         // grouping -> [size of group 0, ...]
+    sizeBy: 'pagerank',
+    colorBy: 'community',
+    rankBy: 'betweenness',
+    rankType: ''
+};
+
+function computeAnalytics() {
+    if (analytics.stop) analytics.stop();
+    const nodes = [...graphData.nodes];
+    const indexByNode = new Map(nodes.map((node, i) => [node, i]));
+    const edges = [];
+    graphData.links.forEach(link => {
+        const a = indexByNode.get(getLinkEndpoint(link, 'source'));
+        const b = indexByNode.get(getLinkEndpoint(link, 'target'));
+        if (a !== undefined && b !== undefined) edges.push(a, b);
+    });
+
+    analytics.running = true;
+    analytics.result = null;
+    renderAnalyticsRanking();
+    analytics.stop = runGraphAnalytics(nodes.length, Uint32Array.from(edges), result => {
+        analytics.stop = null;
+        analytics.running = false;
+        analytics.result = result;
+        analytics.nodes = nodes;
+        analytics.indexByNode = indexByNode;
+        Object.keys(analyticsMetrics).forEach(metric => {
+            analytics.maxima[metric] = result[metric].reduce((max, value) => Math.max(max, value), 0);
+        });
+        Object.keys(analyticsGroupings).forEach(grouping => {
+            const sizes = new Array(result[`${grouping}Count`]).fill(0);
+            result[grouping].forEach(group => sizes[group]++);
+            analytics.groupSizes[grouping] = sizes;
+        });
+        if (!analytics.active) return;
+        applyAnalyticsStyle();
+        if (selectedNode) {
+            renderNodeAnalytics(selectedNode);
+        } else {
+            renderAnalyticsRanking();
+        }
+    });
+}
+
+function toggleAnalyticsMode() {
+    if (analytics.active) {
+        exitAnalyticsMode();
+        return;
+    }
+
+    // Compliance and diff color the nodes too; document view replaces the graph
+    if (diffState.active) exitDiffMode();
+    if (docViewActive) exitDocumentView();
+    exitComplianceMode();
+
+    analytics.active = true;
+    document.getElementById('analytics-btn').classList.add('active');
+    if (analytics.result || analytics.running) {
+        applyAnalyticsStyle();
+        if (selectedNode) {
+            renderNodeAnalytics(selectedNode);
+        } else {
+            renderAnalyticsRanking();
+        }
+    } else {
+        computeAnalytics();
+    }
+}
+
+function exitAnalyticsMode() {
+    if (!analytics.active) return;
+    analytics.active = false;
+    document.getElementById('analytics-btn').classList.remove('active');
+    setNodeStyleOverride(null, null);
+    setHighlight(null);
+    if (selectedNode) {
+        displayNodeInfo(selectedNode);
+    } else {
+        document.getElementById('node-info').innerHTML = 'Click on a node to see details';
+    }
+}
+
+// ---- Size and color mappings ----
+
+function getAnalyticsValue(node, key) {
+    const index = analytics.indexByNode.get(node);
+    return index === undefined || !analytics.result ? undefined : analytics.result[key][index];
+}
+
+// 0..1 on a square-root scale, so a few hubs do not flatten everything else
+function getAnalyticsShare(node, metric) {
+    const value = getAnalyticsValue(node, metric);
+    const max = analytics.maxima[metric];
+    return value === undefined || !max ? undefined : Math.sqrt(value / max);
+}
+
+function getAnalyticsGroupColor(grouping, group) {
+    // Groups of one node carry no information, so they stay grey
+    if (analytics.groupSizes[grouping][group] < 2) return analyticsUngroupedColor;
+    return typePalette[group % typePalette.length];
+}
+
+// Blue (low) to red (high), in steps so nodes share materials
+function getAnalyticsScaleColor(share) {
+    const step = Math.round(share * ANALYTICS_COLOR_STEPS) / ANALYTICS_COLOR_STEPS;
+    return `hsl(${Math.round(240 - step * 240)}, 80%, 55%)`;
+}
+
+function analyticsNodeColor(node) {
+    if (analytics.colorBy === 'type') return undefined;
+    if (analyticsGroupings[analytics.colorBy]) {
+        const group = getAnalyticsValue(node, analytics.colorBy);
+        return group === undefined ? undefined : getAnalyticsGroupColor(analytics.colorBy, group);
+    }
+    const share = getAnalyticsShare(node, analytics.colorBy);
+    return share === undefined ? undefined : getAnalyticsScaleColor(share);
+}
+
+function analyticsNodeVal(node) {
+    if (analytics.sizeBy === 'type') return undefined;
+    const share = getAnalyticsShare(node, analytics.sizeBy);
+    return share === undefined ? undefined : 1 + share * ANALYTICS_MAX_VAL;
+}
+
+function applyAnalyticsStyle() {
+    setNodeStyleOverride(analyticsNodeColor, analyticsNodeVal);
+}
+
+function setAnalyticsOption(option, value) {
+    analytics[option] = value;
+    if (option === 'sizeBy' || option === 'colorBy') applyAnalyticsStyle();
+    renderAnalyticsRanking();
+}
+
+// ---- Info panel ----
+
+function formatAnalyticsValue(metric, value) {
+    if (metric === 'degree') return String(value);
+    if (value === 0) return '0';
+    return value < 0.001 ? value.toExponential(1) : value.toFixed(3);
+}
+
+function renderAnalyticsSelect(option, choices) {
+    const options = Object.entries(choices)
+        .map(([value, label]) => `<option value="${value}" ${analytics[option] === value ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+    return `<select onchange="setAnalyticsOption('${option}', this.value)">${options}</select>`;
+}
+
+// Largest communities with the node types they are made of
+function renderAnalyticsGroups(grouping) {
+    const sizes = analytics.groupSizes[grouping];
+    const types = sizes.map(() => ({}));
+    analytics.result[grouping].forEach((group, i) => {
+        const type = analytics.nodes[i].type;
+        types[group][type] = (types[group][type] || 0) + 1;
+    });
+
+    let html = `<div class="neighbor-group"><div class="neighbor-relation">${analyticsGroupings[grouping]} (${sizes.length})</div>`;
+    sizes.slice(0, ANALYTICS_TOP_GROUPS).forEach((size, group) => {
+        if (size < 2) return;
+        const makeup = Object.entries(types[group])
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([type, n]) => `${n} ${type}`)
+            .join(', ');
+        html += `
+            <div class="neighbor-item" title="Highlight this ${grouping}" onclick="highlightAnalyticsGroup('${grouping}', ${group})">
+                <span class="status-dot" style="background: ${getAnalyticsGroupColor(grouping, group)};"></span>#${group + 1} · ${size} nodes
+                <div class="panel-note">${escapeHtml(makeup)}</div>
+            </div>
+        `;
+    });
+    return html + '</div>';
+}
+
+function renderAnalyticsRanking() {
+    if (!analytics.active) return;
+    const info = document.getElementById('node-info');
+    if (analytics.running || !analytics.result) {
+        info.innerHTML = '<div class="panel-note">Computing centrality and communities…</div>';
+        return;
+    }
+
+    const { result, nodes, rankBy, rankType } = analytics;
+    const ranked = nodes
+        .map((node, i) => ({ node, value: result[rankBy][i] }))
+        .filter(entry => !rankType || entry.node.type === rankType)
+        .sort((a, b) => b.value - a.value || a.node.label.localeCompare(b.node.label))
+        .slice(0, ANALYTICS_TOP_N);
+    analytics.ranked = ranked.map(entry => entry.node);
+
+    const typeChoices = { '': 'All types' };
+    Object.keys(typeCounts).filter(type => typeCounts[type] > 0).sort().forEach(type => {
+        typeChoices[type] = type;
+    });
+    const scaleChoices = { type: 'Type default', ...analyticsMetrics };
+
+    let html = `
+        <div class="analytics-summary">
+            ${result.communityCount} communities (modularity ${result.modularity.toFixed(2)}) ·
+            ${result.componentCount} connected component${result.componentCount === 1 ? '' : 's'}
+            ${result.betweennessSampled ? '<br>Betweenness estimated from a sample of nodes' : ''}
+        </div>
+        <div class="analytics-options">
+            <label>Size ${renderAnalyticsSelect('sizeBy', scaleChoices)}</label>
+            <label>Color ${renderAnalyticsSelect('colorBy', { type: 'Type default', ...analyticsGroupings, ...analyticsMetrics })}</label>
+            <label>Rank ${renderAnalyticsSelect('rankBy', analyticsMetrics)}</label>
+            <label>Of ${renderAnalyticsSelect('rankType', typeChoices)}</label>
+        </div>
+        <table class="data-table analytics-table">
+            <thead><tr><th>#</th><th>Node</th><th>${analyticsMetrics[rankBy]}</th></tr></thead>
+            <tbody>
+    `;
+    ranked.forEach((entry, i) => {
+        html += `
+            <tr onclick="selectAnalyticsRow(${i})" title="${escapeHtml(entry.node.type)}">
+                <td>${i + 1}</td>
+                <td><span class="status-dot" style="background: ${entry.node.color};"></span>${escapeHtml(entry.node.label)}</td>
+                <td>${formatAnalyticsValue(rankBy, entry.value)}</td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table>';
+    html += renderAnalyticsGroups('community');
+    info.innerHTML = html;
+}
+
+function selectAnalyticsRow(index) {
+    const node = analytics.ranked && analytics.ranked[index];
+    if (node) handleNodeClick(node);
+}
+
+function highlightAnalyticsGroup(grouping, group) {
+    const nodes = new Set(analytics.nodes.filter((node, i) => analytics.result[grouping][i] === group));
+    setHighlight(nodes);
+}
+
+function showAnalyticsRanking() {
+    clearSelection();
+    setHighlight(null);
+    renderAnalyticsRanking();
+}
+
+// Appended to the node details while analytics mode is on
+function renderNodeAnalytics(node) {
+    const index = analytics.indexByNode.get(node);
+    if (!analytics.result || index === undefined) return;
+
+    const { result } = analytics;
+    let html = '<div class="neighbor-list"><strong>Analytics:</strong>';
+    Object.keys(analyticsMetrics).forEach(metric => {
+        const rank = result[metric].reduce((count, value) => count + (value > result[metric][index] ? 1 : 0), 1);
+        html += `<div class="property"><strong>${analyticsMetrics[metric]}:</strong> ${formatAnalyticsValue(metric, result[metric][index])}
+            <span class="panel-note">#${rank} of ${analytics.nodes.length}</span></div>`;
+    });
+    Object.keys(analyticsGroupings).forEach(grouping => {
+        const group = result[grouping][index];
+        html += `
+            <div class="neighbor-item" onclick="highlightAnalyticsGroup('${grouping}', ${group})">
+                <span class="status-dot" style="background: ${getAnalyticsGroupColor(grouping, group)};"></span>
+                ${analyticsGroupings[grouping]} #${group + 1} · ${analytics.groupSizes[grouping][group]} nodes
+            </div>
+        `;
+    });
+    html += '<button class="info-btn" onclick="showAnalyticsRanking()">◀ Back to ranking</button></div>';
+    document.getElementById('node-info').insertAdjacentHTML('beforeend', html);
+}
+
+window.addEventListener('node-selected', (event) => {
+    if (analytics.active) renderNodeAnalytics(event.detail);
+});
+
+window.addEventListener('view-reset', () => {
+    if (analytics.active) renderAnalyticsRanking();
+});
+
+// New data: the old numbers no longer apply
+window.addEventListener('graph-loaded', () => {
+    if (analytics.stop) analytics.stop();
+    analytics.stop = null;
+    analytics.running = false;
+    analytics.result = null;
+    analytics.nodes = [];
+    analytics.indexByNode = new Map();
+    analytics.rankType = '';
+    if (analytics.active) computeAnalytics();
+});
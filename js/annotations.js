@@ -0,0 +1,257 @@
+// annotations.js - Named saved views and free-text notes on nodes, kept in IndexedDB
+// A view is a deep link hash (deep-link.js) under a name. Notes are keyed by node id, so they carry over
+// between versions of a file; both travel between people as a JSON sidecar file.
+
+const ANNOTATIONS_FORMAT = 'knowledge-graph-annotations';
+const ANNOTATIONS_VERSION = 1;
+const MAX_NOTE_PREVIEW = 80;
+
+let savedViews = [];            // { key, name, source, hash, savedAt }
+let nodeNotes = new Map();      // node id -> { key, text, updatedAt }
+let noteNode = null;            // node whose note section is in the info panel
+let noteListNodes = [];         // nodes in the panel's note list, in order
+
+const noteMarkerGeometry = new THREE.OctahedronGeometry(1);
+const noteMarkerMaterial = new THREE.MeshBasicMaterial({ color: '#ffd32a' });
+
+// Called from createNodeObject for nodes with a note: a small diamond floating above the node
+function createNoteMarker(radius) {
+    const marker = new THREE.Mesh(noteMarkerGeometry, noteMarkerMaterial);
+    const size = Math.max(1.5, radius * 0.35);
+    marker.scale.set(size, size, size);
+    marker.position.y = radius + size * 2;
+    return marker;
+}
+
+async function loadAnnotations() {
+    try {
+        const views = await withViewerStore('savedViews', 'readonly', store => store.getAll());
+        const notes = await withViewerStore('nodeNotes', 'readonly', store => store.getAll());
+        savedViews = views.sort((a, b) => b.savedAt - a.savedAt);
+        nodeNotes = new Map(notes.map(note => [note.key, note]));
+    } catch (error) {
+        console.warn('Annotations unavailable:', error.message);
+    }
+    refreshNodeStyles();
+    renderAnnotationsPanel();
+}
+
+// ---- Saved views ----
+
+async function saveCurrentView() {
+    if (!Graph) return;
+    const input = document.getElementById('view-name-input');
+    const name = input.value.trim();
+    if (!name) {
+        input.focus();
+        return;
+    }
+
+    const view = {
+        key: `view:${Date.now()}`,
+        name: name,
+        source: getCurrentDataSource().name,
+        hash: getViewHash(),
+        savedAt: Date.now()
+    };
+    try {
+        await withViewerStore('savedViews', 'readwrite', store => store.put(view));
+        input.value = '';
+    } catch (error) {
+        alert(`Could not save the view: ${error.message}`);
+    }
+    await loadAnnotations();
+}
+
+function openSavedView(key) {
+    const view = savedViews.find(v => v.key === key);
+    if (!view || !Graph) return;
+    history.pushState(history.state, '', view.hash);
+    restoreView(location.hash, VIEW_RESTORE_MS);
+}
+
+async function deleteSavedView(key) {
+    try {
+        await withViewerStore('savedViews', 'readwrite', store => store.delete(key));
+    } catch (error) {
+        console.warn('Could not delete view:', error.message);
+    }
+    await loadAnnotations();
+}
+
+// ---- Notes ----
+
+function renderNoteSection(node) {
+    const note = nodeNotes.get(node.id);
+    noteNode = node;
+    return `
+        <div id="node-note" class="node-note">
+            <strong>📝 Note</strong>
+            ${note ? `<div class="node-note-text">${escapeHtml(note.text)}</div>
+                <div class="panel-note">Edited ${new Date(note.updatedAt).toLocaleString()}</div>` : ''}
+            <button class="info-btn" onclick="editNodeNote()">${note ? '✏️ Edit note' : '➕ Add note'}</button>
+        </div>
+    `;
+}
+
+function editNodeNote() {
+    const section = document.getElementById('node-note');
+    const note = nodeNotes.get(noteNode.id);
+    section.innerHTML = `
+        <strong>📝 Note</strong>
+        <textarea id="node-note-input" class="node-note-input" rows="4" placeholder="Write a note about this node..."></textarea>
+        <div class="source-actions">
+            <button class="info-btn" onclick="saveNodeNote()">Save</button>
+            <button class="info-btn" onclick="cancelNodeNote()">Cancel</button>
+        </div>
+    `;
+    const input = document.getElementById('node-note-input');
+    input.value = note ? note.text : '';
+    input.focus();
+}
+
+function cancelNodeNote() {
+    document.getElementById('node-note').outerHTML = renderNoteSection(noteNode);
+}
+
+// An empty note deletes it
+async function saveNodeNote() {
+    const id = noteNode.id;
+    const text = document.getElementById('node-note-input').value.trim();
+    try {
+        await withViewerStore('nodeNotes', 'readwrite', store => {
+            if (text) {
+                store.put({ key: id, text: text, updatedAt: Date.now() });
+            } else {
+                store.delete(id);
+            }
+        });
+    } catch (error) {
+        alert(`Could not save the note: ${error.message}`);
+        return;
+    }
+    await loadAnnotations();
+    cancelNodeNote();
+}
+
+function truncateNote(text) {
+    return text.length > MAX_NOTE_PREVIEW ? text.substring(0, MAX_NOTE_PREVIEW - 1) + '…' : text;
+}
+
+function selectAnnotatedNode(index) {
+    const node = noteListNodes[index];
+    if (!node) return;
+    togglePanel('annotations-panel', false);
+    handleNodeClick(node);
+}
+
+// ---- Panel ----
+
+function toggleAnnotationsPanel() {
+    if (togglePanel('annotations-panel')) {
+        renderAnnotationsPanel();
+    }
+}
+
+function renderAnnotationsPanel() {
+    const source = getCurrentDataSource().name;
+    const views = savedViews.filter(view => view.source === source);
+    const viewList = document.getElementById('saved-views');
+    viewList.innerHTML = views.length === 0 ? '<div class="recent-empty">No saved views for this file</div>' :
+        views.map(view => `
+            <div class="recent-source" onclick="openSavedView('${view.key}')">
+                <span class="recent-icon">📌</span>
+                <span class="recent-name">${escapeHtml(view.name)}</span>
+                <span class="recent-meta">${new Date(view.savedAt).toLocaleString()}</span>
+                <button class="recent-remove" title="Delete view" onclick="event.stopPropagation(); deleteSavedView('${view.key}')">✕</button>
+            </div>
+        `).join('');
+
+    // Notes on ids that are not in this file stay stored, but are only counted
+    const notes = [...nodeNotes.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+    const present = notes.filter(note => nodeById.has(note.key));
+    noteListNodes = present.map(note => nodeById.get(note.key));
+    let html = present.length === 0 ? '<div class="recent-empty">No notes on this file\'s nodes</div>' :
+        present.map((note, index) => {
+            const node = noteListNodes[index];
+            return `
+                <div class="recent-source" onclick="selectAnnotatedNode(${index})">
+                    <span class="recent-icon" style="color: ${node.color};">●</span>
+                    <span class="recent-name">${escapeHtml(node.label)}</span>
+                    <span class="recent-meta">${escapeHtml(truncateNote(note.text))}</span>
+                </div>
+            `;
+        }).join('');
+    if (notes.length > present.length) {
+        html += `<div class="panel-note">${notes.length - present.length} more note(s) on nodes not in this file</div>`;
+    }
+    document.getElementById('node-notes').innerHTML = html;
+}
+
+// ---- Sidecar file ----
+
+function exportAnnotations() {
+    const sidecar = {
+        format: ANNOTATIONS_FORMAT,
+        version: ANNOTATIONS_VERSION,
+        exported_at: new Date().toISOString(),
+        views: savedViews.map(({ name, source, hash, savedAt }) => ({ name, source, hash, saved_at: savedAt })),
+        notes: [...nodeNotes.values()].map(note => ({ node_id: note.key, text: note.text, updated_at: note.updatedAt }))
+    };
+    downloadFile('knowledge-graph-annotations.json', JSON.stringify(sidecar, null, 2), 'application/json');
+}
+
+// Imported notes replace local ones on the same node; views are added alongside the local ones
+async function importAnnotations(file) {
+    let sidecar;
+    try {
+        sidecar = JSON.parse(await file.text());
+    } catch (error) {
+        alert(`${file.name} is not valid JSON (${error.message})`);
+        return;
+    }
+    if (!sidecar || sidecar.format !== ANNOTATIONS_FORMAT) {
+        alert(`${file.name} is not an annotations file`);
+        return;
+    }
+
+    const now = Date.now();
+    const views = (sidecar.views || []).filter(view => view && view.name && /^#/.test(view.hash));
+    const notes = (sidecar.notes || []).filter(note => note && note.node_id && note.text);
+    try {
+        await withViewerStore('savedViews', 'readwrite', store => {
+            views.forEach((view, i) => store.put({
+                key: `view:${now}:${i}`,
+                name: String(view.name),
+                source: String(view.source || getCurrentDataSource().name),
+                hash: view.hash,
+                savedAt: view.saved_at || now
+            }));
+        });
+        await withViewerStore('nodeNotes', 'readwrite', store => {
+            notes.forEach(note => store.put({ key: String(note.node_id), text: String(note.text), updatedAt: note.updated_at || now }));
+        });
+    } catch (error) {
+        alert(`Could not import annotations: ${error.message}`);
+        return;
+    }
+
+    await loadAnnotations();
+    document.getElementById('annotations-summary').textContent =
+        `Imported ${views.length} view(s) and ${notes.length} note(s) from ${file.name}`;
+}
+
+window.addEventListener('load', () => {
+    const input = document.getElementById('annotations-file-input');
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (file) importAnnotations(file);
+    });
+    loadAnnotations();
+});
+
+window.addEventListener('graph-loaded', () => {
+    document.getElementById('annotations-summary').textContent = '';
+    renderAnnotationsPanel();
+});
@@ -2,8 +2,17 @@
 import { ARButton } from 'https://unpkg.com/three@0.160.0/examples/jsm/webxr/ARButton.js';
 
 let scene, camera, renderer, raycaster, mouse;
-let nodes = [];
-let edges = [];
+let nodes = [];          // { userData: entity, position, visible, size } per entity
+let edges = [];          // { source, target, relation } between node records
+let nodeBatches = [];    // per type: one InstancedMesh per level of detail
+let edgeLines = null;    // every edge in one LineSegments buffer
+let selectionMarker = null;
+let labelLayer = null;     // text sprites for pinned types and nearby nodes (label-layer.js)
+let labelCandidates = null; // rebuilt when visibility or the selection changes; positions are live
+let nodesDirty = true;   // instance matrices need rewriting
+let lastLodUpdate = 0;
+let nodeBvh = null;      // picking BVH, rebuilt on the next pick after nodes move
+let renderedFrames = 0;
 let graphGroup;
 let graphData = null;
 let selectedNode = null;
@@ -12,16 +21,44 @@ let reticle;
 let hitTestSource = null;
 let hitTestSourceRequested = false;
 let touchStartDistance = 0;
-
-const nodeColors = {
-    'Document': 0xff6b6b,
-    'Chunk': 0x4ecdc4,
-    'default': 0x45b7d1
-};
+let currentLayout = 'force';
+let cancelLayoutAnimation = null;
+let layoutKey = null;           // cache key of the loaded file's force layout (force-layout.js)
+let cachedLayout = null;
+let stopForceLayout = null;
+let streamedPositions = null;   // latest frame from the force layout worker, applied by the render loop
+
+const LAYOUT_TRANSITION_MS = 1200;
+
+// Sphere detail by camera distance; distances are in layout units, like the layouts themselves
+const NODE_LODS = [
+    { detail: 16, distance: 0 },
+    { detail: 8, distance: 400 },
+    { detail: 4, distance: 1000 }
+];
+const LOD_UPDATE_MS = 200;
+const PICK_RADIUS_FACTOR = 1.3;   // shapes stick out of their nominal radius
+const BENCHMARK_SECONDS = 5;
+const BENCHMARK_PICKS = 200;
+
+const instanceMatrix = new THREE.Matrix4();
+const worldPosition = new THREE.Vector3();
+const cameraPosition = new THREE.Vector3();
+const inverseGroupMatrix = new THREE.Matrix4();
+const localRay = new THREE.Ray();
 
 // Initialize on page load
 window.addEventListener('load', () => {
     checkARSupport();
+    // The benchmark measures rendering, so it skips the force simulation
+    if (getCurrentDataSource().kind === 'synthetic') {
+        currentLayout = 'radial';
+    }
+    document.getElementById('layout-select').innerHTML = Object.entries(layoutDefinitions).map(([name, layout]) => `
+        <option value="${name}" ${name === currentLayout ? 'selected' : ''}>${layout.title}</option>
+    `).join('');
+    setupDataFilePicker(document.getElementById('data-file-input'), openDataSource);
+    setupDataDrop(openDataSource);
     loadGraphData();
 });
 
@@ -42,19 +79,30 @@ async function checkARSupport() {
 }
 
 async function loadGraphData() {
+    const source = getCurrentDataSource();
     try {
-        const response = await fetch('./Data/knowledge-graph.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        graphData = await response.json();
+        const data = await readDataSource(source);
+        assertGraphShape(data);
+        layoutKey = getForceLayoutKey(source, data, 'ar', FORCE_PHYSICS_KEY);
+        cachedLayout = await loadCachedForceLayout(layoutKey);
+        graphData = data;
         document.getElementById('loading-screen').style.display = 'none';
+        document.getElementById('source-name').textContent = source.name;
+        showQualitySummary(validateGraphData(data));
+        renderRecentSources(document.getElementById('recent-sources'), openDataSource);
+
+        // A scene is already running: rebuild it from the new data
+        if (graphGroup) {
+            createGraph();
+        }
     } catch (error) {
         console.error('Error loading graph data:', error);
+        document.getElementById('loading-screen').style.display = 'flex';
         document.getElementById('loading-screen').innerHTML = `
             <div style="color: white; text-align: center;">
                 <h2>❌ Error Loading Data</h2>
-                <p>${error.message}</p>
+                <p id="load-error-message"></p>
+                <p id="load-error-source" style="margin-top: 20px;"></p>
                 <button onclick="location.reload()" style="
                     margin-top: 20px;
                     padding: 10px 20px;
@@ -67,9 +115,34 @@ async function loadGraphData() {
                 ">Retry</button>
             </div>
         `;
+        // The source name comes from the URL, so it is set as text rather than markup
+        document.getElementById('load-error-message').textContent = error.message;
+        document.getElementById('load-error-source').textContent =
+            `Could not load ${source.name}. Drop a JSON file here to open it.`;
     }
 }
 
+// The mode selector only shows the counts; the desktop Data Quality panel lists the problems
+function showQualitySummary(report) {
+    const summary = summarizeQualityReport(report);
+    const element = document.getElementById('quality-summary');
+    if (summary.length === 0) {
+        element.textContent = '';
+        return;
+    }
+    element.textContent = `⚠️ ${summary.join(' · ')}`;
+    console.warn(`Data quality: ${summary.join(', ')}`);
+}
+
+function openDataSource(source) {
+    setDataSource(source);
+    loadGraphData();
+}
+
+window.openDataFile = function() {
+    document.getElementById('data-file-input').click();
+};
+
 window.startARMode = async function() {
     if (!graphData) {
         alert('Data not loaded yet. Please wait...');
@@ -95,8 +168,46 @@ window.start3DMode = function() {
     
     init3DScene();
     showUI();
+
+    if (getCurrentDataSource().kind === 'synthetic') {
+        runRenderBenchmark();
+    }
 };
 
+// ?benchmark=N: time the steps that scale with the graph, then the frame rate with the scene in place
+async function runRenderBenchmark() {
+    const results = [];
+    const time = (measure, fn) => {
+        const start = performance.now();
+        fn();
+        results.push({ measure: measure, value: `${(performance.now() - start).toFixed(1)} ms` });
+    };
+
+    time('Build scene', createGraph);
+    time('Instances + LOD', updateNodeInstances);
+    time('Edge buffer', updateEdgePositions);
+    time('Picking BVH', () => {
+        nodeBvh = buildPickingBvh();
+    });
+    time(`${BENCHMARK_PICKS} picks`, () => {
+        for (let i = 0; i < BENCHMARK_PICKS; i++) {
+            pickNode(Math.random() * window.innerWidth, Math.random() * window.innerHeight);
+        }
+    });
+
+    const startFrames = renderedFrames;
+    await new Promise(resolve => setTimeout(resolve, BENCHMARK_SECONDS * 1000));
+    results.push({ measure: 'Frame rate', value: `${((renderedFrames - startFrames) / BENCHMARK_SECONDS).toFixed(1)} fps` });
+    results.push({ measure: 'Draw calls', value: renderer.info.render.calls });
+    results.push({ measure: 'Triangles', value: renderer.info.render.triangles });
+
+    document.getElementById('benchmark-results').innerHTML = `
+        <div>Benchmark: <strong>${nodes.length} nodes, ${edges.length} edges</strong></div>
+    ` + results.map(row => `
+        <div>${row.measure}: <strong>${row.value}</strong></div>
+    `).join('');
+}
+
 function initARScene() {
     // Create scene
     scene = new THREE.Scene();
@@ -208,44 +319,28 @@ function createGraph() {
     const relationships = graphData.relationships || [];
 
     // Clear existing
-    nodes = [];
-    edges = [];
+    deselectNode();
+    stopLayout();
+    if (labelLayer) clearLabelLayer(labelLayer);
+    labelCandidates = null;
     while (graphGroup.children.length > 0) {
-        graphGroup.remove(graphGroup.children[0]);
+        const child = graphGroup.children[0];
+        graphGroup.remove(child);
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
     }
 
+    // Nodes start at the origin; the current layout places them once the edges exist
     const nodeMap = new Map();
-    const radius = currentMode === 'ar' ? 0.15 : 15;
-
-    // Create nodes with physics-like distribution
-    entities.forEach((entity, index) => {
-        const angle = (index / entities.length) * Math.PI * 2;
-        const tier = Math.floor(index / 6);
-        const r = radius * (1 + tier * 0.3);
-        
-        const x = Math.cos(angle) * r;
-        const y = (Math.random() - 0.5) * radius * 0.5;
-        const z = Math.sin(angle) * r;
-
-        const color = nodeColors[entity.type] || nodeColors.default;
-        const size = entity.type === 'Document' ? 
-            (currentMode === 'ar' ? 0.03 : 1.5) : 
-            (currentMode === 'ar' ? 0.015 : 0.8);
-        
-        const geometry = new THREE.SphereGeometry(size, 16, 16);
-        const material = new THREE.MeshPhongMaterial({ 
-            color: color,
-            emissive: color,
-            emissiveIntensity: 0.3,
-            shininess: 100
-        });
-        const sphere = new THREE.Mesh(geometry, material);
-        
-        sphere.position.set(x, y, z);
-        sphere.userData = entity;
-        graphGroup.add(sphere);
-        nodes.push(sphere);
-        nodeMap.set(entity.id, sphere);
+    nodes = entities.map(entity => {
+        const node = {
+            userData: entity,
+            position: new THREE.Vector3(),
+            visible: isTypeVisible(entity.type),
+            size: getNodeSize(entity.type)
+        };
+        nodeMap.set(entity.id, node);
+        return node;
     });
 
     // Create links
@@ -264,27 +359,40 @@ function createGraph() {
         });
     }
 
+    // Finding record ids resolve to their entity; anything else unknown is in the quality report
+    const resolveId = createIdResolver(graphData);
+    edges = [];
     links.forEach(rel => {
-        const sourceNode = nodeMap.get(rel.source);
-        const targetNode = nodeMap.get(rel.target);
-        
+        const sourceNode = nodeMap.get(resolveId(rel.source));
+        const targetNode = nodeMap.get(resolveId(rel.target));
         if (sourceNode && targetNode) {
-            const points = [sourceNode.position, targetNode.position];
-            const geometry = new THREE.BufferGeometry().setFromPoints(points);
-            const material = new THREE.LineBasicMaterial({ 
-                color: 0x888888,
-                transparent: true,
-                opacity: 0.3
-            });
-            const line = new THREE.Line(geometry, material);
-            graphGroup.add(line);
-            edges.push(line);
+            edges.push({ source: sourceNode, target: targetNode, relation: rel.relation });
         }
     });
 
+    buildNodeBatches();
+    buildEdgeLines();
+    labelLayer = createLabelLayer(graphGroup, { scale: getLayoutScale() });
+
+    if (currentLayout === 'force') {
+        // Start from the cached layout; anything not in it settles in the worker and is cached for next time
+        const { positions, missing } = getCachedPositions(entities, cachedLayout);
+        applyLayoutPositions(positions);
+        if (missing > 0) {
+            const key = layoutKey;
+            startForceLayout(positions, settled => saveCachedForceLayout(key, entities, settled));
+        }
+    } else {
+        computeNodePositions(currentLayout).forEach((position, node) => node.position.copy(position));
+        markNodesMoved();
+    }
+
+    discoverTypes(entities);
+    renderTypeLegend(document.getElementById('node-legend-items'), applyTypeVisibility);
+
     // Update stats
     document.getElementById('node-count').textContent = entities.length;
-    document.getElementById('link-count').textContent = links.length;
+    document.getElementById('link-count').textContent = edges.length;
 
     // Scale graph for AR
     if (currentMode === 'ar') {
@@ -292,6 +400,285 @@ function createGraph() {
     }
 }
 
+// Layouts work in desktop units; scale them down to this scene
+function getLayoutScale() {
+    return currentMode === 'ar' ? 0.0005 : 0.05;
+}
+
+function getLayoutEdges() {
+    return edges.map(edge => ({
+        source: edge.source.userData,
+        target: edge.target.userData,
+        relation: edge.relation
+    }));
+}
+
+function computeNodePositions(name) {
+    const scale = getLayoutScale();
+    const meshByEntity = new Map(nodes.map(node => [node.userData, node]));
+
+    const positions = new Map();
+    computeLayout(name, [...meshByEntity.keys()], getLayoutEdges()).forEach((position, entity) => {
+        positions.set(meshByEntity.get(entity), new THREE.Vector3(position.x, position.y, position.z).multiplyScalar(scale));
+    });
+    return positions;
+}
+
+// positions is a flat [x0, y0, z0, ...] array in desktop units, in the order of nodes
+function applyLayoutPositions(positions) {
+    const scale = getLayoutScale();
+    nodes.forEach((node, i) => {
+        node.position.set(positions[i * 3] * scale, positions[i * 3 + 1] * scale, positions[i * 3 + 2] * scale);
+    });
+    markNodesMoved();
+}
+
+function startForceLayout(initial, onDone) {
+    const springs = getForceSprings(nodes.map(node => node.userData), getLayoutEdges());
+    stopForceLayout = runForceLayout(nodes.length, springs, initial, (positions) => {
+        streamedPositions = positions;
+    }, (positions) => {
+        stopForceLayout = null;
+        if (onDone) onDone(positions);
+    });
+}
+
+function stopLayout() {
+    if (cancelLayoutAnimation) cancelLayoutAnimation();
+    cancelLayoutAnimation = null;
+    if (stopForceLayout) stopForceLayout();
+    stopForceLayout = null;
+    streamedPositions = null;
+}
+
+// Called from the render loops so worker frames land once per rendered frame
+function applyStreamedPositions() {
+    if (!streamedPositions) return;
+    applyLayoutPositions(streamedPositions);
+    streamedPositions = null;
+}
+
+function getNodeSize(type) {
+    return (currentMode === 'ar' ? 0.015 : 0.8) * Math.cbrt(getTypeStyle(type).size / 4);
+}
+
+// One material per type, shared by its levels of detail. Polyhedra have no detail setting,
+// so only spheres and cylinders get more than one level.
+function buildNodeBatches() {
+    const indicesByType = new Map();
+    nodes.forEach((node, i) => {
+        const type = node.userData.type;
+        if (!indicesByType.has(type)) indicesByType.set(type, []);
+        indicesByType.get(type).push(i);
+    });
+
+    nodeBatches = [...indicesByType].map(([type, indices]) => {
+        const style = getTypeStyle(type);
+        const color = getTypeColorHex(type);
+        const material = new THREE.MeshPhongMaterial({
+            color: color,
+            emissive: color,
+            emissiveIntensity: 0.3,
+            shininess: 100
+        });
+        const levels = ['sphere', 'cylinder'].includes(style.shape) ? NODE_LODS : NODE_LODS.slice(0, 1);
+        const meshes = levels.map(lod => {
+            const mesh = new THREE.InstancedMesh(createTypeGeometry(style.shape, getNodeSize(type), lod.detail), material, indices.length);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.frustumCulled = false;   // the geometry's bounds say nothing about where the instances are
+            mesh.count = 0;
+            graphGroup.add(mesh);
+            return mesh;
+        });
+        return { type: type, indices: indices, meshes: meshes };
+    });
+    nodesDirty = true;
+}
+
+function buildEdgeLines() {
+    const geometry = new THREE.BufferGeometry();
+    const attribute = new THREE.BufferAttribute(new Float32Array(edges.length * 6), 3);
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', attribute);
+    edgeLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color: 0x888888,
+        transparent: true,
+        opacity: 0.3
+    }));
+    edgeLines.frustumCulled = false;
+    graphGroup.add(edgeLines);
+}
+
+// Visible edges are packed at the front of the buffer; the draw range skips the rest
+function updateEdgePositions() {
+    if (!edgeLines) return;
+    const attribute = edgeLines.geometry.attributes.position;
+    const array = attribute.array;
+    let offset = 0;
+    edges.forEach(edge => {
+        if (!edge.source.visible || !edge.target.visible) return;
+        const { source, target } = edge;
+        array[offset++] = source.position.x;
+        array[offset++] = source.position.y;
+        array[offset++] = source.position.z;
+        array[offset++] = target.position.x;
+        array[offset++] = target.position.y;
+        array[offset++] = target.position.z;
+    });
+    edgeLines.geometry.setDrawRange(0, offset / 3);
+    attribute.needsUpdate = true;
+}
+
+// After node positions or visibility change: lines now, instances and picking on their next use
+function markNodesMoved() {
+    updateEdgePositions();
+    nodesDirty = true;
+    nodeBvh = null;
+}
+
+// Writes every visible node into the instanced mesh for its distance from the camera
+function updateNodeInstances() {
+    graphGroup.updateMatrixWorld();
+    camera.getWorldPosition(cameraPosition);
+    const scale = getLayoutScale() * graphGroup.scale.x;
+
+    nodeBatches.forEach(batch => {
+        batch.meshes.forEach(mesh => {
+            mesh.count = 0;
+        });
+        batch.indices.forEach(i => {
+            const node = nodes[i];
+            if (!node.visible) return;
+            let level = 0;
+            if (batch.meshes.length > 1) {
+                const distance = worldPosition.copy(node.position).applyMatrix4(graphGroup.matrixWorld).distanceTo(cameraPosition);
+                while (level + 1 < batch.meshes.length && distance >= NODE_LODS[level + 1].distance * scale) level++;
+            }
+            const mesh = batch.meshes[level];
+            instanceMatrix.makeTranslation(node.position.x, node.position.y, node.position.z);
+            mesh.setMatrixAt(mesh.count++, instanceMatrix);
+        });
+        batch.meshes.forEach(mesh => {
+            mesh.instanceMatrix.needsUpdate = true;
+        });
+    });
+
+    nodesDirty = false;
+    lastLodUpdate = performance.now();
+}
+
+function updateNodeLabels() {
+    if (!labelLayer) return;
+    if (!labelCandidates) labelCandidates = getLabelCandidates();
+    updateLabelLayer(labelLayer, labelCandidates, camera, window.innerWidth, window.innerHeight);
+}
+
+function getLabelCandidates() {
+    const candidates = [];
+    nodes.forEach(node => {
+        if (!node.visible) return;
+        const type = node.userData.type;
+        candidates.push({
+            key: node,
+            text: node.userData.label || node.userData.id,
+            color: getTypeStyle(type).color,
+            position: node.position,
+            size: node.size,
+            rank: node === selectedNode ? 0 : pinnedLabelTypes.has(type) ? 1 : 2
+        });
+    });
+    return candidates;
+}
+
+// Called from the render loops; levels of detail and labels follow the camera a few times a second
+function refreshNodes() {
+    if (nodesDirty || performance.now() - lastLodUpdate > LOD_UPDATE_MS) {
+        updateNodeInstances();
+        updateNodeLabels();
+    }
+    if (selectionMarker) {
+        selectionMarker.position.copy(selectedNode.position);
+    }
+    renderedFrames++;
+}
+
+function buildPickingBvh() {
+    const positions = new Float32Array(nodes.length * 3);
+    const radii = new Float32Array(nodes.length);
+    const visible = [];
+    nodes.forEach((node, i) => {
+        positions[i * 3] = node.position.x;
+        positions[i * 3 + 1] = node.position.y;
+        positions[i * 3 + 2] = node.position.z;
+        radii[i] = node.size * PICK_RADIUS_FACTOR;
+        if (node.visible) visible.push(i);
+    });
+    return buildNodeBvh(positions, radii, visible);
+}
+
+// Nearest visible node under a screen point, via the BVH in graph-local space
+function pickNode(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+
+    if (!nodeBvh) nodeBvh = buildPickingBvh();
+    graphGroup.updateMatrixWorld();
+    inverseGroupMatrix.copy(graphGroup.matrixWorld).invert();
+    localRay.copy(raycaster.ray).applyMatrix4(inverseGroupMatrix);
+
+    const hit = raycastNodeBvh(nodeBvh, localRay.origin.toArray(), localRay.direction.toArray());
+    return hit ? nodes[hit.index] : null;
+}
+
+window.setARLayout = function(name) {
+    currentLayout = name;
+    if (!graphGroup || nodes.length === 0) return;
+    stopLayout();
+
+    // The force layout carries on from where the nodes are now and streams in from the worker
+    if (name === 'force') {
+        const scale = getLayoutScale();
+        const initial = new Float32Array(nodes.length * 3);
+        nodes.forEach((node, i) => {
+            initial[i * 3] = node.position.x / scale;
+            initial[i * 3 + 1] = node.position.y / scale;
+            initial[i * 3 + 2] = node.position.z / scale;
+        });
+        startForceLayout(initial);
+        return;
+    }
+
+    const targets = computeNodePositions(name);
+
+    // window.requestAnimationFrame is paused during an immersive session, so AR jumps straight there
+    if (renderer.xr.isPresenting) {
+        targets.forEach((position, node) => node.position.copy(position));
+        markNodesMoved();
+        return;
+    }
+
+    const from = new Map(nodes.map(node => [node, node.position.clone()]));
+    cancelLayoutAnimation = animateLayout(nodes, from, targets, LAYOUT_TRANSITION_MS, (node, position) => {
+        node.position.set(position.x, position.y, position.z);
+    }, () => {
+        cancelLayoutAnimation = null;
+        markNodesMoved();
+    });
+};
+
+function applyTypeVisibility() {
+    nodes.forEach(node => {
+        node.visible = isTypeVisible(node.userData.type);
+    });
+    labelCandidates = null;
+    markNodesMoved();
+
+    if (selectedNode && !selectedNode.visible) {
+        deselectNode();
+    }
+}
+
 function setupARControls() {
     const controller = renderer.xr.getController(0);
     controller.addEventListener('select', onARSelect);
@@ -424,18 +811,11 @@ function setup3DControls() {
             // Only trigger node selection if it was a short tap (< 300ms)
             if (touchDuration < 300) {
                 const touch = e.changedTouches[0];
+                const node = pickNode(touch.clientX, touch.clientY);
                 
-                // Convert touch to normalized device coordinates
-                mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
-                mouse.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-                
-                // Raycast for node selection
-                raycaster.setFromCamera(mouse, camera);
-                const intersects = raycaster.intersectObjects(nodes);
-                
-                if (intersects.length > 0) {
+                if (node) {
                     // Handle node selection
-                    selectNode(intersects[0].object);
+                    selectNode(node);
                 } else {
                     // Deselect if tapping empty space
                     if (selectedNode) {
@@ -455,10 +835,17 @@ function selectNode(node) {
         deselectNode();
     }
     
-    // Select new node
+    // Select new node: instances share one material, so the highlight is a separate, larger mesh over it
     selectedNode = node;
-    selectedNode.material.emissiveIntensity = 0.6;
-    selectedNode.scale.set(1.3, 1.3, 1.3);
+    const type = node.userData.type;
+    const color = getTypeColorHex(type);
+    selectionMarker = new THREE.Mesh(
+        createTypeGeometry(getTypeStyle(type).shape, node.size * 1.3, 16),
+        new THREE.MeshPhongMaterial({ color: color, emissive: color, emissiveIntensity: 0.6, shininess: 100 })
+    );
+    selectionMarker.position.copy(node.position);
+    graphGroup.add(selectionMarker);
+    labelCandidates = null;
     displayNodeInfo(selectedNode.userData);
     
     // Show info panel
@@ -472,22 +859,21 @@ function selectNode(node) {
 
 function deselectNode() {
     if (selectedNode) {
-        selectedNode.material.emissiveIntensity = 0.3;
-        selectedNode.scale.set(1, 1, 1);
+        graphGroup.remove(selectionMarker);
+        selectionMarker.geometry.dispose();
+        selectionMarker.material.dispose();
+        selectionMarker = null;
         selectedNode = null;
+        labelCandidates = null;
         document.getElementById('node-info').innerHTML = 'Tap on a node to see details';
     }
 }
 
 function onNodeClick(event) {
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    const node = pickNode(event.clientX, event.clientY);
 
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(nodes);
-
-    if (intersects.length > 0) {
-        selectNode(intersects[0].object);
+    if (node) {
+        selectNode(node);
     } else {
         if (selectedNode) {
             deselectNode();
@@ -495,33 +881,37 @@ function onNodeClick(event) {
     }
 }
 
+// Everything shown here comes from the loaded file, so it goes in as text, not markup
+function appendInfoProperty(container, key, value) {
+    const row = document.createElement('div');
+    row.className = 'property';
+    const name = document.createElement('strong');
+    name.textContent = `${key}:`;
+    row.append(name, ` ${value}`);
+    container.appendChild(row);
+}
+
 function displayNodeInfo(data) {
-    let html = `
-        <div class="property">
-            <strong>Type:</strong> ${data.type || 'N/A'}
-        </div>
-        <div class="property">
-            <strong>Label:</strong> ${data.label || 'N/A'}
-        </div>
-    `;
+    const info = document.getElementById('node-info');
+    info.textContent = '';
+    appendInfoProperty(info, 'Type', data.type || 'N/A');
+    appendInfoProperty(info, 'Label', data.label || 'N/A');
 
     if (data.source_doc) {
-        html += `<div class="property"><strong>Source:</strong> ${data.source_doc}</div>`;
+        appendInfoProperty(info, 'Source', data.source_doc);
     }
 
     if (data.properties) {
-        html += '<div style="margin: 10px 0 5px 0; color: #667eea;"><strong>Properties:</strong></div>';
+        info.insertAdjacentHTML('beforeend', '<div style="margin: 10px 0 5px 0; color: #667eea;"><strong>Properties:</strong></div>');
         let propCount = 0;
         for (const [key, value] of Object.entries(data.properties)) {
             if (propCount++ > 3) break; // Limit properties on mobile
             const displayValue = Array.isArray(value) ? value.join(', ') : 
                                 (typeof value === 'string' && value.length > 50) ? 
                                 value.substring(0, 50) + '...' : value;
-            html += `<div class="property"><strong>${key}:</strong> ${displayValue}</div>`;
+            appendInfoProperty(info, key, displayValue);
         }
     }
-
-    document.getElementById('node-info').innerHTML = html;
 }
 
 function renderAR(timestamp, frame) {
@@ -562,17 +952,20 @@ function renderAR(timestamp, frame) {
         }
     }
 
+    applyStreamedPositions();
+    refreshNodes();
     renderer.render(scene, camera);
 }
 
 function animate3D() {
     requestAnimationFrame(animate3D);
 
-    // Gentle rotation
-    nodes.forEach(node => {
-        node.rotation.x += 0.001;
-        node.rotation.y += 0.001;
-    });
+    // Lines and instances follow the nodes while a layout transition runs
+    if (cancelLayoutAnimation) {
+        markNodesMoved();
+    }
+    applyStreamedPositions();
+    refreshNodes();
 
     renderer.render(scene, camera);
 }
@@ -0,0 +1,186 @@
+// compliance.js - Compliance audit mode driven by compliance_findings
+let complianceMode = false;
+let complianceRows = [];
+let complianceSort = { key: 'severity', dir: -1 };
+
+const statusColors = {
+    'Compliant': '#2ed573',
+    'Non-Compliant': '#ff4757',
+    'Unknown': '#ffa502',
+    'Undetermined': '#a4b0be'
+};
+
+const severityRank = { 'High': 3, 'Medium': 2, 'Low': 1 };
+const severitySizes = { 'High': 14, 'Medium': 9, 'Low': 5 };
+
+// Findings are not unique by id alone, so match records to entities on their content
+function findingKey(finding) {
+    return [finding.id, finding.parent_chunk_id, finding.subject, finding.requirement].join('|');
+}
+
+function buildComplianceRows() {
+    const nodesByKey = new Map();
+    graphData.nodes.forEach(node => {
+        if (node.type === 'Compliance_Finding' && node.properties) {
+            nodesByKey.set(findingKey(node.properties), node);
+        }
+    });
+
+    const findings = (rawData && rawData.compliance_findings) || [];
+    complianceRows = findings.map((finding, index) => ({
+        index: index,
+        standard: finding.standard || '',
+        subject: finding.subject || '',
+        requirement: finding.requirement || '',
+        finding: finding.finding || '',
+        status: finding.status || 'Unknown',
+        severity: finding.severity || 'Low',
+        source: finding.source_pdf || '',
+        page: finding.source_page,
+        node: nodesByKey.get(findingKey(finding)) || null
+    }));
+}
+
+function complianceNodeColor(node) {
+    if (node.type !== 'Compliance_Finding') return dimmedNodeColor;
+    const status = node.properties && node.properties.status;
+    return statusColors[status] || statusColors.Undetermined;
+}
+
+function complianceNodeVal(node) {
+    if (node.type !== 'Compliance_Finding') return undefined;
+    const severity = node.properties && node.properties.severity;
+    return severitySizes[severity] || severitySizes.Low;
+}
+
+function toggleComplianceMode() {
+    const panel = document.getElementById('compliance-panel');
+
+    // Reopen the panel if the mode is still active behind another panel
+    if (complianceMode && !panel.classList.contains('open')) {
+        togglePanel('compliance-panel', true);
+        return;
+    }
+
+    complianceMode = !complianceMode;
+    togglePanel('compliance-panel', complianceMode);
+    document.getElementById('compliance-btn').classList.toggle('active', complianceMode);
+
+    if (complianceMode) {
+        exitAnalyticsMode();
+        buildComplianceRows();
+        renderComplianceSummary();
+        renderComplianceTable();
+        setNodeStyleOverride(complianceNodeColor, complianceNodeVal);
+    } else {
+        setNodeStyleOverride(null, null);
+    }
+}
+
+function exitComplianceMode() {
+    if (!complianceMode) return;
+    complianceMode = false;
+    togglePanel('compliance-panel', false);
+    document.getElementById('compliance-btn').classList.remove('active');
+    setNodeStyleOverride(null, null);
+}
+
+function renderComplianceSummary() {
+    const counts = {};
+    complianceRows.forEach(row => {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+    });
+
+    let html = '';
+    Object.keys(statusColors).forEach(status => {
+        if (!counts[status]) return;
+        html += `
+            <button class="status-chip" style="border-color: ${statusColors[status]};"
+                    onclick="setComplianceStatusFilter('${status}')">
+                <span style="color: ${statusColors[status]}; font-weight: 600;">${counts[status]}</span> ${status}
+            </button>
+        `;
+    });
+    document.getElementById('compliance-summary').innerHTML = html;
+}
+
+function setComplianceStatusFilter(status) {
+    const select = document.getElementById('compliance-status-filter');
+    select.value = select.value === status ? '' : status;
+    renderComplianceTable();
+}
+
+function sortComplianceTable(key) {
+    if (complianceSort.key === key) {
+        complianceSort.dir = -complianceSort.dir;
+    } else {
+        complianceSort = { key: key, dir: 1 };
+    }
+    renderComplianceTable();
+}
+
+function compareComplianceRows(a, b) {
+    const key = complianceSort.key;
+    let result;
+    if (key === 'severity') {
+        result = (severityRank[a.severity] || 0) - (severityRank[b.severity] || 0);
+    } else if (key === 'page') {
+        result = (a.page || 0) - (b.page || 0);
+    } else {
+        result = String(a[key]).localeCompare(String(b[key]));
+    }
+    return result * complianceSort.dir || a.index - b.index;
+}
+
+function renderComplianceTable() {
+    const status = document.getElementById('compliance-status-filter').value;
+    const severity = document.getElementById('compliance-severity-filter').value;
+    const text = document.getElementById('compliance-text-filter').value.trim().toLowerCase();
+
+    const rows = complianceRows
+        .filter(row => !status || row.status === status)
+        .filter(row => !severity || row.severity === severity)
+        .filter(row => !text || [row.standard, row.subject, row.requirement, row.finding]
+            .some(value => value.toLowerCase().includes(text)))
+        .sort(compareComplianceRows);
+
+    document.querySelectorAll('#compliance-table th[data-sort]').forEach(th => {
+        const active = th.dataset.sort === complianceSort.key;
+        th.classList.toggle('sorted', active);
+        th.dataset.dir = active ? (complianceSort.dir > 0 ? 'asc' : 'desc') : '';
+    });
+
+    const tbody = document.querySelector('#compliance-table tbody');
+    tbody.innerHTML = rows.map(row => `
+        <tr data-index="${row.index}" class="${row.node ? '' : 'unlinked'}" onclick="selectComplianceRow(${row.index})">
+            <td><span class="status-dot" style="background: ${statusColors[row.status] || statusColors.Undetermined};"></span>${escapeHtml(row.status)}</td>
+            <td>${escapeHtml(row.severity)}</td>
+            <td>${escapeHtml(row.standard)}</td>
+            <td title="${escapeHtml(row.requirement)}">${escapeHtml(row.requirement)}</td>
+            <td title="${escapeHtml(row.finding)}">${escapeHtml(row.finding)}</td>
+            <td>${escapeHtml(row.page || '')}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('compliance-count').textContent = `${rows.length} of ${complianceRows.length} findings`;
+}
+
+function selectComplianceRow(index) {
+    const row = complianceRows.find(r => r.index === index);
+    if (!row || !row.node) return;
+
+    document.querySelectorAll('#compliance-table tr.selected').forEach(tr => tr.classList.remove('selected'));
+    const tr = document.querySelector(`#compliance-table tr[data-index="${index}"]`);
+    if (tr) tr.classList.add('selected');
+
+    handleNodeClick(row.node);
+}
+
+// Rebuild the table when new data is loaded while the mode is active
+window.addEventListener('graph-loaded', () => {
+    if (!complianceMode) return;
+    buildComplianceRows();
+    renderComplianceSummary();
+    renderComplianceTable();
+    setNodeStyleOverride(complianceNodeColor, complianceNodeVal);
+});
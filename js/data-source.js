@@ -0,0 +1,260 @@
+// data-source.js - Where the graph JSON comes from: the default file, a ?data= URL, a picked or dropped file
+// Loaded as a classic script so both graph.js and the ar-graph.js module can use it.
+// Recently opened sources are remembered in IndexedDB.
+
+const DEFAULT_DATA_URL = './Data/knowledge-graph.json';
+const MAX_RECENT_SOURCES = 10;
+
+// Stores are created on upgrade; bump the version when adding one
+const VIEWER_DB_NAME = 'knowledge-graph-viewer';
+const VIEWER_DB_VERSION = 4;
+const VIEWER_DB_STORES = { recentSources: 'key', forceLayouts: 'key', savedViews: 'key', nodeNotes: 'key', queryHistory: 'key' };
+
+// { kind: 'url', name, url }, { kind: 'file', name, file } or { kind: 'synthetic', name, count }
+let currentDataSource = null;
+
+function getInitialDataSource() {
+    const params = new URLSearchParams(location.search);
+
+    // ?benchmark=50000 swaps the file for a generated graph of that size (synthetic-graph.js)
+    const benchmarkSize = parseInt(params.get('benchmark'), 10);
+    if (benchmarkSize > 0) {
+        return { kind: 'synthetic', name: `Synthetic graph (${benchmarkSize} nodes)`, count: benchmarkSize };
+    }
+
+    // Deep links (deep-link.js) carry the source in the hash
+    const url = params.get('data') || new URLSearchParams(location.hash.slice(1)).get('data') || DEFAULT_DATA_URL;
+    return { kind: 'url', name: url, url: url };
+}
+
+function getCurrentDataSource() {
+    if (!currentDataSource) {
+        currentDataSource = getInitialDataSource();
+    }
+    return currentDataSource;
+}
+
+function setDataSource(source) {
+    currentDataSource = source;
+
+    // URL sources survive a page refresh through ?data=
+    if (source.kind === 'url') {
+        const params = new URLSearchParams(location.search);
+        if (source.url === DEFAULT_DATA_URL) {
+            params.delete('data');
+        } else {
+            params.set('data', source.url);
+        }
+        const query = params.toString();
+        history.replaceState(history.state, '', `${location.pathname}${query ? '?' + query : ''}${location.hash}`);
+    }
+}
+
+async function readDataSource(source) {
+    if (source.kind === 'synthetic') {
+        return createSyntheticGraph(source.count);
+    }
+
+    let text;
+    if (source.kind === 'file') {
+        // Re-read the file on every load so reloadData picks up a new pipeline run
+        text = await source.file.text();
+    } else {
+        const response = await fetch(source.url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        text = await response.text();
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source.name} is not valid JSON (${error.message})`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${source.name} does not contain a knowledge graph object`);
+    }
+
+    rememberDataSource(source);
+    return data;
+}
+
+// ---- IndexedDB ----
+
+function openViewerDb() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(VIEWER_DB_NAME, VIEWER_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(VIEWER_DB_STORES).forEach(([name, keyPath]) => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath: keyPath });
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs fn(store) in a transaction and resolves with the result of the request it returns
+async function withViewerStore(storeName, mode, fn) {
+    const db = await openViewerDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = fn(transaction.objectStore(storeName));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+async function listRecentSources() {
+    try {
+        const entries = await withViewerStore('recentSources', 'readonly', store => store.getAll());
+        return entries.sort((a, b) => b.openedAt - a.openedAt);
+    } catch (error) {
+        console.warn('Recent sources unavailable:', error.message);
+        return [];
+    }
+}
+
+// Files are stored as blobs so they can be reopened after the page is closed
+async function rememberDataSource(source) {
+    const entry = {
+        key: `${source.kind}:${source.name}`,
+        kind: source.kind,
+        name: source.name,
+        openedAt: Date.now()
+    };
+    if (source.kind === 'file') {
+        entry.blob = source.file;
+        entry.size = source.file.size;
+    } else {
+        entry.url = source.url;
+    }
+
+    try {
+        await withViewerStore('recentSources', 'readwrite', store => store.put(entry));
+        const stale = (await listRecentSources()).slice(MAX_RECENT_SOURCES);
+        if (stale.length > 0) {
+            await withViewerStore('recentSources', 'readwrite', store => {
+                stale.forEach(old => store.delete(old.key));
+            });
+        }
+    } catch (error) {
+        console.warn('Could not remember data source:', error.message);
+    }
+}
+
+async function forgetRecentSource(key) {
+    try {
+        await withViewerStore('recentSources', 'readwrite', store => store.delete(key));
+    } catch (error) {
+        console.warn('Could not remove recent source:', error.message);
+    }
+}
+
+function recentEntryToSource(entry) {
+    return entry.kind === 'file' ?
+        { kind: 'file', name: entry.name, file: entry.blob } :
+        { kind: 'url', name: entry.name, url: entry.url };
+}
+
+// ---- UI helpers ----
+
+function fileToDataSource(file) {
+    return { kind: 'file', name: file.name, file: file };
+}
+
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+async function renderRecentSources(container, onOpen) {
+    const entries = await listRecentSources();
+    container.innerHTML = '';
+
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="recent-empty">No recent files</div>';
+        return;
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'recent-source';
+        item.title = entry.kind === 'url' ? entry.url : `${entry.name} (stored copy)`;
+
+        const details = [new Date(entry.openedAt).toLocaleString()];
+        if (entry.size !== undefined) details.push(formatFileSize(entry.size));
+        item.innerHTML = `
+            <span class="recent-icon">${entry.kind === 'file' ? '📄' : '🔗'}</span>
+            <span class="recent-name"></span>
+            <span class="recent-meta">${details.join(' · ')}</span>
+            <button class="recent-remove" title="Remove from list">✕</button>
+        `;
+        item.querySelector('.recent-name').textContent = entry.name;
+
+        item.addEventListener('click', () => onOpen(recentEntryToSource(entry)));
+        item.querySelector('.recent-remove').addEventListener('click', async (event) => {
+            event.stopPropagation();
+            await forgetRecentSource(entry.key);
+            renderRecentSources(container, onOpen);
+        });
+        container.appendChild(item);
+    });
+}
+
+function setupDataFilePicker(input, onOpen) {
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (file) onOpen(fileToDataSource(file));
+    });
+}
+
+// Dropping a JSON file anywhere on the page opens it; the body gets .drag-over while dragging
+function setupDataDrop(onOpen) {
+    let depth = 0;
+    const hasFiles = event => event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+
+    window.addEventListener('dragenter', (event) => {
+        if (!hasFiles(event)) return;
+        depth++;
+        document.body.classList.add('drag-over');
+    });
+    window.addEventListener('dragleave', (event) => {
+        if (!hasFiles(event)) return;
+        depth = Math.max(0, depth - 1);
+        if (depth === 0) document.body.classList.remove('drag-over');
+    });
+    window.addEventListener('dragover', (event) => {
+        if (hasFiles(event)) event.preventDefault();
+    });
+    window.addEventListener('drop', (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        depth = 0;
+        document.body.classList.remove('drag-over');
+
+        const file = [...event.dataTransfer.files].find(f => /\.json$/i.test(f.name) || f.type === 'application/json');
+        if (file) {
+            onOpen(fileToDataSource(file));
+        } else {
+            alert('Drop a .json knowledge graph file to open it.');
+        }
+    });
+}
@@ -0,0 +1,267 @@
+// data-validation.js - Schema check and data-quality report for a loaded graph file
+// Loaded as a classic script so both graph.js and the ar-graph.js module can use it.
+
+// Field types: 'string' | 'number' | 'boolean' | 'object' | 'array', or a list of them.
+// null counts as absent; only required fields must be present.
+const graphSchema = {
+    entities: {
+        kind: 'array',
+        required: true,
+        fields: {
+            id: { type: 'string', required: true },
+            label: { type: 'string' },
+            type: { type: 'string', required: true },
+            properties: { type: 'object' },
+            source_doc: { type: 'string' },
+            parent_chunk_id: { type: 'string' },
+            parent_id: { type: 'string' },
+            confidence: { type: 'number' }
+        }
+    },
+    relationships: {
+        kind: 'array',
+        fields: {
+            source: { type: 'string', required: true },
+            target: { type: 'string', required: true },
+            relation: { type: 'string', required: true },
+            is_negative: { type: 'boolean' },
+            details: { type: 'string' },
+            properties: { type: 'object' }
+        }
+    },
+    technical_specifications: {
+        kind: 'array',
+        fields: {
+            id: { type: 'string', required: true },
+            item_name: { type: 'string', required: true },
+            spec_value: { type: 'string', required: true },
+            related_params: { type: 'object' },
+            confidence: { type: 'number' },
+            source_page: { type: ['number', 'string'] },
+            parent_chunk_id: { type: 'string' },
+            source_document: { type: 'string' }
+        }
+    },
+    compliance_findings: {
+        kind: 'array',
+        fields: {
+            id: { type: 'string', required: true },
+            standard: { type: 'string' },
+            subject: { type: 'string', required: true },
+            requirement: { type: 'string' },
+            finding: { type: 'string' },
+            status: { type: 'string' },
+            severity: { type: 'string' },
+            source_page: { type: ['number', 'string'] },
+            parent_chunk_id: { type: 'string' },
+            source_document: { type: 'string' }
+        }
+    },
+    compliance_and_safety: {
+        kind: 'array',
+        fields: {
+            id: { type: 'string', required: true },
+            category: { type: 'string' },
+            content: { type: 'string', required: true },
+            severity: { type: 'string' },
+            source_page: { type: ['number', 'string'] },
+            parent_chunk_id: { type: 'string' },
+            source_document: { type: 'string' }
+        }
+    },
+    parent_documents: {
+        kind: 'array',
+        fields: {
+            id: { type: 'string', required: true },
+            full_text: { type: 'string', required: true }
+        }
+    },
+    cross_doc_similarities: {
+        kind: 'object',
+        fields: {
+            similarity_score: { type: 'number' },
+            shared_entities_count: { type: 'number' },
+            relationship_label: { type: 'string' },
+            description: { type: 'string' },
+            detected_conflicts: { type: 'array' },
+            detected_matches: { type: 'array' }
+        }
+    },
+    metadata: { kind: 'object' },
+    retrieval_metadata: { kind: 'object' }
+};
+
+const qualityCategories = [
+    { key: 'schema', title: 'Schema violations' },
+    { key: 'dangling', title: 'Dangling edges' },
+    { key: 'duplicate', title: 'Duplicate ids' },
+    { key: 'unknown-type', title: 'Unknown types' },
+    { key: 'orphan-chunk', title: 'Orphan chunks' },
+    { key: 'parent-chunk', title: 'Unresolved parent_chunk_id' }
+];
+
+function valueKind(value) {
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Throws when the file cannot be shown at all; everything else goes into the report
+function assertGraphShape(data) {
+    const problems = [];
+    Object.entries(graphSchema).forEach(([section, spec]) => {
+        const value = data[section];
+        if (value === undefined || value === null) {
+            if (spec.required) problems.push(`"${section}" is missing`);
+        } else if (valueKind(value) !== spec.kind) {
+            problems.push(`"${section}" must be an ${spec.kind}, got ${valueKind(value)}`);
+        }
+    });
+    if (problems.length > 0) {
+        throw new Error(`Invalid knowledge graph file: ${problems.join('; ')}`);
+    }
+}
+
+// Relationships may reference an entity id, a specification record id,
+// or a finding by its record id (properties.id) rather than the entity id
+function createIdResolver(data) {
+    const nodeIds = new Set();
+    (data.entities || []).forEach(entity => nodeIds.add(entity.id));
+    (data.technical_specifications || []).forEach(spec => nodeIds.add(spec.id));
+
+    const aliases = {};
+    (data.entities || []).forEach(entity => {
+        const recordId = entity.properties && entity.properties.id;
+        if (recordId && !nodeIds.has(recordId)) {
+            aliases[recordId] = entity.id;
+        }
+    });
+    return id => nodeIds.has(id) ? id : aliases[id];
+}
+
+function checkRecordFields(record, fields, where, nodeId, report) {
+    if (!record || valueKind(record) !== 'object') {
+        report.add('schema', `${where} is not an object`, null);
+        return;
+    }
+    Object.entries(fields).forEach(([field, rule]) => {
+        const value = record[field];
+        if (value === undefined || value === null) {
+            if (rule.required) report.add('schema', `${where} is missing "${field}"`, nodeId);
+            return;
+        }
+        const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+        if (!allowed.includes(valueKind(value))) {
+            report.add('schema', `${where}: "${field}" should be ${allowed.join(' or ')}, got ${valueKind(value)}`, nodeId);
+        }
+    });
+}
+
+function validateGraphData(data) {
+    const report = {
+        problems: [],
+        add(category, message, nodeId) {
+            this.problems.push({ category, message, nodeId: nodeId || null });
+        }
+    };
+    const resolveId = createIdResolver(data);
+    const entities = Array.isArray(data.entities) ? data.entities : [];
+    const relationships = Array.isArray(data.relationships) ? data.relationships : [];
+    const specs = Array.isArray(data.technical_specifications) ? data.technical_specifications : [];
+
+    // Schema
+    Object.entries(graphSchema).forEach(([section, spec]) => {
+        const value = data[section];
+        if (!spec.fields || valueKind(value) !== spec.kind) return;
+
+        if (spec.kind === 'array') {
+            value.forEach((record, index) => {
+                const nodeId = record && resolveId(record.id);
+                checkRecordFields(record, spec.fields, `${section}[${index}]`, nodeId, report);
+            });
+        } else {
+            Object.entries(value).forEach(([key, record]) => {
+                checkRecordFields(record, spec.fields, `${section}["${key}"]`, null, report);
+            });
+        }
+    });
+
+    // Dangling edges: link to whichever endpoint does exist
+    relationships.forEach((rel, index) => {
+        if (!rel) return;
+        const source = resolveId(rel.source);
+        const target = resolveId(rel.target);
+        if (source && target) return;
+
+        const missing = [!source && `source "${rel.source}"`, !target && `target "${rel.target}"`].filter(Boolean);
+        report.add('dangling', `relationships[${index}] ${rel.relation || ''}: unknown ${missing.join(' and ')}`, source || target);
+    });
+
+    // Duplicate ids (specification nodes share the id space with entities)
+    const idCounts = {};
+    [...entities, ...specs].forEach(record => {
+        if (record && record.id !== undefined) idCounts[record.id] = (idCounts[record.id] || 0) + 1;
+    });
+    Object.entries(idCounts)
+        .filter(([, count]) => count > 1)
+        .forEach(([id, count]) => report.add('duplicate', `"${id}" is used by ${count} records`, id));
+
+    // Unknown types: not declared in the type registry
+    const unknownTypes = {};
+    entities.forEach(entity => {
+        if (entity && entity.type && !declaredTypeNames.includes(entity.type)) {
+            if (!unknownTypes[entity.type]) unknownTypes[entity.type] = [];
+            unknownTypes[entity.type].push(entity.id);
+        }
+    });
+    Object.entries(unknownTypes).forEach(([type, ids]) => {
+        ids.forEach(id => report.add('unknown-type', `"${id}" has undeclared type ${type}`, id));
+    });
+
+    // Orphan chunks: not reachable from any Document
+    const documentIds = new Set(entities.filter(e => e && e.type === 'Document').map(e => e.id));
+    const attachedChunks = new Set();
+    relationships.forEach(rel => {
+        if (rel && documentIds.has(resolveId(rel.source))) attachedChunks.add(resolveId(rel.target));
+    });
+    entities.forEach(entity => {
+        if (!entity || entity.type !== 'Chunk' || attachedChunks.has(entity.id)) return;
+        const documentId = entity.properties && entity.properties.document_id;
+        if (documentId && documentIds.has(documentId)) return;
+        report.add('orphan-chunk', `"${entity.label || entity.id}" is not attached to a document`, entity.id);
+    });
+
+    // parent_chunk_id must name a chunk entity or a parent document record
+    const chunkIds = new Set([
+        ...entities.filter(e => e && e.type === 'Chunk').map(e => e.id),
+        ...(Array.isArray(data.parent_documents) ? data.parent_documents : []).map(p => p && p.id)
+    ]);
+    ['entities', 'technical_specifications', 'compliance_findings'].forEach(section => {
+        if (!Array.isArray(data[section])) return;
+        data[section].forEach((record, index) => {
+            if (!record || !record.parent_chunk_id || chunkIds.has(record.parent_chunk_id)) return;
+            report.add('parent-chunk', `${section}[${index}] "${record.id}": parent_chunk_id "${record.parent_chunk_id}" not found`,
+                resolveId(record.id));
+        });
+    });
+
+    // Safety warnings are linked to their chunk node (safety.js), so a parent document record is not enough
+    if (Array.isArray(data.compliance_and_safety)) {
+        data.compliance_and_safety.forEach((record, index) => {
+            if (!record || !record.parent_chunk_id || resolveId(record.parent_chunk_id)) return;
+            report.add('parent-chunk', `compliance_and_safety[${index}] "${record.id}": parent_chunk_id "${record.parent_chunk_id}" ` +
+                'is not a node, so the warning is not linked', null);
+        });
+    }
+
+    return { problems: report.problems };
+}
+
+function summarizeQualityReport(report) {
+    const counts = {};
+    report.problems.forEach(problem => {
+        counts[problem.category] = (counts[problem.category] || 0) + 1;
+    });
+    return qualityCategories
+        .filter(category => counts[category.key])
+        .map(category => `${category.title}: ${counts[category.key]}`);
+}
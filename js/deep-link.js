@@ -0,0 +1,182 @@
+// deep-link.js - Viewer state in the URL hash: camera, selection, filters, focus and data source
+// Selections push a history entry so back/forward step through them; everything else rewrites the current one.
+// #node=<id>&cam=x,y,z&look=x,y,z&focus=<id>&hops=2&f.type=Chunk&conf=0.2,0.9&isolated=1&data=<url>
+
+const VIEW_HASH_DELAY_MS = 300;
+const VIEW_HASH_FLY_MS = 1100;      // selections and resets animate the camera for 1000 ms
+const VIEW_RESTORE_MS = 800;
+
+let viewHashTimer = null;
+let viewHashRestored = false;
+let restoringView = false;
+
+function formatVector(vector) {
+    return [vector.x, vector.y, vector.z].map(value => Math.round(value)).join(',');
+}
+
+function parseVector(value) {
+    const parts = (value || '').split(',').map(Number);
+    return parts.length === 3 && parts.every(Number.isFinite) ? { x: parts[0], y: parts[1], z: parts[2] } : null;
+}
+
+function getViewParams() {
+    const params = new URLSearchParams();
+    if (selectedNode) params.set('node', selectedNode.id);
+
+    const camera = Graph.cameraPosition();
+    params.set('cam', formatVector(camera));
+    params.set('look', formatVector(camera.lookAt));
+
+    if (focusState.active && focusState.node) {
+        params.set('focus', focusState.node.id);
+        params.set('hops', focusState.depth);
+    }
+
+    filterFacets.forEach(facet => {
+        filterState.selected[facet.key].forEach(value => params.append(`f.${facet.key}`, value));
+    });
+    const [min, max] = filterState.confidence;
+    if (min > 0 || max < 1) params.set('conf', `${min},${max}`);
+    if (filterState.hideIsolated) params.set('isolated', '1');
+
+    // Only URLs can be opened by whoever receives the link
+    const source = getCurrentDataSource();
+    if (source.kind === 'url' && source.url !== DEFAULT_DATA_URL) params.set('data', source.url);
+    return params;
+}
+
+function getViewHash() {
+    return '#' + getViewParams().toString().replace(/%2C/g, ',');
+}
+
+function writeViewHash(push) {
+    clearTimeout(viewHashTimer);
+    if (!Graph || restoringView) return;
+    const hash = getViewHash();
+    if (hash === location.hash) return;
+    history[push ? 'pushState' : 'replaceState'](history.state, '', hash);
+}
+
+function scheduleViewHash(delay) {
+    if (restoringView) return;
+    clearTimeout(viewHashTimer);
+    viewHashTimer = setTimeout(() => writeViewHash(false), delay || VIEW_HASH_DELAY_MS);
+}
+
+// Compared as strings so an unchanged filter does not stop the layout through applyFilters
+function getFilterKey() {
+    return JSON.stringify([
+        filterFacets.map(facet => [...filterState.selected[facet.key]].sort()),
+        filterState.confidence,
+        filterState.hideIsolated
+    ]);
+}
+
+function restoreFilters(params) {
+    const before = getFilterKey();
+    resetFilterState();
+    filterFacets.forEach(facet => {
+        params.getAll(`f.${facet.key}`).forEach(value => filterState.selected[facet.key].add(value));
+    });
+    const confidence = (params.get('conf') || '').split(',').map(Number);
+    if (confidence.length === 2 && confidence.every(Number.isFinite)) {
+        filterState.confidence = [Math.max(0, confidence[0]), Math.min(1, confidence[1])];
+    }
+    filterState.hideIsolated = params.get('isolated') === '1';
+
+    if (getFilterKey() !== before) {
+        renderFilterPanel();
+        applyFilters();
+    }
+}
+
+// Like a click, minus the camera flight: the link says where the camera goes
+function restoreSelection(node) {
+    if (!node) {
+        if (selectedNode) clearSelection();
+        return;
+    }
+    if (node === selectedNode) return;
+    highlightNode(node);
+    displayNodeInfo(node);
+    window.dispatchEvent(new CustomEvent('node-selected', { detail: node }));
+}
+
+function restoreFocus(params) {
+    const node = nodeById.get(params.get('focus'));
+    if (!node) {
+        exitFocusMode();
+        return;
+    }
+    const hops = parseInt(params.get('hops'), 10);
+    const depth = hops >= 1 && hops <= 3 ? hops : focusState.depth;
+
+    // Entering focus mode (or the selection restored just before) may already have focused the node
+    if (!focusState.active) {
+        focusState.depth = depth;
+        toggleFocusMode();
+    }
+    if (focusState.node !== node) {
+        focusState.depth = depth;
+        setFocus(node);
+    } else if (focusState.depth !== depth) {
+        setFocusDepth(depth);
+    }
+}
+
+function restoreView(hash, duration) {
+    const params = new URLSearchParams(hash.slice(1));
+    restoringView = true;
+    try {
+        restoreFilters(params);
+        restoreSelection(nodeById.get(params.get('node')));
+        restoreFocus(params);
+
+        const camera = parseVector(params.get('cam'));
+        if (camera) Graph.cameraPosition(camera, parseVector(params.get('look')) || { x: 0, y: 0, z: 0 }, duration);
+    } finally {
+        restoringView = false;
+    }
+}
+
+async function copyViewLink() {
+    writeViewHash(false);
+    const button = document.getElementById('copy-link-btn');
+    try {
+        await navigator.clipboard.writeText(location.href);
+    } catch (error) {
+        prompt('Copy this link:', location.href);
+        return;
+    }
+    button.textContent = getCurrentDataSource().kind === 'file' ? '✓ Copied (local file not included)' : '✓ Copied';
+    setTimeout(() => {
+        button.textContent = '🔗 Copy Link';
+    }, 2000);
+}
+
+window.addEventListener('node-selected', () => {
+    writeViewHash(true);
+    scheduleViewHash(VIEW_HASH_FLY_MS);
+});
+
+window.addEventListener('view-reset', () => {
+    writeViewHash(true);
+    scheduleViewHash(VIEW_HASH_FLY_MS);
+});
+
+window.addEventListener('filters-changed', () => scheduleViewHash());
+window.addEventListener('focus-changed', () => scheduleViewHash());
+
+window.addEventListener('popstate', () => {
+    if (Graph) restoreView(location.hash, VIEW_RESTORE_MS);
+});
+
+// The link is applied once, to the graph it was opened with; later loads start from their own view
+window.addEventListener('graph-loaded', () => {
+    Graph.controls().addEventListener('end', () => scheduleViewHash());
+    if (!viewHashRestored && location.hash.length > 1) {
+        restoreView(location.hash, 0);
+    }
+    viewHashRestored = true;
+    scheduleViewHash();
+});
@@ -0,0 +1,293 @@
+// doc-compare.js - Document-level overview built from cross_doc_similarities
+let docViewActive = false;
+let docViewSaved = null;
+let docComparisons = [];
+let docEntityChips = [];    // nodes behind the open comparison's entity chips, in order
+
+const DOC_VIEW_RADIUS = 120;
+const MAX_DOC_ENTITIES = 8;
+
+// Keys look like "a.pdf->b.pdf"
+function parseComparisons() {
+    const similarities = (rawData && rawData.cross_doc_similarities) || {};
+    return Object.entries(similarities).map(([key, record]) => {
+        const [sourceDoc, targetDoc] = key.split('->').map(part => part.trim());
+        return { key, sourceDoc, targetDoc, ...record };
+    }).filter(c => c.sourceDoc && c.targetDoc);
+}
+
+function findDocumentNode(pdf) {
+    return graphData.nodes.find(n => n.type === 'Document' && (n.label === pdf || n.source_doc === pdf) && n.id.startsWith('doc_')) ||
+        graphData.nodes.find(n => n.type === 'Document' && (n.label === pdf || n.source_doc === pdf));
+}
+
+function buildDocumentOverview() {
+    docComparisons = parseComparisons();
+
+    const docs = new Set();
+    docComparisons.forEach(c => {
+        docs.add(c.sourceDoc);
+        docs.add(c.targetDoc);
+    });
+    // Documents without similarity records still belong in the overview
+    graphData.nodes
+        .filter(n => n.type === 'Document' && n.id.startsWith('doc_'))
+        .forEach(n => docs.add(n.label));
+
+    // Fixed positions on a ring: there are only a handful of documents
+    const docList = [...docs];
+    const nodes = docList.map((pdf, index) => {
+        const angle = (index / docList.length) * Math.PI * 2;
+        const entityCount = graphData.nodes.filter(n => n.source_doc === pdf).length;
+        return {
+            id: `docview:${pdf}`,
+            label: pdf,
+            type: 'Document',
+            doc: pdf,
+            documentNode: findDocumentNode(pdf) || null,
+            entityCount: entityCount,
+            color: getTypeStyle('Document').color,
+            val: 8 + Math.sqrt(entityCount) * 2,
+            fx: Math.cos(angle) * DOC_VIEW_RADIUS,
+            fy: Math.sin(angle) * DOC_VIEW_RADIUS,
+            fz: 0
+        };
+    });
+
+    const links = docComparisons.map(c => ({
+        source: `docview:${c.sourceDoc}`,
+        target: `docview:${c.targetDoc}`,
+        relation: 'SIMILAR_TO',
+        is_negative: (c.detected_conflicts || []).length > 0,
+        comparison: c
+    }));
+
+    return { nodes, links };
+}
+
+function getSimilarityColor(link) {
+    return link.is_negative ? '#ffa502' : '#2ed573';
+}
+
+// Accessors stay installed until exitDocumentView, so links without a comparison get plain defaults
+function getSimilarityWidth(link) {
+    return link.comparison ? 1 + (link.comparison.similarity_score || 0) * 6 : 1;
+}
+
+function getSimilarityParticles(link) {
+    return link.comparison ? Math.round((link.comparison.similarity_score || 0) * 6) : 0;
+}
+
+function getSimilarityLabel(link) {
+    const c = link.comparison;
+    if (!c) return '';
+    return `
+        <div style="font-weight: 600;">${escapeHtml(c.relationship_label || 'Similarity')}</div>
+        <div style="font-size: 0.85em;">Score: ${(c.similarity_score || 0).toFixed(2)} · Shared entities: ${c.shared_entities_count || 0}</div>
+        <div style="font-size: 0.85em; color: #999;">Click for details</div>
+    `;
+}
+
+function toggleDocumentView() {
+    if (docViewActive) {
+        exitDocumentView();
+    } else {
+        enterDocumentView();
+    }
+}
+
+function enterDocumentView() {
+    if (!Graph || docViewActive) return;
+
+    const overview = buildDocumentOverview();
+    if (overview.nodes.length === 0) {
+        alert('No documents found in this graph.');
+        return;
+    }
+
+    docViewActive = true;
+    setHighlight(null);
+
+    // Remember the accessors we swap out so the entity view comes back unchanged; a cooldown still held
+    // for a filter is the one to come back to
+    docViewSaved = {
+        graphData: Graph.graphData(),
+        cooldownTicks: heldCooldown !== null ? heldCooldown : Graph.cooldownTicks(),
+        linkColor: Graph.linkColor(),
+        linkWidth: Graph.linkWidth(),
+        linkMaterial: Graph.linkMaterial(),
+        linkLabel: Graph.linkLabel(),
+        linkVisibility: Graph.linkVisibility(),
+        linkDirectionalArrowLength: Graph.linkDirectionalArrowLength(),
+        linkDirectionalParticles: Graph.linkDirectionalParticles()
+    };
+
+    heldCooldown = null;
+    Graph.cooldownTicks(0)
+        .linkColor(getSimilarityColor)
+        .linkWidth(getSimilarityWidth)
+        .linkMaterial(null)
+        .linkLabel(getSimilarityLabel)
+        .linkVisibility(true)
+        .linkDirectionalArrowLength(0)
+        .linkDirectionalParticles(getSimilarityParticles)
+        .onNodeClick(handleDocumentNodeClick)
+        .onLinkClick(openDocComparison)
+        .graphData(overview);
+
+    Graph.cameraPosition({ x: 0, y: 0, z: DOC_VIEW_RADIUS * 3 }, { x: 0, y: 0, z: 0 }, 1000);
+
+    document.getElementById('doc-view-btn').classList.add('active');
+    document.getElementById('node-info').innerHTML = docComparisons.length > 0 ?
+        'Click a similarity edge to compare two documents' :
+        'This graph has no cross-document similarity records';
+}
+
+function exitDocumentView() {
+    if (!docViewActive) return;
+    docViewActive = false;
+
+    const saved = docViewSaved;
+    docViewSaved = null;
+
+    // The entity nodes come back where they were; drags and reheats after that get the old cooldown
+    Graph.cooldownTicks(saved.cooldownTicks);
+    holdCooldown(0);
+    Graph.linkColor(saved.linkColor)
+        .linkWidth(saved.linkWidth)
+        .linkMaterial(saved.linkMaterial)
+        .linkLabel(saved.linkLabel)
+        .linkVisibility(saved.linkVisibility)
+        .linkDirectionalArrowLength(saved.linkDirectionalArrowLength)
+        .linkDirectionalParticles(saved.linkDirectionalParticles)
+        .onNodeClick(handleNodeClick)
+        .onLinkClick(() => {})
+        .graphData(saved.graphData);
+
+    document.getElementById('doc-view-btn').classList.remove('active');
+    togglePanel('doc-compare-panel', false);
+    document.getElementById('node-info').innerHTML = 'Click on a node to see details';
+}
+
+function handleDocumentNodeClick(node) {
+    // Leave the overview and focus the document in the entity graph
+    const target = node.documentNode;
+    exitDocumentView();
+    if (target) {
+        handleNodeClick(target);
+    }
+}
+
+// "Connector Type: CCS1 (US) vs CCS-II (India)" -> { key, left: 'CCS1', right: 'CCS-II' }
+function parseComparisonItem(item) {
+    const separator = item.indexOf(':');
+    const key = separator >= 0 ? item.slice(0, separator).trim() : '';
+    const value = separator >= 0 ? item.slice(separator + 1).trim() : item.trim();
+    const [left, right] = value.split(/\s+vs\.?\s+/i);
+    const clean = text => (text || '').replace(/\([^)]*\)/g, '').trim();
+    return {
+        key: key,
+        text: value,
+        left: clean(left),
+        right: clean(right !== undefined ? right : left)
+    };
+}
+
+function findDocEntities(pdf, term) {
+    if (!term) return [];
+    const needle = term.toLowerCase();
+    const seen = new Set();
+
+    return graphData.nodes.filter(node => {
+        if (node.source_doc !== pdf || node.type === 'Document' || node.type === 'Chunk') return false;
+        const text = [node.label, ...flattenValues(node.properties)].join(' ').toLowerCase();
+        if (!text.includes(needle) || seen.has(node.id)) return false;
+        seen.add(node.id);
+        return true;
+    }).slice(0, MAX_DOC_ENTITIES);
+}
+
+function renderEntityChips(nodes) {
+    if (nodes.length === 0) return '<span class="panel-note">No matching entities</span>';
+    return nodes.map(node => `
+        <button class="entity-chip" style="border-color: ${node.color};"
+                onclick="jumpToDocEntity(${docEntityChips.push(node) - 1})" title="${escapeHtml(node.type)}">
+            ${escapeHtml(node.label)}
+        </button>
+    `).join('');
+}
+
+function renderComparisonSection(title, items, comparison, kind) {
+    if (items.length === 0) return '';
+
+    let html = `<h3 class="compare-heading compare-${kind}">${title} (${items.length})</h3>`;
+    items.forEach(item => {
+        const parsed = parseComparisonItem(item);
+        const leftNodes = findDocEntities(comparison.sourceDoc, parsed.left);
+        const rightNodes = findDocEntities(comparison.targetDoc, parsed.right);
+        html += `
+            <div class="compare-item">
+                <div class="compare-key">${escapeHtml(parsed.key || parsed.text)}</div>
+                <div class="compare-columns">
+                    <div>
+                        <div class="compare-value">${escapeHtml(parsed.left)}</div>
+                        ${renderEntityChips(leftNodes)}
+                    </div>
+                    <div>
+                        <div class="compare-value">${escapeHtml(parsed.right)}</div>
+                        ${renderEntityChips(rightNodes)}
+                    </div>
+                </div>
+            </div>
+        `;
+    });
+    return html;
+}
+
+function openDocComparison(link) {
+    const c = link.comparison;
+    if (!c) return;
+
+    const score = c.similarity_score || 0;
+    docEntityChips = [];
+    let html = `
+        <div class="compare-columns compare-docs">
+            <div><strong>${escapeHtml(c.sourceDoc)}</strong></div>
+            <div><strong>${escapeHtml(c.targetDoc)}</strong></div>
+        </div>
+        <div class="compare-score">
+            <div class="compare-score-bar" style="width: ${Math.round(score * 100)}%;"></div>
+        </div>
+        <div class="panel-note">
+            ${escapeHtml(c.relationship_label || 'Similarity')} · score ${score.toFixed(2)} · ${c.shared_entities_count || 0} shared entities
+        </div>
+    `;
+    if (c.description) {
+        html += `<p class="compare-description">${escapeHtml(c.description)}</p>`;
+    }
+    html += renderComparisonSection('Conflicts', c.detected_conflicts || [], c, 'conflict');
+    html += renderComparisonSection('Matches', c.detected_matches || [], c, 'match');
+
+    document.getElementById('doc-compare-content').innerHTML = html;
+    togglePanel('doc-compare-panel', true);
+}
+
+function jumpToDocEntity(index) {
+    const node = docEntityChips[index];
+    if (!node) return;
+
+    // Keep the comparison open alongside the entity graph
+    const content = document.getElementById('doc-compare-content').innerHTML;
+    exitDocumentView();
+    document.getElementById('doc-compare-content').innerHTML = content;
+    togglePanel('doc-compare-panel', true);
+
+    handleNodeClick(node);
+}
+
+window.addEventListener('graph-loaded', () => {
+    docViewActive = false;
+    docViewSaved = null;
+    document.getElementById('doc-view-btn').classList.remove('active');
+    togglePanel('doc-compare-panel', false);
+});
@@ -0,0 +1,302 @@
+// export.js - Serialize the visible graph to GraphML, GEXF, CSV and Cypher
+const CORE_NODE_FIELDS = ['id', 'label', 'type', 'source_doc'];
+const CORE_EDGE_FIELDS = ['source', 'target', 'relation', 'is_negative', 'details'];
+const POSITION_FIELDS = ['x', 'y', 'z'];
+
+// Property values are flattened to scalars; nested structures travel as JSON strings
+function toScalar(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function inferColumnType(values) {
+    const present = values.filter(v => v !== null && v !== undefined && v !== '');
+    if (present.length === 0) return 'string';
+    if (present.every(v => typeof v === 'boolean')) return 'boolean';
+    if (present.every(v => typeof v === 'number' && Number.isInteger(v))) return 'int';
+    if (present.every(v => typeof v === 'number')) return 'double';
+    return 'string';
+}
+
+// Property keys that clash with the core fields get a prefix instead of overwriting them
+function propertyColumn(key, coreFields) {
+    return coreFields.includes(key) || POSITION_FIELDS.includes(key) ? `prop_${key}` : key;
+}
+
+// Duplicate entity ids get a "~n" suffix; the copy the links attach to keeps the plain id
+function assignExportIds(nodes) {
+    const ids = new Map();
+    const used = {};
+    nodes.forEach(node => {
+        if (nodeById.get(node.id) === node) ids.set(node, node.id);
+    });
+    nodes.forEach(node => {
+        if (ids.has(node)) return;
+        used[node.id] = (used[node.id] || 0) + 1;
+        ids.set(node, `${node.id}~${used[node.id]}`);
+    });
+    return ids;
+}
+
+function getVisibleGraphData() {
+    // In the document overview, export the entity graph underneath
+    const data = docViewActive && docViewSaved ? docViewSaved.graphData : Graph.graphData();
+    return {
+        nodes: data.nodes.filter(isNodeVisible),
+        links: data.links.filter(isLinkVisible)
+    };
+}
+
+function collectExportData(includePositions) {
+    const { nodes, links } = getVisibleGraphData();
+    const exportIds = assignExportIds(nodes);
+
+    const nodeRows = nodes.map(node => {
+        const row = {
+            id: exportIds.get(node),
+            label: node.label,
+            type: node.type,
+            source_doc: node.source_doc || null
+        };
+        if (includePositions) {
+            POSITION_FIELDS.forEach(axis => {
+                row[axis] = typeof node[axis] === 'number' ? Math.round(node[axis] * 1000) / 1000 : null;
+            });
+        }
+        Object.entries(node.properties || {}).forEach(([key, value]) => {
+            row[propertyColumn(key, CORE_NODE_FIELDS)] = toScalar(value);
+        });
+        return row;
+    });
+
+    const edgeRows = links
+        .filter(link => exportIds.has(getLinkEndpoint(link, 'source')) && exportIds.has(getLinkEndpoint(link, 'target')))
+        .map((link, index) => {
+            const row = {
+                id: `e${index}`,
+                source: exportIds.get(getLinkEndpoint(link, 'source')),
+                target: exportIds.get(getLinkEndpoint(link, 'target')),
+                relation: link.relation,
+                is_negative: !!link.is_negative,
+                details: link.details || null
+            };
+            Object.entries(link.properties || {}).forEach(([key, value]) => {
+                row[propertyColumn(key, CORE_EDGE_FIELDS)] = toScalar(value);
+            });
+            return row;
+        });
+
+    const columnsOf = (rows, core) => {
+        const columns = [...core];
+        rows.forEach(row => Object.keys(row).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        }));
+        return columns.map(name => ({ name: name, type: inferColumnType(rows.map(row => row[name])) }));
+    };
+
+    return {
+        nodes: nodeRows,
+        edges: edgeRows,
+        nodeColumns: columnsOf(nodeRows, includePositions ? [...CORE_NODE_FIELDS, ...POSITION_FIELDS] : CORE_NODE_FIELDS),
+        edgeColumns: columnsOf(edgeRows, CORE_EDGE_FIELDS).filter(c => c.name !== 'id')
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function toGraphML(data) {
+    const graphmlTypes = { int: 'int', double: 'double', boolean: 'boolean', string: 'string' };
+    const nodeKeys = data.nodeColumns.filter(c => c.name !== 'id');
+    const edgeKeys = data.edgeColumns.filter(c => c.name !== 'source' && c.name !== 'target');
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+    ];
+    nodeKeys.forEach((column, i) => {
+        lines.push(`  <key id="n${i}" for="node" attr.name="${escapeXml(column.name)}" attr.type="${graphmlTypes[column.type]}"/>`);
+    });
+    edgeKeys.forEach((column, i) => {
+        lines.push(`  <key id="e${i}" for="edge" attr.name="${escapeXml(column.name)}" attr.type="${graphmlTypes[column.type]}"/>`);
+    });
+
+    lines.push('  <graph id="G" edgedefault="directed">');
+    data.nodes.forEach(row => {
+        lines.push(`    <node id="${escapeXml(row.id)}">`);
+        nodeKeys.forEach((column, i) => {
+            if (row[column.name] !== null && row[column.name] !== undefined) {
+                lines.push(`      <data key="n${i}">${escapeXml(row[column.name])}</data>`);
+            }
+        });
+        lines.push('    </node>');
+    });
+    data.edges.forEach(row => {
+        lines.push(`    <edge id="${row.id}" source="${escapeXml(row.source)}" target="${escapeXml(row.target)}">`);
+        edgeKeys.forEach((column, i) => {
+            if (row[column.name] !== null && row[column.name] !== undefined) {
+                lines.push(`      <data key="e${i}">${escapeXml(row[column.name])}</data>`);
+            }
+        });
+        lines.push('    </edge>');
+    });
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n');
+}
+
+function toGEXF(data, includePositions) {
+    const gexfTypes = { int: 'integer', double: 'double', boolean: 'boolean', string: 'string' };
+    const skipNode = ['id', 'label', ...POSITION_FIELDS];
+    const nodeAttributes = data.nodeColumns.filter(c => !skipNode.includes(c.name));
+    const edgeAttributes = data.edgeColumns.filter(c => c.name !== 'source' && c.name !== 'target');
+
+    const attvalues = (row, attributes, indent) => {
+        const values = attributes
+            .filter(column => row[column.name] !== null && row[column.name] !== undefined)
+            .map(column => `${indent}  <attvalue for="${escapeXml(column.name)}" value="${escapeXml(row[column.name])}"/>`);
+        return values.length ? [`${indent}<attvalues>`, ...values, `${indent}</attvalues>`] : [];
+    };
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+        `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+        '    <creator>3D Knowledge Graph Viewer</creator>',
+        '  </meta>',
+        '  <graph defaultedgetype="directed" mode="static">',
+        '    <attributes class="node">'
+    ];
+    nodeAttributes.forEach(column => {
+        lines.push(`      <attribute id="${escapeXml(column.name)}" title="${escapeXml(column.name)}" type="${gexfTypes[column.type]}"/>`);
+    });
+    lines.push('    </attributes>', '    <attributes class="edge">');
+    edgeAttributes.forEach(column => {
+        lines.push(`      <attribute id="${escapeXml(column.name)}" title="${escapeXml(column.name)}" type="${gexfTypes[column.type]}"/>`);
+    });
+    lines.push('    </attributes>', '    <nodes>');
+
+    data.nodes.forEach(row => {
+        lines.push(`      <node id="${escapeXml(row.id)}" label="${escapeXml(row.label || row.id)}">`);
+        lines.push(...attvalues(row, nodeAttributes, '        '));
+        const color = getTypeStyle(row.type).color;
+        lines.push(`        <viz:color r="${parseInt(color.slice(1, 3), 16)}" g="${parseInt(color.slice(3, 5), 16)}" b="${parseInt(color.slice(5, 7), 16)}"/>`);
+        if (includePositions && row.x !== null) {
+            lines.push(`        <viz:position x="${row.x}" y="${row.y}" z="${row.z}"/>`);
+        }
+        lines.push('      </node>');
+    });
+    lines.push('    </nodes>', '    <edges>');
+    data.edges.forEach(row => {
+        lines.push(`      <edge id="${row.id}" source="${escapeXml(row.source)}" target="${escapeXml(row.target)}" label="${escapeXml(row.relation)}">`);
+        lines.push(...attvalues(row, edgeAttributes, '        '));
+        lines.push('      </edge>');
+    });
+    lines.push('    </edges>', '  </graph>', '</gexf>');
+    return lines.join('\n');
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows, columns) {
+    const names = columns.map(c => c.name);
+    return [names.map(csvCell).join(','), ...rows.map(row => names.map(name => csvCell(row[name])).join(','))].join('\r\n');
+}
+
+function cypherString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r?\n/g, '\\n')}'`;
+}
+
+function cypherValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return cypherString(value);
+}
+
+function cypherName(name) {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+function cypherMap(row, skip) {
+    const entries = Object.entries(row)
+        .filter(([key, value]) => !skip.includes(key) && value !== null && value !== undefined)
+        .map(([key, value]) => `${cypherName(key)}: ${cypherValue(value)}`);
+    return `{${entries.join(', ')}}`;
+}
+
+// Every node also gets the shared :Entity label so edges can MATCH through one index
+function toCypher(data) {
+    const lines = [
+        `// Exported ${new Date().toISOString()} - ${data.nodes.length} nodes, ${data.edges.length} relationships`,
+        'CREATE INDEX entity_id IF NOT EXISTS FOR (n:Entity) ON (n.id);',
+        ''
+    ];
+    data.nodes.forEach(row => {
+        const label = row.type ? `:${cypherName(row.type)}` : '';
+        lines.push(`CREATE (:Entity${label} ${cypherMap(row, ['type'])});`);
+    });
+    lines.push('');
+    data.edges.forEach(row => {
+        lines.push(
+            `MATCH (a:Entity {id: ${cypherString(row.source)}}), (b:Entity {id: ${cypherString(row.target)}}) ` +
+            `CREATE (a)-[:${cypherName(row.relation || 'RELATED_TO')} ${cypherMap(row, ['id', 'source', 'target', 'relation'])}]->(b);`
+        );
+    });
+    return lines.join('\n');
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportGraph(format) {
+    if (!Graph) return;
+
+    const includePositions = document.getElementById('export-positions').checked;
+    const data = collectExportData(includePositions);
+    const base = 'knowledge-graph';
+
+    if (format === 'graphml') {
+        downloadFile(`${base}.graphml`, toGraphML(data), 'application/xml');
+    } else if (format === 'gexf') {
+        downloadFile(`${base}.gexf`, toGEXF(data, includePositions), 'application/xml');
+    } else if (format === 'csv') {
+        downloadFile(`${base}-nodes.csv`, toCSV(data.nodes, data.nodeColumns), 'text/csv');
+        downloadFile(`${base}-edges.csv`, toCSV(data.edges, data.edgeColumns), 'text/csv');
+    } else if (format === 'cypher') {
+        downloadFile(`${base}.cypher`, toCypher(data), 'text/plain');
+    }
+
+    toggleExportMenu(false);
+}
+
+function toggleExportMenu(show) {
+    const menu = document.getElementById('export-menu');
+    const visible = show !== undefined ? show : menu.style.display !== 'block';
+    menu.style.display = visible ? 'block' : 'none';
+}
+
+document.addEventListener('click', (event) => {
+    if (!event.target.closest('.export-wrap')) {
+        toggleExportMenu(false);
+    }
+});
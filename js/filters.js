@@ -0,0 +1,198 @@
+// filters.js - Faceted filtering of the visible graph
+// An empty facet selection means "everything"; selections within a facet are OR-ed,
+// facets are AND-ed. Optional facets (and confidence) only constrain nodes that carry the attribute.
+const filterFacets = [
+    { key: 'type', title: 'Entity Type', value: node => node.type },
+    { key: 'relation', title: 'Relation', links: true, value: link => link.relation },
+    { key: 'severity', title: 'Severity', optional: true, value: node => node.properties && node.properties.severity },
+    { key: 'status', title: 'Status', optional: true, value: node => node.properties && node.properties.status },
+    { key: 'source_doc', title: 'Source Document', value: node => node.source_doc }
+];
+
+const filterState = {
+    selected: {},
+    confidence: [0, 1],
+    hideIsolated: false
+};
+
+function getNodeConfidence(node) {
+    const value = node.properties && node.properties.confidence !== undefined ?
+        node.properties.confidence : node.confidence;
+    return typeof value === 'number' ? value : null;
+}
+
+function resetFilterState() {
+    filterFacets.forEach(facet => {
+        filterState.selected[facet.key] = new Set();
+    });
+    filterState.confidence = [0, 1];
+    filterState.hideIsolated = false;
+}
+
+function isFilterActive() {
+    return filterFacets.some(facet => filterState.selected[facet.key].size > 0) ||
+        filterState.confidence[0] > 0 || filterState.confidence[1] < 1 ||
+        filterState.hideIsolated;
+}
+
+function nodePassesFilters(node) {
+    for (const facet of filterFacets) {
+        if (facet.links) continue;
+        const selected = filterState.selected[facet.key];
+        if (selected.size === 0) continue;
+
+        const value = facet.value(node);
+        if (facet.optional && (value === undefined || value === null)) continue;
+        if (!selected.has(String(value))) return false;
+    }
+
+    const confidence = getNodeConfidence(node);
+    if (confidence !== null &&
+        (confidence < filterState.confidence[0] || confidence > filterState.confidence[1])) {
+        return false;
+    }
+    return true;
+}
+
+function getFilteredGraphData() {
+    const nodeSet = new Set(graphData.nodes.filter(nodePassesFilters));
+    const relations = filterState.selected.relation;
+
+    const links = graphData.links.filter(link => {
+        const source = getLinkEndpoint(link, 'source');
+        const target = getLinkEndpoint(link, 'target');
+        return nodeSet.has(source) && nodeSet.has(target) &&
+            (relations.size === 0 || relations.has(link.relation));
+    });
+
+    let nodes = [...nodeSet];
+    if (filterState.hideIsolated) {
+        const connected = new Set();
+        links.forEach(link => {
+            connected.add(getLinkEndpoint(link, 'source'));
+            connected.add(getLinkEndpoint(link, 'target'));
+        });
+        nodes = nodes.filter(node => connected.has(node));
+    }
+
+    return { nodes, links };
+}
+
+function applyFilters() {
+    if (!Graph) return;
+
+    // The document overview replaces the entity graph; leave it so the filtered graph is not overwritten later
+    if (docViewActive) exitDocumentView();
+
+    const filtered = getFilteredGraphData();
+
+    // Same node objects keep their x/y/z, which only the force layout moves (graph.js), so nothing re-settles
+    Graph.graphData(collapseHierarchy(filtered));
+
+    updateFilterStats(filtered);
+    document.getElementById('filter-btn').classList.toggle('active', isFilterActive());
+    window.dispatchEvent(new CustomEvent('filters-changed'));
+}
+
+function updateFilterStats(filtered) {
+    const active = isFilterActive();
+    document.getElementById('node-count').textContent = active ?
+        `${filtered.nodes.length} / ${graphData.nodes.length}` : graphData.nodes.length;
+    document.getElementById('link-count').textContent = active ?
+        `${filtered.links.length} / ${graphData.links.length}` : graphData.links.length;
+}
+
+function countFacetValues(facet) {
+    const counts = {};
+    (facet.links ? graphData.links : graphData.nodes).forEach(item => {
+        const value = facet.value(item);
+        if (value === undefined || value === null || value === '') return;
+        counts[value] = (counts[value] || 0) + 1;
+    });
+    return counts;
+}
+
+function renderFilterPanel() {
+    let html = '';
+    filterFacets.forEach(facet => {
+        const counts = countFacetValues(facet);
+        const values = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+        if (values.length === 0) return;
+
+        html += `<div class="facet"><div class="facet-title">${facet.title}</div>`;
+        values.forEach(value => {
+            const checked = filterState.selected[facet.key].has(value) ? 'checked' : '';
+            html += `
+                <label class="facet-option">
+                    <input type="checkbox" ${checked} data-facet="${facet.key}" value="${escapeHtml(value)}"
+                           onchange="toggleFacetValue(this)">
+                    <span>${escapeHtml(value)}</span>
+                    <span class="facet-count">${counts[value]}</span>
+                </label>
+            `;
+        });
+        html += '</div>';
+    });
+
+    const [min, max] = filterState.confidence;
+    html += `
+        <div class="facet">
+            <div class="facet-title">Confidence <span id="confidence-range-label">${min.toFixed(2)} – ${max.toFixed(2)}</span></div>
+            <div class="facet-range">
+                <input type="range" id="confidence-min" min="0" max="1" step="0.01" value="${min}" oninput="setConfidenceRange()">
+                <input type="range" id="confidence-max" min="0" max="1" step="0.01" value="${max}" oninput="setConfidenceRange()">
+            </div>
+        </div>
+        <label class="facet-option">
+            <input type="checkbox" ${filterState.hideIsolated ? 'checked' : ''} onchange="setHideIsolated(this.checked)">
+            <span>Hide unconnected nodes</span>
+        </label>
+    `;
+
+    document.getElementById('filter-facets').innerHTML = html;
+}
+
+function toggleFacetValue(checkbox) {
+    const selected = filterState.selected[checkbox.dataset.facet];
+    if (checkbox.checked) {
+        selected.add(checkbox.value);
+    } else {
+        selected.delete(checkbox.value);
+    }
+    applyFilters();
+}
+
+function setConfidenceRange() {
+    let min = parseFloat(document.getElementById('confidence-min').value);
+    let max = parseFloat(document.getElementById('confidence-max').value);
+    if (min > max) [min, max] = [max, min];
+
+    filterState.confidence = [min, max];
+    document.getElementById('confidence-range-label').textContent = `${min.toFixed(2)} – ${max.toFixed(2)}`;
+    applyFilters();
+}
+
+function setHideIsolated(value) {
+    filterState.hideIsolated = value;
+    applyFilters();
+}
+
+function clearFilters() {
+    resetFilterState();
+    renderFilterPanel();
+    applyFilters();
+}
+
+function toggleFilterPanel() {
+    if (togglePanel('filter-panel')) {
+        renderFilterPanel();
+    }
+}
+
+resetFilterState();
+
+window.addEventListener('graph-loaded', () => {
+    resetFilterState();
+    renderFilterPanel();
+    document.getElementById('filter-btn').classList.remove('active');
+});
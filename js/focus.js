@@ -0,0 +1,172 @@
+// focus.js - Ego-graph focus mode: k-hop neighborhood of the selected node
+const focusState = {
+    active: false,
+    node: null,
+    depth: 1,
+    history: [],
+    neighbors: []       // nodes in the neighbor list, in order
+};
+
+const MAX_NEIGHBORS_PER_GROUP = 25;
+let focusNavigating = false;
+
+function getNeighborhood(center, depth, adjacency) {
+    const visited = new Set([center]);
+    let frontier = [center];
+
+    for (let hop = 0; hop < depth; hop++) {
+        const next = [];
+        frontier.forEach(node => {
+            (adjacency.get(node) || []).forEach(({ node: neighbor }) => {
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    next.push(neighbor);
+                }
+            });
+        });
+        frontier = next;
+    }
+    return visited;
+}
+
+function toggleFocusMode() {
+    if (focusState.active) {
+        exitFocusMode();
+        return;
+    }
+
+    focusState.active = true;
+    focusState.history = [];
+    document.getElementById('focus-btn').classList.add('active');
+    document.getElementById('focus-bar').style.display = 'flex';
+
+    if (selectedNode) {
+        setFocus(selectedNode);
+    } else {
+        renderFocusBar();
+        document.getElementById('node-info').innerHTML = 'Click a node to focus on its neighborhood';
+    }
+}
+
+function exitFocusMode() {
+    if (!focusState.active) return;
+
+    focusState.active = false;
+    focusState.node = null;
+    focusState.history = [];
+    document.getElementById('focus-btn').classList.remove('active');
+    document.getElementById('focus-bar').style.display = 'none';
+    setHighlight(null);
+    window.dispatchEvent(new CustomEvent('focus-changed'));
+}
+
+function setFocus(node, fromHistory) {
+    focusState.node = node;
+    if (!fromHistory && focusState.history[focusState.history.length - 1] !== node) {
+        focusState.history.push(node);
+    }
+
+    // Adjacency over the links on screen, so filters carry over into focus mode
+    const adjacency = buildAdjacency(Graph ? Graph.graphData().links : graphData.links);
+    setHighlight(getNeighborhood(node, focusState.depth, adjacency));
+    renderFocusBar();
+    renderNeighborList(node, adjacency);
+    window.dispatchEvent(new CustomEvent('focus-changed'));
+}
+
+function setFocusDepth(depth) {
+    focusState.depth = depth;
+    if (focusState.node) {
+        setFocus(focusState.node, true);
+    } else {
+        renderFocusBar();
+    }
+}
+
+// Move the focus through the normal selection path so the info panel and camera follow
+function navigateFocus(node, fromHistory) {
+    focusNavigating = fromHistory;
+    handleNodeClick(node);
+    focusNavigating = false;
+}
+
+function focusNeighbor(index) {
+    const node = focusState.neighbors[index];
+    if (node) navigateFocus(node, false);
+}
+
+function focusHistoryStep(index) {
+    const node = focusState.history[index];
+    if (!node) return;
+    focusState.history = focusState.history.slice(0, index + 1);
+    navigateFocus(node, true);
+}
+
+function focusBack() {
+    if (focusState.history.length < 2) return;
+    focusHistoryStep(focusState.history.length - 2);
+}
+
+function renderFocusBar() {
+    let html = '<span class="focus-label">Hops:</span>';
+    [1, 2, 3].forEach(depth => {
+        html += `<button class="focus-depth${depth === focusState.depth ? ' active' : ''}" onclick="setFocusDepth(${depth})">${depth}</button>`;
+    });
+
+    html += `<button class="focus-depth" onclick="focusBack()" ${focusState.history.length < 2 ? 'disabled' : ''} title="Back">◀</button>`;
+
+    html += '<div class="focus-crumbs">';
+    html += focusState.history.map((node, index) => {
+        const current = index === focusState.history.length - 1;
+        return `<span class="focus-crumb${current ? ' current' : ''}" onclick="focusHistoryStep(${index})"
+                      title="${escapeHtml(node.type)}">${escapeHtml(node.label)}</span>`;
+    }).join('<span class="focus-sep">›</span>');
+    html += '</div>';
+
+    html += '<button class="panel-close" onclick="exitFocusMode()" title="Exit focus mode">✕</button>';
+    document.getElementById('focus-bar').innerHTML = html;
+}
+
+function renderNeighborList(node, adjacency) {
+    const groups = {};
+    (adjacency.get(node) || []).forEach(({ node: neighbor, link, outgoing }) => {
+        const key = `${outgoing ? '→' : '←'} ${link.relation}`;
+        if (!groups[key]) groups[key] = [];
+        if (!groups[key].includes(neighbor)) groups[key].push(neighbor);
+    });
+
+    const keys = Object.keys(groups).sort((a, b) => groups[b].length - groups[a].length);
+    let html = `<div class="neighbor-list"><strong>Neighbors (${focusState.depth}-hop focus):</strong>`;
+    focusState.neighbors = [];
+    if (keys.length === 0) {
+        html += '<div class="panel-note">No connections</div>';
+    }
+    keys.forEach(key => {
+        const neighbors = groups[key];
+        html += `<div class="neighbor-group"><div class="neighbor-relation">${escapeHtml(key)} (${neighbors.length})</div>`;
+        neighbors.slice(0, MAX_NEIGHBORS_PER_GROUP).forEach(neighbor => {
+            focusState.neighbors.push(neighbor);
+            html += `
+                <div class="neighbor-item" onclick="focusNeighbor(${focusState.neighbors.length - 1})">
+                    <span class="status-dot" style="background: ${neighbor.color};"></span>${escapeHtml(neighbor.label)}
+                </div>
+            `;
+        });
+        if (neighbors.length > MAX_NEIGHBORS_PER_GROUP) {
+            html += `<div class="panel-note">+${neighbors.length - MAX_NEIGHBORS_PER_GROUP} more</div>`;
+        }
+        html += '</div>';
+    });
+    html += '</div>';
+
+    document.getElementById('node-info').insertAdjacentHTML('beforeend', html);
+}
+
+window.addEventListener('node-selected', (event) => {
+    if (focusState.active) {
+        setFocus(event.detail, focusNavigating);
+    }
+});
+
+window.addEventListener('view-reset', exitFocusMode);
+window.addEventListener('graph-loaded', exitFocusMode);
@@ -0,0 +1,19 @@
+// force-layout-worker.js - Runs the force simulation from force-layout.js off the main thread
+// Receives { count, springs, initial } and posts { positions, done } every FORCE_STREAM_INTERVAL ticks.
+importScripts('layouts.js', 'force-layout.js');
+
+self.onmessage = (event) => {
+    const { count, springs, initial } = event.data;
+    const simulation = createForceSimulation(count, springs, initial);
+
+    const post = (done) => {
+        const positions = Float32Array.from(simulation.positions);
+        self.postMessage({ positions: positions, done: done }, [positions.buffer]);
+    };
+
+    while (!simulation.isDone()) {
+        simulation.tick();
+        if (simulation.step % FORCE_STREAM_INTERVAL === 0 && !simulation.isDone()) post(false);
+    }
+    post(true);
+};
@@ -0,0 +1,329 @@
+// force-layout.js - Headless force layout and layout cache shared by the desktop and AR viewers
+// Loaded as a classic script so both graph.js and the ar-graph.js module can use it; force-layout-worker.js
+// imports it as well. The simulation runs in a Web Worker and streams positions back while it settles.
+// Positions are flat Float32Arrays [x0, y0, z0, x1, ...] in desktop units; springs are flat [a0, b0, a1, b1, ...].
+
+// About the spacing of a d3 layout with charge -120 and link distance 50
+const FORCE_CHARGE = 120;
+const FORCE_LINK_DISTANCE = 50;
+const FORCE_LINK_STRENGTH = 0.1;
+const FORCE_GRAVITY = 0.06;   // pull towards the origin, keeps the result about as wide as such a d3 layout
+const FORCE_ITERATIONS = 150;
+const FORCE_STREAM_INTERVAL = 2;   // ticks between position messages from the worker
+const FORCE_WORKER_URL = 'js/force-layout-worker.js';
+
+const FORCE_THETA = 0.9;   // Barnes-Hut accuracy, as d3's default
+const FORCE_OCTREE_MAX_DEPTH = 24;
+const FORCE_CELL_EMPTY = -1;
+const FORCE_CELL_INTERNAL = -2;
+
+const FORCE_LAYOUT_STORE = 'forceLayouts';
+const MAX_CACHED_LAYOUTS = 10;
+
+// Physics of this simulation as part of a cache key; a change to the forces invalidates old layouts
+const FORCE_PHYSICS_KEY = `headless-c${FORCE_CHARGE}-d${FORCE_LINK_DISTANCE}-s${FORCE_LINK_STRENGTH}-g${FORCE_GRAVITY}-i${FORCE_ITERATIONS}`;
+
+function seedForcePositions(count) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const p = fibonacciSphere(i, count, 10 * Math.cbrt(count));
+        positions[i * 3] = p.x;
+        positions[i * 3 + 1] = p.y;
+        positions[i * 3 + 2] = p.z;
+    }
+    return positions;
+}
+
+function createForceSimulation(count, springs, initial, iterations) {
+    const positions = initial ? Float32Array.from(initial) : seedForcePositions(count);
+    const steps = iterations || FORCE_ITERATIONS;
+    const simulation = { positions: positions, step: 0, steps: steps };
+
+    simulation.isDone = () => simulation.step >= steps;
+
+    simulation.tick = () => {
+        const alpha = 1 - simulation.step / steps;
+        const velocity = new Float32Array(count * 3);
+
+        // Repulsion through a Barnes-Hut octree, like d3's many-body force
+        const tree = buildForceOctree(positions, count);
+        for (let i = 0; i < count; i++) {
+            applyOctreeRepulsion(tree, positions, i, FORCE_CHARGE * alpha, velocity);
+        }
+
+        for (let s = 0; s < springs.length; s += 2) {
+            const a = springs[s];
+            const b = springs[s + 1];
+            const dx = positions[b * 3] - positions[a * 3];
+            const dy = positions[b * 3 + 1] - positions[a * 3 + 1];
+            const dz = positions[b * 3 + 2] - positions[a * 3 + 2];
+            const d = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+            const force = ((d - FORCE_LINK_DISTANCE) / d) * FORCE_LINK_STRENGTH * alpha;
+            velocity[a * 3] += dx * force; velocity[a * 3 + 1] += dy * force; velocity[a * 3 + 2] += dz * force;
+            velocity[b * 3] -= dx * force; velocity[b * 3 + 1] -= dy * force; velocity[b * 3 + 2] -= dz * force;
+        }
+
+        // Capped step, cooling with alpha, so close pairs cannot fling each other away
+        const maxStep = 2 + 20 * alpha;
+        for (let i = 0; i < count * 3; i += 3) {
+            const dx = velocity[i] - positions[i] * FORCE_GRAVITY;
+            const dy = velocity[i + 1] - positions[i + 1] * FORCE_GRAVITY;
+            const dz = velocity[i + 2] - positions[i + 2] * FORCE_GRAVITY;
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            const limit = length > maxStep ? maxStep / length : 1;
+            positions[i] += dx * limit;
+            positions[i + 1] += dy * limit;
+            positions[i + 2] += dz * limit;
+        }
+
+        simulation.step++;
+    };
+
+    return simulation;
+}
+
+// Octree cells live in flat typed arrays, grown as needed. body is the node index of a one-node leaf,
+// FORCE_CELL_EMPTY or FORCE_CELL_INTERNAL; mass and sums (x, y, z per cell) give each cell's centre of mass.
+function buildForceOctree(positions, count) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (let i = 0; i < count * 3; i += 3) {
+        minX = Math.min(minX, positions[i]); maxX = Math.max(maxX, positions[i]);
+        minY = Math.min(minY, positions[i + 1]); maxY = Math.max(maxY, positions[i + 1]);
+        minZ = Math.min(minZ, positions[i + 2]); maxZ = Math.max(maxZ, positions[i + 2]);
+    }
+
+    const tree = { size: 0, capacity: 0, centers: null, half: null, body: null, mass: null, sums: null, children: null };
+    const grow = () => {
+        const capacity = Math.max(64, tree.capacity * 2);
+        const resize = (array, Type, stride, fill) => {
+            const next = new Type(capacity * stride);
+            if (fill !== undefined) next.fill(fill);
+            if (array) next.set(array);
+            return next;
+        };
+        tree.centers = resize(tree.centers, Float64Array, 3);
+        tree.half = resize(tree.half, Float64Array, 1);
+        tree.body = resize(tree.body, Int32Array, 1);
+        tree.mass = resize(tree.mass, Float64Array, 1);
+        tree.sums = resize(tree.sums, Float64Array, 3);
+        tree.children = resize(tree.children, Int32Array, 8, -1);
+        tree.capacity = capacity;
+    };
+    const addCell = (x, y, z, half) => {
+        if (tree.size === tree.capacity) grow();
+        const cell = tree.size++;
+        tree.centers[cell * 3] = x;
+        tree.centers[cell * 3 + 1] = y;
+        tree.centers[cell * 3 + 2] = z;
+        tree.half[cell] = half;
+        tree.body[cell] = FORCE_CELL_EMPTY;
+        return cell;
+    };
+    const addMass = (cell, i) => {
+        tree.mass[cell]++;
+        tree.sums[cell * 3] += positions[i * 3];
+        tree.sums[cell * 3 + 1] += positions[i * 3 + 1];
+        tree.sums[cell * 3 + 2] += positions[i * 3 + 2];
+    };
+    const getChild = (cell, i) => {
+        const right = positions[i * 3] >= tree.centers[cell * 3];
+        const up = positions[i * 3 + 1] >= tree.centers[cell * 3 + 1];
+        const front = positions[i * 3 + 2] >= tree.centers[cell * 3 + 2];
+        const slot = cell * 8 + (right ? 1 : 0) + (up ? 2 : 0) + (front ? 4 : 0);
+        if (tree.children[slot] < 0) {
+            const half = tree.half[cell] / 2;
+            const child = addCell(
+                tree.centers[cell * 3] + (right ? half : -half),
+                tree.centers[cell * 3 + 1] + (up ? half : -half),
+                tree.centers[cell * 3 + 2] + (front ? half : -half),
+                half
+            );
+            tree.children[slot] = child;
+        }
+        return tree.children[slot];
+    };
+
+    addCell((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, Math.max(maxX - minX, maxY - minY, maxZ - minZ, 1) / 2);
+    for (let i = 0; i < count; i++) {
+        let cell = 0;
+        for (let depth = 0; ; depth++) {
+            addMass(cell, i);
+            if (tree.body[cell] === FORCE_CELL_EMPTY) {
+                tree.body[cell] = i;
+                break;
+            }
+            if (tree.body[cell] >= 0) {
+                // Coincident nodes share the leaf once the cells get this small
+                if (depth >= FORCE_OCTREE_MAX_DEPTH) break;
+                const other = tree.body[cell];
+                tree.body[cell] = FORCE_CELL_INTERNAL;
+                const otherCell = getChild(cell, other);
+                addMass(otherCell, other);
+                tree.body[otherCell] = other;
+            }
+            cell = getChild(cell, i);
+        }
+    }
+    tree.stack = new Int32Array(FORCE_OCTREE_MAX_DEPTH * 8 + 8);
+    return tree;
+}
+
+function applyOctreeRepulsion(tree, positions, i, strength, velocity) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    const { stack, mass, sums, half, body, children } = tree;
+    const theta2 = FORCE_THETA * FORCE_THETA;
+    let top = 0;
+    stack[top++] = 0;
+    while (top > 0) {
+        const cell = stack[--top];
+        const m = mass[cell];
+        if (m === 0 || (body[cell] === i && m === 1)) continue;
+
+        const dx = sums[cell * 3] / m - x;
+        const dy = sums[cell * 3 + 1] / m - y;
+        const dz = sums[cell * 3 + 2] / m - z;
+        const d2 = dx * dx + dy * dy + dz * dz;
+        const size = half[cell] * 2;
+
+        // Leaves and cells that look small from here act as one body at their centre of mass
+        if (body[cell] !== FORCE_CELL_INTERNAL || size * size < theta2 * d2) {
+            const force = (strength * m) / Math.max(d2, 1);
+            velocity[i * 3] -= dx * force;
+            velocity[i * 3 + 1] -= dy * force;
+            velocity[i * 3 + 2] -= dz * force;
+            continue;
+        }
+        for (let slot = cell * 8; slot < cell * 8 + 8; slot++) {
+            if (children[slot] >= 0) stack[top++] = children[slot];
+        }
+    }
+}
+
+// Edges as { source, target } node objects -> flat index pairs for the simulation
+function getForceSprings(nodes, edges) {
+    const index = new Map(nodes.map((node, i) => [node, i]));
+    const springs = [];
+    edges.forEach(edge => {
+        const a = index.get(edge.source);
+        const b = index.get(edge.target);
+        if (a !== undefined && b !== undefined && a !== b) springs.push(a, b);
+    });
+    return Uint32Array.from(springs);
+}
+
+// Runs the simulation in a worker. onPositions(positions) gets every streamed frame, onDone(positions) the
+// settled layout. Returns a function that stops the run. Without workers (e.g. a page opened from file://)
+// the simulation runs in place in one go.
+function runForceLayout(count, springs, initial, onPositions, onDone) {
+    let stopped = false;
+
+    const runInPlace = () => {
+        const simulation = createForceSimulation(count, springs, initial);
+        while (!simulation.isDone()) simulation.tick();
+        if (stopped) return;
+        onPositions(simulation.positions);
+        if (onDone) onDone(simulation.positions);
+    };
+
+    let worker;
+    try {
+        worker = new Worker(FORCE_WORKER_URL);
+    } catch (error) {
+        console.warn('Force layout worker unavailable, running in place:', error.message);
+        runInPlace();
+        return () => {
+            stopped = true;
+        };
+    }
+
+    worker.onmessage = (event) => {
+        if (stopped) return;
+        onPositions(event.data.positions);
+        if (event.data.done) {
+            worker.terminate();
+            if (onDone) onDone(event.data.positions);
+        }
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        worker.terminate();
+        console.warn('Force layout worker failed, running in place:', event.message);
+        if (!stopped) runInPlace();
+    };
+    worker.postMessage({ count: count, springs: springs, initial: initial });
+
+    return () => {
+        stopped = true;
+        worker.terminate();
+    };
+}
+
+// ---- Cache ----
+
+// Same viewer, physics, source, nodes and edges -> same key; a new pipeline run with other structure gets a
+// fresh layout. The viewers build different node sets from a file, so each keeps its own entry.
+function getForceLayoutKey(source, data, viewer, physics) {
+    const ids = [...(data.entities || []), ...(data.technical_specifications || [])].map(record => record.id);
+    const edges = (data.relationships || []).map(rel => `${rel.source}>${rel.target}`);
+    return `${viewer}:${physics}:${source.kind}:${source.name}:${hashString(ids.join('|') + '||' + edges.join('|')).toString(16)}`;
+}
+
+// Duplicate ids are told apart by occurrence ("id#2"), as in graph-diff.js
+function getLayoutNodeKeys(nodes) {
+    const seen = {};
+    return nodes.map(node => {
+        seen[node.id] = (seen[node.id] || 0) + 1;
+        return `${node.id}#${seen[node.id]}`;
+    });
+}
+
+async function loadCachedForceLayout(key) {
+    try {
+        const entry = await withViewerStore(FORCE_LAYOUT_STORE, 'readonly', store => store.get(key));
+        if (!entry) return null;
+        const positions = new Map();
+        entry.nodeKeys.forEach((nodeKey, i) => {
+            positions.set(nodeKey, { x: entry.positions[i * 3], y: entry.positions[i * 3 + 1], z: entry.positions[i * 3 + 2] });
+        });
+        return positions;
+    } catch (error) {
+        console.warn('Cached layout unavailable:', error.message);
+        return null;
+    }
+}
+
+async function saveCachedForceLayout(key, nodes, positions) {
+    const entry = { key: key, savedAt: Date.now(), nodeKeys: getLayoutNodeKeys(nodes), positions: Float32Array.from(positions) };
+    try {
+        await withViewerStore(FORCE_LAYOUT_STORE, 'readwrite', store => store.put(entry));
+        const entries = await withViewerStore(FORCE_LAYOUT_STORE, 'readonly', store => store.getAll());
+        const stale = entries.sort((a, b) => b.savedAt - a.savedAt).slice(MAX_CACHED_LAYOUTS);
+        if (stale.length > 0) {
+            await withViewerStore(FORCE_LAYOUT_STORE, 'readwrite', store => {
+                stale.forEach(old => store.delete(old.key));
+            });
+        }
+    } catch (error) {
+        console.warn('Could not cache layout:', error.message);
+    }
+}
+
+// Start positions for nodes: cached where known, seeded on a sphere otherwise
+function getCachedPositions(nodes, cached) {
+    const positions = seedForcePositions(nodes.length);
+    let missing = nodes.length;
+    if (cached) {
+        getLayoutNodeKeys(nodes).forEach((nodeKey, i) => {
+            const position = cached.get(nodeKey);
+            if (!position) return;
+            positions[i * 3] = position.x;
+            positions[i * 3 + 1] = position.y;
+            positions[i * 3 + 2] = position.z;
+            missing--;
+        });
+    }
+    return { positions: positions, missing: missing };
+}
@@ -0,0 +1,10 @@
+// graph-analytics-worker.js - Runs computeGraphAnalytics from graph-analytics.js off the main thread
+// Receives { count, edges } and posts the result once, with its arrays transferred.
+importScripts('graph-analytics.js');
+
+self.onmessage = (event) => {
+    const { count, edges } = event.data;
+    const result = computeGraphAnalytics(count, edges);
+    const buffers = ['degree', 'betweenness', 'pagerank', 'community', 'component'].map(key => result[key].buffer);
+    self.postMessage(result, buffers);
+};
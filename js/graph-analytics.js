@@ -0,0 +1,337 @@
+// graph-analytics.js - Degree, betweenness, PageRank, Louvain communities and connected components
+// Loaded as a classic script by the page; graph-analytics-worker.js imports it and runs the computation off the
+// main thread. Nodes are indexes 0..count-1 and edges flat pairs [source0, target0, source1, ...] as in
+// force-layout.js. PageRank follows edge direction; everything else treats the graph as undirected.
+
+const ANALYTICS_WORKER_URL = 'js/graph-analytics-worker.js';
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-9;
+const BETWEENNESS_EXACT_LIMIT = 3000;   // above this many nodes betweenness is estimated from sampled sources
+const BETWEENNESS_SAMPLES = 500;
+const LOUVAIN_MAX_LEVELS = 20;
+
+// Undirected adjacency in compressed rows: neighbors of i are neighbors[offsets[i]..offsets[i + 1]),
+// each once, with repeated edges summed into weights. Self-loops are dropped.
+function buildAnalyticsGraph(count, edges) {
+    const rows = Array.from({ length: count }, () => new Map());
+    for (let e = 0; e < edges.length; e += 2) {
+        const a = edges[e];
+        const b = edges[e + 1];
+        if (a === b || a >= count || b >= count) continue;
+        rows[a].set(b, (rows[a].get(b) || 0) + 1);
+        rows[b].set(a, (rows[b].get(a) || 0) + 1);
+    }
+    return compressAnalyticsRows(rows, new Float64Array(count));
+}
+
+// loops[i] is the weight of edges folded inside node i (Louvain aggregation); it counts twice towards its degree
+function compressAnalyticsRows(rows, loops) {
+    const count = rows.length;
+    const offsets = new Uint32Array(count + 1);
+    rows.forEach((row, i) => {
+        offsets[i + 1] = offsets[i] + row.size;
+    });
+    const neighbors = new Uint32Array(offsets[count]);
+    const weights = new Float64Array(offsets[count]);
+    rows.forEach((row, i) => {
+        let slot = offsets[i];
+        row.forEach((weight, j) => {
+            neighbors[slot] = j;
+            weights[slot++] = weight;
+        });
+    });
+    return { count, offsets, neighbors, weights, loops };
+}
+
+// Number of edges at each node, repeated edges included
+function computeDegree(graph) {
+    const degree = new Float64Array(graph.count);
+    for (let i = 0; i < graph.count; i++) {
+        for (let slot = graph.offsets[i]; slot < graph.offsets[i + 1]; slot++) degree[i] += graph.weights[slot];
+    }
+    return degree;
+}
+
+// Brandes' algorithm over shortest paths, ignoring edge multiplicity; scaled to 0..1 by the number of node pairs
+function computeBetweenness(graph) {
+    const { count, offsets, neighbors } = graph;
+    const centrality = new Float64Array(count);
+    const sigma = new Float64Array(count);
+    const delta = new Float64Array(count);
+    const distance = new Int32Array(count).fill(-1);
+    const order = new Uint32Array(count);
+
+    // Evenly spaced sources give a deterministic estimate on large graphs
+    const sampled = count > BETWEENNESS_EXACT_LIMIT;
+    const sourceCount = sampled ? BETWEENNESS_SAMPLES : count;
+    const stride = count / sourceCount;
+
+    for (let n = 0; n < sourceCount; n++) {
+        const source = sampled ? Math.floor(n * stride) : n;
+        let head = 0;
+        let tail = 0;
+        distance[source] = 0;
+        sigma[source] = 1;
+        order[tail++] = source;
+        while (head < tail) {
+            const v = order[head++];
+            for (let slot = offsets[v]; slot < offsets[v + 1]; slot++) {
+                const w = neighbors[slot];
+                if (distance[w] < 0) {
+                    distance[w] = distance[v] + 1;
+                    order[tail++] = w;
+                }
+                if (distance[w] === distance[v] + 1) sigma[w] += sigma[v];
+            }
+        }
+
+        // Dependencies flow back from the farthest nodes; predecessors are the neighbors one step closer
+        for (let k = tail - 1; k > 0; k--) {
+            const w = order[k];
+            for (let slot = offsets[w]; slot < offsets[w + 1]; slot++) {
+                const v = neighbors[slot];
+                if (distance[v] === distance[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+            }
+            centrality[w] += delta[w];
+        }
+        for (let k = 0; k < tail; k++) {
+            const v = order[k];
+            distance[v] = -1;
+            sigma[v] = 0;
+            delta[v] = 0;
+        }
+    }
+
+    // Each pair is seen from both ends
+    const pairs = (count - 1) * (count - 2);
+    const scale = pairs > 0 ? (count / sourceCount) / pairs : 0;
+    for (let i = 0; i < count; i++) centrality[i] *= scale;
+    return { centrality, sampled };
+}
+
+// Power iteration over directed edges; nodes without outgoing edges spread their rank evenly
+function computePageRank(count, edges) {
+    const outDegree = new Float64Array(count);
+    for (let e = 0; e < edges.length; e += 2) outDegree[edges[e]]++;
+
+    let rank = new Float64Array(count).fill(count > 0 ? 1 / count : 0);
+    let next = new Float64Array(count);
+    for (let iteration = 0; iteration < PAGERANK_ITERATIONS; iteration++) {
+        let dangling = 0;
+        for (let i = 0; i < count; i++) {
+            if (outDegree[i] === 0) dangling += rank[i];
+        }
+        next.fill((1 - PAGERANK_DAMPING + PAGERANK_DAMPING * dangling) / count);
+        for (let e = 0; e < edges.length; e += 2) {
+            next[edges[e + 1]] += PAGERANK_DAMPING * rank[edges[e]] / outDegree[edges[e]];
+        }
+
+        let change = 0;
+        for (let i = 0; i < count; i++) change += Math.abs(next[i] - rank[i]);
+        [rank, next] = [next, rank];
+        if (change < PAGERANK_TOLERANCE) break;
+    }
+    return rank;
+}
+
+// One Louvain phase: move single nodes to the neighboring community with the best modularity gain until
+// nothing moves. Returns the community of each node, or null when no node moved.
+function moveLouvainNodes(graph, strength, totalWeight) {
+    const { count, offsets, neighbors, weights } = graph;
+    const community = new Uint32Array(count);
+    const communityStrength = Float64Array.from(strength);
+    const linkWeight = new Float64Array(count);
+    const touched = [];
+    for (let i = 0; i < count; i++) community[i] = i;
+
+    let moved = false;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let i = 0; i < count; i++) {
+            const own = community[i];
+            touched.length = 0;
+            linkWeight[own] = 0;
+            touched.push(own);
+            for (let slot = offsets[i]; slot < offsets[i + 1]; slot++) {
+                const c = community[neighbors[slot]];
+                if (!touched.includes(c)) touched.push(c);
+                linkWeight[c] += weights[slot];
+            }
+
+            communityStrength[own] -= strength[i];
+            let best = own;
+            let bestGain = linkWeight[own] - communityStrength[own] * strength[i] / totalWeight;
+            touched.forEach(c => {
+                const gain = linkWeight[c] - communityStrength[c] * strength[i] / totalWeight;
+                if (gain > bestGain + 1e-12) {
+                    best = c;
+                    bestGain = gain;
+                }
+            });
+            communityStrength[best] += strength[i];
+            touched.forEach(c => {
+                linkWeight[c] = 0;
+            });
+
+            if (best !== own) {
+                community[i] = best;
+                changed = true;
+                moved = true;
+            }
+        }
+    }
+    return moved ? community : null;
+}
+
+// Communities numbered 0..n-1, largest first; ties keep the order they first appear in
+function renumberBySize(labels) {
+    const sizes = new Map();
+    labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+    const ranked = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a));
+    const index = new Map(ranked.map((label, i) => [label, i]));
+    return { labels: labels.map(label => index.get(label)), count: ranked.length };
+}
+
+// Louvain modularity optimization on the weighted undirected graph; modularity is reported for the result
+function computeCommunities(base) {
+    let graph = base;
+    let membership = new Uint32Array(base.count);
+    for (let i = 0; i < base.count; i++) membership[i] = i;
+
+    const getStrength = g => {
+        const strength = computeDegree(g);
+        for (let i = 0; i < g.count; i++) strength[i] += 2 * g.loops[i];
+        return strength;
+    };
+    const baseStrength = getStrength(base);
+    const totalWeight = baseStrength.reduce((sum, value) => sum + value, 0);
+    if (totalWeight === 0) {
+        const { labels, count } = renumberBySize(membership);
+        return { community: labels, count: count, modularity: 0 };
+    }
+
+    for (let level = 0; level < LOUVAIN_MAX_LEVELS; level++) {
+        const strength = level === 0 ? baseStrength : getStrength(graph);
+        const moved = moveLouvainNodes(graph, strength, totalWeight);
+        if (!moved) break;
+
+        // Fold each community into one node for the next level
+        const { labels, count } = renumberBySize(moved);
+        membership = membership.map(node => labels[node]);
+        const rows = Array.from({ length: count }, () => new Map());
+        const loops = new Float64Array(count);
+        for (let i = 0; i < graph.count; i++) {
+            const a = labels[i];
+            loops[a] += graph.loops[i];
+            for (let slot = graph.offsets[i]; slot < graph.offsets[i + 1]; slot++) {
+                const b = labels[graph.neighbors[slot]];
+                if (a === b) {
+                    loops[a] += graph.weights[slot] / 2;
+                } else {
+                    rows[a].set(b, (rows[a].get(b) || 0) + graph.weights[slot]);
+                }
+            }
+        }
+        graph = compressAnalyticsRows(rows, loops);
+    }
+
+    const { labels, count } = renumberBySize(membership);
+    const inside = new Float64Array(count);
+    const total = new Float64Array(count);
+    for (let i = 0; i < base.count; i++) {
+        total[labels[i]] += baseStrength[i];
+        for (let slot = base.offsets[i]; slot < base.offsets[i + 1]; slot++) {
+            if (labels[base.neighbors[slot]] === labels[i]) inside[labels[i]] += base.weights[slot];
+        }
+    }
+    let modularity = 0;
+    for (let c = 0; c < count; c++) modularity += inside[c] / totalWeight - (total[c] / totalWeight) ** 2;
+    return { community: labels, count: count, modularity: modularity };
+}
+
+// Breadth-first labelling, largest component first
+function computeComponents(graph) {
+    const { count, offsets, neighbors } = graph;
+    const component = new Int32Array(count).fill(-1);
+    const queue = new Uint32Array(count);
+    let next = 0;
+    for (let start = 0; start < count; start++) {
+        if (component[start] >= 0) continue;
+        let head = 0;
+        let tail = 0;
+        component[start] = next;
+        queue[tail++] = start;
+        while (head < tail) {
+            const v = queue[head++];
+            for (let slot = offsets[v]; slot < offsets[v + 1]; slot++) {
+                const w = neighbors[slot];
+                if (component[w] < 0) {
+                    component[w] = next;
+                    queue[tail++] = w;
+                }
+            }
+        }
+        next++;
+    }
+    const { labels, count: componentCount } = renumberBySize(Uint32Array.from(component));
+    return { component: labels, count: componentCount };
+}
+
+function computeGraphAnalytics(count, edges) {
+    const graph = buildAnalyticsGraph(count, edges);
+    const betweenness = computeBetweenness(graph);
+    const communities = computeCommunities(graph);
+    const components = computeComponents(graph);
+    return {
+        degree: computeDegree(graph),
+        betweenness: betweenness.centrality,
+        betweennessSampled: betweenness.sampled,
+        pagerank: computePageRank(count, edges),
+        community: communities.community,
+        communityCount: communities.count,
+        modularity: communities.modularity,
+        component: components.component,
+        componentCount: components.count
+    };
+}
+
+// Runs the computation in a worker and calls onDone(result) once. Returns a function that cancels the run.
+// Without workers (e.g. a page opened from file://) it runs in place, as runForceLayout does.
+function runGraphAnalytics(count, edges, onDone) {
+    let stopped = false;
+
+    const runInPlace = () => {
+        const result = computeGraphAnalytics(count, edges);
+        if (!stopped) onDone(result);
+    };
+
+    let worker;
+    try {
+        worker = new Worker(ANALYTICS_WORKER_URL);
+    } catch (error) {
+        console.warn('Analytics worker unavailable, running in place:', error.message);
+        runInPlace();
+        return () => {
+            stopped = true;
+        };
+    }
+
+    worker.onmessage = (event) => {
+        worker.terminate();
+        if (!stopped) onDone(event.data);
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        worker.terminate();
+        console.warn('Analytics worker failed, running in place:', event.message);
+        if (!stopped) runInPlace();
+    };
+    worker.postMessage({ count: count, edges: edges });
+
+    return () => {
+        stopped = true;
+        worker.terminate();
+    };
+}
@@ -0,0 +1,433 @@
+// graph-diff.js - Compare the loaded graph against a baseline version of the same file
+// Entities match by id, edges by source|relation|target (plus occurrence for repeats).
+const diffState = {
+    active: false,
+    baselineName: '',
+    baselineData: null,
+    nodeDiffs: new Map(),   // node -> { status, changes }
+    linkDiffs: new Map(),   // link -> { status, changes }
+    removedNodes: new Map(),  // occurrence key ("id#n") -> baseline node
+    listedNodes: [],        // nodes in the summary's lists, in order
+    metadata: null,
+    saved: null
+};
+
+const diffColors = {
+    added: '#2ed573',
+    removed: '#ff4757',
+    changed: '#ffa502',
+    unchanged: '#3a3a48'
+};
+const diffStatuses = ['added', 'removed', 'changed', 'unchanged'];
+const MAX_DIFF_LIST = 50;
+
+function diffValue(value) {
+    return value === undefined || value === null ? '' : JSON.stringify(value);
+}
+
+// [{ field, before, after }] for every top-level field and property that differs
+function compareRecords(before, after, fields) {
+    const changes = [];
+    fields.forEach(field => {
+        if (diffValue(before[field]) !== diffValue(after[field])) {
+            changes.push({ field: field, before: before[field], after: after[field] });
+        }
+    });
+
+    const beforeProps = before.properties || {};
+    const afterProps = after.properties || {};
+    new Set([...Object.keys(beforeProps), ...Object.keys(afterProps)]).forEach(key => {
+        if (diffValue(beforeProps[key]) !== diffValue(afterProps[key])) {
+            changes.push({ field: `properties.${key}`, before: beforeProps[key], after: afterProps[key] });
+        }
+    });
+    return changes;
+}
+
+function endpointId(link, end) {
+    const value = link[end];
+    return typeof value === 'object' ? value.id : value;
+}
+
+// Repeated keys get #1, #2... so duplicate ids and parallel edges pair up in file order
+function keyByOccurrence(items, keyFn) {
+    const seen = {};
+    const keyed = new Map();
+    items.forEach(item => {
+        const base = keyFn(item);
+        seen[base] = (seen[base] || 0) + 1;
+        keyed.set(`${base}#${seen[base]}`, item);
+    });
+    return keyed;
+}
+
+function computeGraphDiff(baseline, current) {
+    const nodeDiffs = new Map();
+    const linkDiffs = new Map();
+    const removedNodes = new Map();
+
+    const baselineNodes = keyByOccurrence(baseline.nodes, node => node.id);
+    const currentNodes = keyByOccurrence(current.nodes, node => node.id);
+
+    currentNodes.forEach((node, key) => {
+        const before = baselineNodes.get(key);
+        if (!before) {
+            nodeDiffs.set(node, { status: 'added', changes: [] });
+            return;
+        }
+        const changes = compareRecords(before, node, ['label', 'type', 'source_doc', 'confidence']);
+        nodeDiffs.set(node, { status: changes.length > 0 ? 'changed' : 'unchanged', changes: changes });
+    });
+
+    baselineNodes.forEach((node, key) => {
+        if (currentNodes.has(key)) return;
+        removedNodes.set(key, node);
+        nodeDiffs.set(node, { status: 'removed', changes: [] });
+    });
+
+    const linkKey = link => `${endpointId(link, 'source')}|${link.relation}|${endpointId(link, 'target')}`;
+    const baselineLinks = keyByOccurrence(baseline.links, linkKey);
+    const currentLinks = keyByOccurrence(current.links, linkKey);
+
+    currentLinks.forEach((link, key) => {
+        const before = baselineLinks.get(key);
+        if (!before) {
+            linkDiffs.set(link, { status: 'added', changes: [] });
+            return;
+        }
+        const changes = compareRecords(before, link, ['is_negative', 'details']);
+        linkDiffs.set(link, { status: changes.length > 0 ? 'changed' : 'unchanged', changes: changes });
+    });
+
+    // Removed edges attach to whichever version of each endpoint is on screen (last wins, as in nodeById)
+    const currentById = new Map(current.nodes.map(node => [node.id, node]));
+    const removedById = new Map([...removedNodes.values()].map(node => [node.id, node]));
+    const resolve = id => currentById.get(id) || removedById.get(id);
+
+    const removedLinks = [];
+    baselineLinks.forEach((link, key) => {
+        if (currentLinks.has(key)) return;
+        const removed = { ...link, source: resolve(endpointId(link, 'source')), target: resolve(endpointId(link, 'target')) };
+        if (!removed.source || !removed.target) return;
+        linkDiffs.set(removed, { status: 'removed', changes: [] });
+        removedLinks.push(removed);
+    });
+
+    return { nodeDiffs, linkDiffs, removedNodes, removedLinks };
+}
+
+// metadata.config and generated_at, side by side
+function compareMetadata(baseline, current) {
+    const before = (baseline.metadata && baseline.metadata.config) || {};
+    const after = (current.metadata && current.metadata.config) || {};
+    const rows = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort().map(key => ({
+        key: key,
+        before: before[key],
+        after: after[key],
+        changed: diffValue(before[key]) !== diffValue(after[key])
+    }));
+
+    return {
+        generatedBefore: baseline.metadata && baseline.metadata.generated_at,
+        generatedAfter: current.metadata && current.metadata.generated_at,
+        rows: rows
+    };
+}
+
+function countDiffStatuses(diffs) {
+    const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    diffs.forEach(diff => {
+        counts[diff.status]++;
+    });
+    return counts;
+}
+
+function diffNodeColor(node) {
+    const diff = diffState.nodeDiffs.get(node);
+    return diff ? diffColors[diff.status] : null;
+}
+
+function diffLinkColor(link) {
+    if (highlightedNodes && !(highlightedNodes.has(link.source) && highlightedNodes.has(link.target))) {
+        return dimmedLinkColor;
+    }
+    const diff = diffState.linkDiffs.get(link);
+    return diff ? diffColors[diff.status] : diffColors.unchanged;
+}
+
+function toggleDiffPanel() {
+    if (togglePanel('diff-panel')) {
+        renderRecentSources(document.getElementById('diff-recent-sources'), loadDiffBaseline);
+        renderDiffSummary();
+    }
+}
+
+async function loadDiffBaseline(source) {
+    document.getElementById('diff-summary').innerHTML = `<div class="panel-note">Loading ${escapeHtml(source.name)}…</div>`;
+    try {
+        const data = await readDataSource(source);
+        assertGraphShape(data);
+        diffState.baselineName = source.name;
+        diffState.baselineData = data;
+        enterDiffMode();
+    } catch (error) {
+        console.error('Error loading baseline:', error);
+        document.getElementById('diff-summary').innerHTML = `<div class="panel-note">❌ ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function loadDiffBaselineUrl() {
+    const url = document.getElementById('diff-url-input').value.trim();
+    if (url) {
+        loadDiffBaseline({ kind: 'url', name: url, url: url });
+    }
+}
+
+function enterDiffMode() {
+    if (!Graph) return;
+
+    // Diff colors replace every other node style, so leave the other modes first
+    if (diffState.active) exitDiffMode();
+    if (docViewActive) exitDocumentView();
+    exitComplianceMode();
+    exitAnalyticsMode();
+    exitFocusMode();
+    setHighlight(null);
+
+    const baseline = buildGraphData(diffState.baselineData);
+    const diff = computeGraphDiff(baseline, graphData);
+    diffState.nodeDiffs = diff.nodeDiffs;
+    diffState.linkDiffs = diff.linkDiffs;
+    diffState.removedNodes = diff.removedNodes;
+    diffState.metadata = compareMetadata(diffState.baselineData, rawData);
+
+    // Removed nodes start next to a surviving neighbor rather than at the origin
+    diff.removedLinks.forEach(link => {
+        [['source', 'target'], ['target', 'source']].forEach(([end, other]) => {
+            const node = link[end];
+            const anchor = link[other];
+            if (diff.nodeDiffs.get(node).status === 'removed' && node.x === undefined && anchor.x !== undefined) {
+                node.x = anchor.x + (Math.random() - 0.5) * 20;
+                node.y = anchor.y + (Math.random() - 0.5) * 20;
+                node.z = anchor.z + (Math.random() - 0.5) * 20;
+            }
+        });
+    });
+
+    diffState.saved = {
+        graphData: Graph.graphData(),
+        linkColor: Graph.linkColor(),
+        linkMaterial: Graph.linkMaterial(),
+        linkDirectionalArrowColor: Graph.linkDirectionalArrowColor(),
+        linkDirectionalParticles: Graph.linkDirectionalParticles()
+    };
+    diffState.active = true;
+
+    holdCooldown(0);
+    Graph.linkColor(diffLinkColor)
+        .linkMaterial(null)
+        .linkDirectionalArrowColor(diffLinkColor)
+        .linkDirectionalParticles(0)
+        .graphData({
+            nodes: [...graphData.nodes, ...diff.removedNodes.values()],
+            links: [...graphData.links, ...diff.removedLinks]
+        });
+    setNodeStyleOverride(diffNodeColor, null);
+
+    document.getElementById('diff-btn').classList.add('active');
+    togglePanel('diff-panel', true);
+    renderDiffSummary();
+}
+
+function exitDiffMode() {
+    if (!diffState.active) return;
+    diffState.active = false;
+
+    const saved = diffState.saved;
+    diffState.saved = null;
+
+    holdCooldown(0);
+    Graph.linkColor(saved.linkColor)
+        .linkMaterial(saved.linkMaterial)
+        .linkDirectionalArrowColor(saved.linkDirectionalArrowColor)
+        .linkDirectionalParticles(saved.linkDirectionalParticles)
+        .graphData(saved.graphData);
+    setNodeStyleOverride(null, null);
+    setHighlight(null);
+
+    document.getElementById('diff-btn').classList.remove('active');
+    renderDiffSummary();
+}
+
+function highlightDiffStatus(status) {
+    const nodes = new Set();
+    diffState.nodeDiffs.forEach((diff, node) => {
+        if (diff.status === status) nodes.add(node);
+    });
+    // Edge changes light up their endpoints too
+    diffState.linkDiffs.forEach((diff, link) => {
+        if (diff.status === status) {
+            nodes.add(getDiffEndpoint(link, 'source'));
+            nodes.add(getDiffEndpoint(link, 'target'));
+        }
+    });
+    setHighlight(nodes.size > 0 ? nodes : null);
+}
+
+function getDiffEndpoint(link, end) {
+    const value = link[end];
+    return typeof value === 'object' ? value : nodeById.get(value);
+}
+
+// Removed nodes are not in nodeById; they are looked up by occurrence key
+function selectDiffNode(index) {
+    const node = diffState.listedNodes[index];
+    if (node) handleNodeClick(node);
+}
+
+function formatDiffValue(value) {
+    if (value === undefined || value === null) return '<span class="diff-empty">—</span>';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+}
+
+function renderDiffCounts(title, counts) {
+    return `
+        <div class="facet-title">${title}</div>
+        <div class="panel-filters">
+            ${diffStatuses.filter(status => counts[status] > 0).map(status => `
+                <button class="status-chip" style="border-color: ${diffColors[status]};" onclick="highlightDiffStatus('${status}')">
+                    <span style="color: ${diffColors[status]}; font-weight: 600;">${counts[status]}</span> ${status}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderDiffSummary() {
+    const container = document.getElementById('diff-summary');
+    if (!diffState.active) {
+        container.innerHTML = diffState.baselineData ?
+            `<button class="info-btn" onclick="enterDiffMode()">Show diff against ${escapeHtml(diffState.baselineName)}</button>` :
+            '<div class="panel-note">Choose an earlier version of this graph as the baseline.</div>';
+        return;
+    }
+
+    const meta = diffState.metadata;
+    let html = `
+        <div class="panel-note">${escapeHtml(diffState.baselineName)} → ${escapeHtml(getCurrentDataSource().name)}</div>
+        ${renderDiffCounts('Nodes', countDiffStatuses(diffState.nodeDiffs))}
+        ${renderDiffCounts('Edges', countDiffStatuses(diffState.linkDiffs))}
+        <div class="facet-title">Pipeline configuration</div>
+        <table class="data-table diff-table">
+            <thead><tr><th></th><th>Baseline</th><th>Current</th></tr></thead>
+            <tbody>
+                <tr class="${diffValue(meta.generatedBefore) !== diffValue(meta.generatedAfter) ? 'diff-changed' : ''}">
+                    <td>generated_at</td><td>${formatDiffValue(meta.generatedBefore)}</td><td>${formatDiffValue(meta.generatedAfter)}</td>
+                </tr>
+                ${meta.rows.map(row => `
+                    <tr class="${row.changed ? 'diff-changed' : ''}">
+                        <td>${escapeHtml(row.key)}</td><td>${formatDiffValue(row.before)}</td><td>${formatDiffValue(row.after)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    diffState.listedNodes = [];
+    ['changed', 'added', 'removed'].forEach(status => {
+        const nodes = [...diffState.nodeDiffs].filter(([, diff]) => diff.status === status).map(([node]) => node);
+        if (nodes.length === 0) return;
+
+        html += `<div class="neighbor-group"><div class="neighbor-relation">${status} nodes (${nodes.length})</div>`;
+        nodes.slice(0, MAX_DIFF_LIST).forEach(node => {
+            diffState.listedNodes.push(node);
+            html += `
+                <div class="neighbor-item" onclick="selectDiffNode(${diffState.listedNodes.length - 1})">
+                    <span class="status-dot" style="background: ${diffColors[status]};"></span>${escapeHtml(node.label)}
+                </div>
+            `;
+        });
+        if (nodes.length > MAX_DIFF_LIST) {
+            html += `<div class="panel-note">+${nodes.length - MAX_DIFF_LIST} more</div>`;
+        }
+        html += '</div>';
+    });
+
+    html += '<button class="info-btn" onclick="exitDiffMode()">Exit diff view</button>';
+    container.innerHTML = html;
+}
+
+function renderNodeDiff(node) {
+    const diff = diffState.nodeDiffs.get(node);
+    if (!diff) return;
+
+    let html = `
+        <div class="diff-node">
+            <strong>Diff:</strong> <span style="color: ${diffColors[diff.status]}; font-weight: 600;">${diff.status}</span>
+    `;
+    if (diff.changes.length > 0) {
+        html += `
+            <table class="data-table diff-table">
+                <thead><tr><th>Field</th><th>Baseline</th><th>Current</th></tr></thead>
+                <tbody>
+                    ${diff.changes.map(change => `
+                        <tr>
+                            <td>${escapeHtml(change.field)}</td>
+                            <td class="diff-before">${formatDiffValue(change.before)}</td>
+                            <td class="diff-after">${formatDiffValue(change.after)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Edge changes around this node
+    const edgeChanges = [];
+    diffState.linkDiffs.forEach((linkDiff, link) => {
+        if (linkDiff.status === 'unchanged') return;
+        if (getDiffEndpoint(link, 'source') !== node && getDiffEndpoint(link, 'target') !== node) return;
+        edgeChanges.push({ link, linkDiff });
+    });
+    edgeChanges.slice(0, MAX_DIFF_LIST).forEach(({ link, linkDiff }) => {
+        const outgoing = getDiffEndpoint(link, 'source') === node;
+        const other = getDiffEndpoint(link, outgoing ? 'target' : 'source');
+        const detail = linkDiff.changes.map(change => `${change.field}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`).join(', ');
+        html += `
+            <div class="neighbor-item">
+                <span class="status-dot" style="background: ${diffColors[linkDiff.status]};"></span>
+                ${outgoing ? '→' : '←'} ${escapeHtml(link.relation)} ${escapeHtml(other.label)}
+                ${detail ? `<div class="panel-note">${detail}</div>` : ''}
+            </div>
+        `;
+    });
+
+    if (edgeChanges.length > MAX_DIFF_LIST) {
+        html += `<div class="panel-note">+${edgeChanges.length - MAX_DIFF_LIST} more edge changes</div>`;
+    }
+
+    html += '</div>';
+    document.getElementById('node-info').insertAdjacentHTML('beforeend', html);
+}
+
+window.addEventListener('node-selected', (event) => {
+    if (diffState.active) {
+        renderNodeDiff(event.detail);
+    }
+});
+
+window.addEventListener('graph-loaded', () => {
+    // A new current graph: keep the baseline, drop the computed diff
+    if (diffState.active) setNodeStyleOverride(null, null);
+    diffState.active = false;
+    diffState.saved = null;
+    diffState.nodeDiffs = new Map();
+    diffState.linkDiffs = new Map();
+    diffState.removedNodes = new Map();
+    document.getElementById('diff-btn').classList.remove('active');
+    renderDiffSummary();
+});
+
+window.addEventListener('load', () => {
+    setupDataFilePicker(document.getElementById('diff-file-input'), loadDiffBaseline);
+});
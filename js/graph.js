@@ -1,39 +1,89 @@
 // graph.js - Using 3d-force-graph library
 let Graph;
 let graphData = { nodes: [], links: [] };
+let rawData = null;
+let nodeById = new Map();
 
-const nodeColors = {
-    'Document': '#ff6b6b',
-    'Chunk': '#4ecdc4',
-    'default': '#45b7d1'
+// Mode-specific styling layered over node.color / node.val; return undefined to keep the default
+let nodeColorOverride = null;
+let nodeValOverride = null;
+
+// When set, nodes outside this Set are drawn dimmed
+let highlightedNodes = null;
+const dimmedNodeColor = '#2a2a35';
+const dimmedLinkOpacity = 0.04;
+const dimmedLinkColor = `rgba(255, 255, 255, ${dimmedLinkOpacity})`;
+
+let selectedNode = null;
+
+// Stops the shared force layout while it is still settling (see force-layout.js)
+let stopDesktopLayout = null;
+
+// cooldownTicks to put back once the engine stops after a change that should not re-settle the layout
+let heldCooldown = null;
+
+// Matches the library's default nodeRelSize, so custom shapes size like the built-in spheres
+const NODE_REL_SIZE = 4;
+const nodeGeometries = {};
+const nodeMaterials = {};
+
+// Edge styling per relation type; dash is [dashSize, gapSize] or null for solid
+const relationStyles = {
+    'HAS_SECTION': { color: '#ff9f43', dash: null },
+    'CONTAINS': { color: '#8892b0', dash: null },
+    'CONTAINS_SPEC': { color: '#4ecdc4', dash: [3, 2] },
+    'CONTAINS_COMPLIANCE': { color: '#a29bfe', dash: [3, 2] },
+    'HAS_SPECIFICATION': { color: '#45b7d1', dash: null },
+    'NEXT_SECTION': { color: '#feca57', dash: [1, 1.5] },
+    'VIOLATES': { color: '#ff4757', dash: null },
+    'COMPLIES_WITH': { color: '#2ed573', dash: null },
+    'COMPLIANT': { color: '#7bed9f', dash: null },
+    'UNKNOWN_COMPLIANCE': { color: '#ffa502', dash: [3, 2] },
+    'HAS_COMPLIANCE_FINDING': { color: '#d6a2e8', dash: null },
+    'CHECK_COMPLIANCE': { color: '#eccc68', dash: [3, 2] },
+    'SUBJECT_TO': { color: '#70a1ff', dash: [3, 2] },
+    'CONTAINS_SAFETY': { color: '#ffb142', dash: [3, 2] },
+    'default': { color: '#cccccc', dash: null }
 };
 
+const negativeLinkColor = '#ff3838';
+
+// Shared dashed materials, indexed by color + dash pattern
+const dashedMaterials = {};
+
 // Initialize on page load
 window.addEventListener('load', () => {
+    loadingScreenMarkup = document.getElementById('loading-screen').innerHTML;
+    setupDataFilePicker(document.getElementById('data-file-input'), openDataSource);
+    setupDataDrop(openDataSource);
     loadGraphData();
 });
 
+// Loader markup, restored when a new source is opened after an error replaced it
+let loadingScreenMarkup = '';
+
 async function loadGraphData() {
+    const source = getCurrentDataSource();
     try {
-        const response = await fetch('./Data/knowledge-graph.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
+        const data = await readDataSource(source);
+        assertGraphShape(data);
+        const layoutKey = getForceLayoutKey(source, data, 'desktop', FORCE_PHYSICS_KEY);
+        const cachedLayout = await loadCachedForceLayout(layoutKey);
         
         // Hide loading screen
         document.getElementById('loading-screen').style.display = 'none';
+        document.getElementById('source-name').textContent = source.name;
         
         // Transform data and initialize graph
-        transformAndInitGraph(data);
+        transformAndInitGraph(data, layoutKey, cachedLayout);
     } catch (error) {
         console.error('Error loading graph data:', error);
         document.getElementById('loading-screen').innerHTML = `
             <div style="color: white; text-align: center;">
                 <h2>❌ Error Loading Data</h2>
-                <p>${error.message}</p>
-                <p style="margin-top: 20px;">Make sure your JSON file is in the Data folder</p>
-                <button onclick="location.reload()" style="
+                <p>${escapeHtml(error.message)}</p>
+                <p style="margin-top: 20px;">Could not load ${escapeHtml(source.name)}. Open another file or drop one here.</p>
+                <button onclick="reloadData()" style="
                     margin-top: 20px;
                     padding: 10px 20px;
                     background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
@@ -43,12 +93,23 @@ async function loadGraphData() {
                     cursor: pointer;
                     font-size: 1em;
                 ">Retry</button>
+                <button onclick="document.getElementById('data-file-input').click()" style="
+                    margin-top: 20px;
+                    padding: 10px 20px;
+                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                    color: white;
+                    border: none;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    font-size: 1em;
+                ">📂 Open File</button>
             </div>
         `;
     }
 }
 
-function transformAndInitGraph(data) {
+// Raw file -> { nodes, links } with no side effects, so other views (e.g. diffs) can build a second graph
+function buildGraphData(data) {
     const entities = data.entities || [];
     const relationships = data.relationships || [];
 
@@ -59,20 +120,57 @@ function transformAndInitGraph(data) {
         type: entity.type,
         properties: entity.properties,
         source_doc: entity.source_doc,
-        color: nodeColors[entity.type] || nodeColors.default,
-        val: entity.type === 'Document' ? 8 : 4 // Size based on type
+        parent_chunk_id: entity.parent_chunk_id,
+        confidence: entity.confidence,
+        color: getTypeStyle(entity.type).color,
+        val: getTypeStyle(entity.type).size
     }));
 
+    // Specification records are the targets of CONTAINS_SPEC / HAS_SPECIFICATION
+    (data.technical_specifications || []).forEach(spec => {
+        const { id, item_name, spec_value, source_document, ...properties } = spec;
+        nodes.push({
+            id: id,
+            label: `${item_name}: ${spec_value}`,
+            type: 'Specification',
+            properties: { spec_value, ...properties },
+            source_doc: source_document,
+            color: getTypeStyle('Specification').color,
+            val: getTypeStyle('Specification').size
+        });
+    });
+
+    // Finding record ids and specification ids resolve to node ids (see data-validation.js)
+    const resolveId = createIdResolver(data);
+
+    // Safety warnings hang off the chunks they were extracted from (safety.js); d3 throws on unknown chunk ids
+    const safety = buildSafetyWarnings(data.compliance_and_safety || [], resolveId);
+    nodes.push(...safety.nodes);
+
     // Transform relationships to links
     let links = [];
     
     if (relationships && relationships.length > 0) {
         // If relationships exist in JSON, use them
-        links = relationships.map(rel => ({
-            source: rel.source,
-            target: rel.target,
-            type: rel.type || 'connects'
-        }));
+        relationships.forEach(rel => {
+            const source = resolveId(rel.source);
+            const target = resolveId(rel.target);
+            if (!source || !target) return; // d3 link force throws on unknown ids
+
+            links.push({
+                source: source,
+                target: target,
+                relation: rel.relation || 'RELATED_TO',
+                is_negative: !!rel.is_negative,
+                properties: rel.properties || {},
+                details: rel.details || ''
+            });
+        });
+
+        const skipped = relationships.length - links.length;
+        if (skipped > 0) {
+            console.warn(`Skipped ${skipped} relationships with unknown endpoints (see Data Quality)`);
+        }
     } else {
         // Auto-create links based on document_id in properties
         // Connect chunks to their parent document
@@ -81,7 +179,8 @@ function transformAndInitGraph(data) {
                 links.push({
                     source: entity.properties.document_id,
                     target: entity.id,
-                    type: 'contains'
+                    relation: 'HAS_SECTION',
+                    is_negative: false
                 });
             }
         });
@@ -110,13 +209,33 @@ function transformAndInitGraph(data) {
                 links.push({
                     source: chunks[i].id,
                     target: chunks[i + 1].id,
-                    type: 'next'
+                    relation: 'NEXT_SECTION',
+                    is_negative: false
                 });
             }
         });
     }
 
-    graphData = { nodes, links };
+    links.push(...safety.links);
+    return { nodes, links };
+}
+
+function transformAndInitGraph(data, layoutKey, cachedLayout) {
+    stopDesktopForceLayout();
+    rawData = data;
+    graphData = buildGraphData(data);
+    const { nodes, links } = graphData;
+
+    // A layout cached by this viewer puts nodes where they settled last time; the rest start on a sphere
+    const { positions, missing } = getCachedPositions(nodes, cachedLayout);
+    nodes.forEach((node, i) => {
+        node.x = positions[i * 3];
+        node.y = positions[i * 3 + 1];
+        node.z = positions[i * 3 + 2];
+    });
+
+    // Later entries win on duplicate ids, matching how the d3 link force resolves them
+    nodeById = new Map(nodes.map(node => [node.id, node]));
 
     console.log('Loaded nodes:', nodes.length);
     console.log('Loaded links:', links.length);
@@ -126,28 +245,293 @@ function transformAndInitGraph(data) {
     document.getElementById('node-count').textContent = nodes.length;
     document.getElementById('link-count').textContent = links.length;
 
-    // Initialize the graph
-    initGraph();
+    discoverTypes(nodes);
+    renderTypeLegend(document.getElementById('node-legend-items'), refreshVisibility);
+    buildEdgeLegend(links);
+
+    // Initialize the graph; anything the cache did not place settles in the worker and is cached for next time
+    initGraph(missing === 0);
+    if (missing > 0) {
+        startDesktopForceLayout(settled => saveCachedForceLayout(layoutKey, nodes, settled));
+    }
+
+    // Let feature modules rebuild their views for the new data
+    window.dispatchEvent(new CustomEvent('graph-loaded', { detail: data }));
+}
+
+function getNodeColor(node) {
+    if (highlightedNodes && !highlightedNodes.has(node)) return dimmedNodeColor;
+    const color = nodeColorOverride && nodeColorOverride(node);
+    return color || node.color;
+}
+
+function getNodeVal(node) {
+    const val = nodeValOverride && nodeValOverride(node);
+    // Collapsed groups (hierarchy.js) grow with the number of nodes folded into them
+    const groupScale = node.collapsedCount ? 1 + Math.sqrt(node.collapsedCount) : 1;
+    return (val || node.val) * groupScale;
+}
+
+function getNodeLabel(node) {
+    return node.collapsedCount ? `${node.label} (+${node.collapsedCount} collapsed)` : node.label;
+}
+
+// 3d-force-graph renders the hover label as HTML
+function getNodeTooltip(node) {
+    return escapeHtml(getNodeLabel(node));
+}
+
+function setNodeStyleOverride(colorFn, valFn) {
+    nodeColorOverride = colorFn || null;
+    nodeValOverride = valFn || null;
+    refreshNodeStyles();
+}
+
+function refreshNodeStyles() {
+    if (!Graph) return;
+    // Node objects bake in their color and size, so re-setting the accessor rebuilds them
+    Graph.nodeThreeObject(Graph.nodeThreeObject());
+}
+
+function createNodeObject(node) {
+    const shape = getTypeStyle(node.type).shape;
+    const radius = Math.cbrt(getNodeVal(node)) * NODE_REL_SIZE;
+    const geometryKey = `${shape}|${radius}`;
+    if (!nodeGeometries[geometryKey]) {
+        nodeGeometries[geometryKey] = createTypeGeometry(shape, radius, 16);
+    }
+
+    const color = getNodeColor(node);
+    if (!nodeMaterials[color]) {
+        nodeMaterials[color] = new THREE.MeshLambertMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.9
+        });
+    }
+
+    const mesh = new THREE.Mesh(nodeGeometries[geometryKey], nodeMaterials[color]);
+    if (node.collapsedCount) {
+        mesh.add(new THREE.Mesh(
+            new THREE.SphereGeometry(radius * 1.3, 12, 8),
+            new THREE.MeshBasicMaterial({ color: color, wireframe: true, transparent: true, opacity: 0.35 })
+        ));
+    }
+    if (node.type === SAFETY_TYPE && color !== dimmedNodeColor) {
+        mesh.add(createSafetyMarker(node, radius));
+    }
+    // Nodes with a note (annotations.js) carry a marker above them
+    if (nodeNotes.has(node.id)) {
+        mesh.add(createNoteMarker(radius));
+    }
+    if (node === selectedNode) {
+        mesh.scale.set(1.5, 1.5, 1.5);
+    }
+    return mesh;
+}
+
+// Links may still hold ids before the layout has resolved them to node objects
+function getLinkEndpoint(link, end) {
+    const value = link[end];
+    return typeof value === 'object' ? value : nodeById.get(value);
+}
+
+// node -> [{ node, link, outgoing }] over the given links, in both directions
+function buildAdjacency(links) {
+    const adjacency = new Map();
+    const add = (node, entry) => {
+        if (!adjacency.has(node)) adjacency.set(node, []);
+        adjacency.get(node).push(entry);
+    };
+
+    links.forEach(link => {
+        const source = getLinkEndpoint(link, 'source');
+        const target = getLinkEndpoint(link, 'target');
+        if (!source || !target) return;
+        add(source, { node: target, link: link, outgoing: true });
+        add(target, { node: source, link: link, outgoing: false });
+    });
+    return adjacency;
+}
+
+function isNodeVisible(node) {
+    return isTypeVisible(node.type);
+}
+
+function isLinkVisible(link) {
+    const source = getLinkEndpoint(link, 'source');
+    const target = getLinkEndpoint(link, 'target');
+    return !!source && !!target && isNodeVisible(source) && isNodeVisible(target);
+}
+
+function refreshVisibility() {
+    if (!Graph) return;
+    Graph.nodeVisibility(Graph.nodeVisibility()).linkVisibility(Graph.linkVisibility());
+}
+
+// Pass an iterable of nodes to dim everything else, or null to clear
+function setHighlight(nodes) {
+    highlightedNodes = nodes ? new Set(nodes) : null;
+    refreshNodeStyles();
+    if (Graph) {
+        Graph.linkColor(Graph.linkColor())
+            .linkMaterial(Graph.linkMaterial())
+            .linkDirectionalArrowColor(Graph.linkDirectionalArrowColor());
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
-function initGraph() {
+// Side panels share the right-hand column, so only one is open at a time
+function togglePanel(panelId, show) {
+    const panel = document.getElementById(panelId);
+    const visible = show !== undefined ? show : !panel.classList.contains('open');
+    document.querySelectorAll('.side-panel.open').forEach(p => {
+        if (p !== panel) p.classList.remove('open');
+    });
+    panel.classList.toggle('open', visible);
+    return visible;
+}
+
+function getRelationStyle(link) {
+    return relationStyles[link.relation] || relationStyles.default;
+}
+
+// Aggregated links (hierarchy.js) carry a count and get thicker with it
+function getLinkWidth(link) {
+    if (getRelationStyle(link).dash) return 0;
+    return link.count ? 1 + Math.log2(link.count) : 1;
+}
+
+function isLinkDimmed(link) {
+    return highlightedNodes !== null && !(highlightedNodes.has(link.source) && highlightedNodes.has(link.target));
+}
+
+function getLinkColor(link) {
+    if (isLinkDimmed(link)) return dimmedLinkColor;
+    return link.is_negative ? negativeLinkColor : getRelationStyle(link).color;
+}
+
+// Three.js colors drop the alpha of dimmedLinkColor, so dimmed dashes get their own material
+function getLinkMaterial(link) {
+    const dash = getRelationStyle(link).dash;
+    if (!dash) return null; // fall back to the default line material
+
+    const dimmed = isLinkDimmed(link);
+    const color = dimmed ? '#ffffff' : getLinkColor(link);
+    const key = `${color}|${dimmed}|${dash.join(',')}`;
+    if (!dashedMaterials[key]) {
+        dashedMaterials[key] = new THREE.LineDashedMaterial({
+            color: color,
+            dashSize: dash[0],
+            gapSize: dash[1],
+            transparent: true,
+            opacity: dimmed ? dimmedLinkOpacity : 0.6
+        });
+    }
+    return dashedMaterials[key];
+}
+
+function updateLinkPosition(line, { start, end }, link) {
+    // Solid links use the library's default positioning
+    if (!getRelationStyle(link).dash) return false;
+
+    const positions = line.geometry.getAttribute('position');
+    positions.array[0] = start.x;
+    positions.array[1] = start.y || 0;
+    positions.array[2] = start.z || 0;
+    positions.array[3] = end.x;
+    positions.array[4] = end.y || 0;
+    positions.array[5] = end.z || 0;
+    positions.needsUpdate = true;
+    line.geometry.computeBoundingSphere();
+
+    // Dashes are laid out along the cumulative line distance
+    line.computeLineDistances();
+    return true;
+}
+
+function getLinkLabel(link) {
+    const sourceLabel = link.source.label || link.source;
+    const targetLabel = link.target.label || link.target;
+    let html = `
+        <div style="font-weight: 600; color: ${getLinkColor(link)};">
+            ${link.count ? `${link.count} × ` : ''}${escapeHtml(link.relation)}${link.is_negative ? ' (negative)' : ''}
+        </div>
+        <div style="font-size: 0.85em;">${escapeHtml(sourceLabel)} → ${escapeHtml(targetLabel)}</div>
+    `;
+    if (link.details) {
+        html += `<div style="margin-top: 4px; max-width: 280px;">${escapeHtml(link.details)}</div>`;
+    }
+    return html;
+}
+
+function buildEdgeLegend(links) {
+    const counts = {};
+    let negativeCount = 0;
+    links.forEach(link => {
+        counts[link.relation] = (counts[link.relation] || 0) + 1;
+        if (link.is_negative) negativeCount++;
+    });
+
+    let html = '';
+    Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([relation, count]) => {
+            const style = relationStyles[relation] || relationStyles.default;
+            html += `
+                <div class="legend-item">
+                    <div class="legend-line" style="border-top: 3px ${style.dash ? 'dashed' : 'solid'} ${style.color};"></div>
+                    <span>${escapeHtml(relation)} (${count})</span>
+                </div>
+            `;
+        });
+
+    if (negativeCount > 0) {
+        html += `
+            <div class="legend-item">
+                <div class="legend-line" style="border-top: 3px solid ${negativeLinkColor};"></div>
+                <span>Negative (${negativeCount})</span>
+            </div>
+        `;
+    }
+
+    document.getElementById('edge-legend-items').innerHTML = html;
+}
+
+function initGraph(settled) {
     const container = document.getElementById('3d-graph');
     
     Graph = ForceGraph3D()(container)
         .graphData(graphData)
-        .nodeLabel('label')
-        .nodeColor(node => node.color)
-        .nodeVal(node => node.val)
-        .nodeOpacity(0.9)
-        .linkColor(() => 'rgba(255, 255, 255, 0.2)')
-        .linkWidth(1)
+        .nodeLabel(getNodeTooltip)
+        .nodeColor(getNodeColor)
+        .nodeVal(getNodeVal)
+        .nodeThreeObject(createNodeObject)
+        .nodeVisibility(isNodeVisible)
+        .linkVisibility(isLinkVisible)
+        .linkColor(getLinkColor)
+        .linkWidth(getLinkWidth)
+        .linkMaterial(getLinkMaterial)
+        .linkPositionUpdate(updateLinkPosition)
         .linkOpacity(0.4)
+        .linkLabel(getLinkLabel)
+        .linkDirectionalArrowLength(3.5)
+        .linkDirectionalArrowRelPos(1)
+        .linkDirectionalArrowColor(getLinkColor)
         .linkDirectionalParticles(2)
         .linkDirectionalParticleWidth(2)
         .linkDirectionalParticleSpeed(0.005)
         .backgroundColor('#0a0a0a')
         .onNodeClick(handleNodeClick)
         .onNodeHover(handleNodeHover)
+        .onEngineStop(handleEngineStop)
         .enableNodeDrag(true)
         .enableNavigationControls(true)
         .showNavInfo(false);
@@ -162,25 +546,88 @@ function initGraph() {
     // Set initial camera position
     Graph.cameraPosition({ z: 400 });
 
-    // Add warmup ticks for better initial layout
-    Graph.d3Force('charge').strength(-120);
-    Graph.d3Force('link').distance(50);
-    
-    // Let the graph settle
-    for (let i = 0; i < 100; i++) {
-        Graph.tickFrame();
-    }
+    // The shared force layout places the nodes, as in the AR viewer. d3 keeps only a link force without
+    // strength, so 3d-force-graph still resolves link ends and redraws while positions stream in.
+    Graph.d3Force('charge', null);
+    Graph.d3Force('center', null);
+    Graph.d3Force('link').strength(0);
+
+    // A fully cached layout is already settled
+    heldCooldown = null;
+    if (settled) holdCooldown(0);
+}
+
+// Runs the shared force layout from where graphData's nodes are now; each streamed frame reheats the engine so
+// it gets drawn, and the engine stops once the layout has settled
+function startDesktopForceLayout(onDone) {
+    stopDesktopForceLayout();
+    const { nodes } = graphData;
+    const initial = new Float32Array(nodes.length * 3);
+    nodes.forEach((node, i) => {
+        initial[i * 3] = node.x || 0;
+        initial[i * 3 + 1] = node.y || 0;
+        initial[i * 3 + 2] = node.z || 0;
+    });
+    const springs = getForceSprings(nodes, getLayoutEdges(graphData.links));
+
+    stopDesktopLayout = runForceLayout(nodes.length, springs, initial, (positions) => {
+        nodes.forEach((node, i) => {
+            node.x = positions[i * 3];
+            node.y = positions[i * 3 + 1];
+            node.z = positions[i * 3 + 2];
+        });
+        Graph.d3ReheatSimulation();
+    }, (positions) => {
+        stopDesktopLayout = null;
+        holdCooldown(0);
+        if (onDone) onDone(positions);
+    });
+}
+
+function stopDesktopForceLayout() {
+    if (stopDesktopLayout) stopDesktopLayout();
+    stopDesktopLayout = null;
 }
 
-function handleNodeClick(node) {
+// The next engine run stops after `ticks` (0 leaves the nodes where they are); drags and reheats after it
+// get the previous cooldown back
+function holdCooldown(ticks) {
+    if (heldCooldown === null) heldCooldown = Graph.cooldownTicks();
+    Graph.cooldownTicks(ticks);
+}
+
+function handleEngineStop() {
+    if (heldCooldown === null) return;
+    Graph.cooldownTicks(heldCooldown);
+    heldCooldown = null;
+}
+
+function handleNodeClick(node, event) {
     if (!node) return;
 
+    // Shift-click picks path endpoints instead of selecting
+    if (event && event.shiftKey) {
+        window.dispatchEvent(new CustomEvent('node-shift-selected', { detail: node }));
+        return;
+    }
+
     // Highlight the clicked node
     highlightNode(node);
     
     // Display node information
     displayNodeInfo(node);
     
+    flyToNode(node);
+
+    window.dispatchEvent(new CustomEvent('node-selected', { detail: node }));
+}
+
+function selectNodeById(id) {
+    const node = nodeById.get(id);
+    if (node) handleNodeClick(node);
+}
+
+function flyToNode(node) {
     // Zoom to node with smooth animation
     const distance = 200;
     const distRatio = 1 + distance / Math.hypot(node.x, node.y, node.z);
@@ -202,6 +649,8 @@ function handleNodeHover(node) {
 }
 
 function highlightNode(node) {
+    selectedNode = node;
+
     // Reset all nodes
     graphData.nodes.forEach(n => {
         n.__threeObj && n.__threeObj.scale.set(1, 1, 1);
@@ -217,21 +666,21 @@ function displayNodeInfo(node) {
     let html = `
         <div style="margin-bottom: 10px;">
             <strong>Type:</strong> 
-            <span style="color: ${node.color}; font-weight: 600;">${node.type}</span>
+            <span style="color: ${node.color}; font-weight: 600;">${escapeHtml(node.type)}</span>
         </div>
         <div style="margin-bottom: 10px;">
             <strong>ID:</strong> 
-            <span style="font-size: 0.85em; color: #999; word-break: break-all;">${node.id}</span>
+            <span style="font-size: 0.85em; color: #999; word-break: break-all;">${escapeHtml(node.id)}</span>
         </div>
         <div style="margin-bottom: 10px;">
-            <strong>Label:</strong> ${node.label}
+            <strong>Label:</strong> ${escapeHtml(node.label)}
         </div>
     `;
 
     if (node.source_doc) {
         html += `
             <div style="margin-bottom: 10px;">
-                <strong>Source:</strong> ${node.source_doc}
+                <strong>Source:</strong> ${escapeHtml(node.source_doc)}
             </div>
         `;
     }
@@ -247,7 +696,7 @@ function displayNodeInfo(node) {
             } else {
                 displayValue = value;
             }
-            html += `<div class="property"><strong>${key}:</strong> ${displayValue}</div>`;
+            html += `<div class="property"><strong>${escapeHtml(key)}:</strong> ${escapeHtml(displayValue)}</div>`;
         }
     }
 
@@ -260,6 +709,12 @@ function displayNodeInfo(node) {
         html += `<div style="margin-top: 15px;"><strong>Connections:</strong> ${connectedLinks.length}</div>`;
     }
 
+    if (node.type === 'Chunk') {
+        html += `<button class="info-btn" onclick="openReader(selectedNode)">📖 Read source text</button>`;
+    }
+
+    html += renderNoteSection(node);
+
     document.getElementById('node-info').innerHTML = html;
 }
 
@@ -270,6 +725,15 @@ function resetView() {
         1000
     );
     
+    clearSelection();
+    setHighlight(null);
+
+    window.dispatchEvent(new CustomEvent('view-reset'));
+}
+
+function clearSelection() {
+    selectedNode = null;
+
     // Reset all node scales
     graphData.nodes.forEach(n => {
         if (n.__threeObj) {
@@ -284,8 +748,11 @@ function zoomToFit() {
     Graph.zoomToFit(1000, 50);
 }
 
+// Re-reads whatever source is currently open (file, ?data= URL or the default)
 async function reloadData() {
-    document.getElementById('loading-screen').style.display = 'flex';
+    const loadingScreen = document.getElementById('loading-screen');
+    loadingScreen.innerHTML = loadingScreenMarkup;
+    loadingScreen.style.display = 'flex';
     
     // Clear existing graph
     if (Graph) {
@@ -296,8 +763,32 @@ async function reloadData() {
     await loadGraphData();
 }
 
+function openDataSource(source) {
+    setDataSource(source);
+    togglePanel('source-panel', false);
+    reloadData();
+}
+
+function openDataUrl() {
+    const url = document.getElementById('data-url-input').value.trim();
+    if (url) {
+        openDataSource({ kind: 'url', name: url, url: url });
+    }
+}
+
+function toggleSourcePanel() {
+    if (togglePanel('source-panel')) {
+        document.getElementById('current-source').textContent = getCurrentDataSource().name;
+        renderRecentSources(document.getElementById('recent-sources'), openDataSource);
+    }
+}
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (event) => {
+    // Don't hijack typing in search boxes and panel filters
+    const tag = event.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
     if (event.key === 'r' || event.key === 'R') {
         resetView();
     } else if (event.key === 'f' || event.key === 'F') {
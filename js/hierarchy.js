@@ -0,0 +1,235 @@
+// hierarchy.js - Collapse Document and Chunk groups into meta-nodes
+// Containment edges give a Document -> Chunk -> entity tree. A collapsed node stands in for
+// everything below it; edges to hidden descendants are re-routed to it and counted.
+const containmentRelations = new Set(['HAS_SECTION', 'CONTAINS', 'CONTAINS_SPEC', 'CONTAINS_COMPLIANCE']);
+const groupTypes = ['Document', 'Chunk'];   // index = hierarchy level
+
+const hierarchy = {
+    parent: new Map(),      // node -> its tree parent (first containment edge wins)
+    children: new Map(),    // node -> [child nodes]
+    collapsed: new Set(),
+    listed: [],             // collapsed groups in the panel's list, in order
+    level: groupTypes.length
+};
+
+const DOUBLE_CLICK_MS = 400;
+let lastGroupClick = { node: null, time: 0 };
+
+function isGroupNode(node) {
+    return groupTypes.includes(node.type) && (hierarchy.children.get(node) || []).length > 0;
+}
+
+function buildHierarchy() {
+    hierarchy.parent = new Map();
+    hierarchy.children = new Map();
+
+    graphData.links.forEach(link => {
+        if (!containmentRelations.has(link.relation)) return;
+        const parent = getLinkEndpoint(link, 'source');
+        const child = getLinkEndpoint(link, 'target');
+        // Entities found in several chunks stay under the first one
+        if (!parent || !child || !groupTypes.includes(parent.type) || hierarchy.parent.has(child)) return;
+
+        addToHierarchy(parent, child);
+    });
+
+    // Duplicate-id copies have no edges of their own; file them under their parent_chunk_id
+    graphData.nodes.forEach(node => {
+        if (hierarchy.parent.has(node)) return;
+        const chunkId = node.parent_chunk_id || (node.properties && node.properties.parent_chunk_id);
+        const chunk = chunkId && nodeById.get(chunkId);
+        if (chunk && chunk !== node && groupTypes.includes(chunk.type)) addToHierarchy(chunk, node);
+    });
+}
+
+function addToHierarchy(parent, child) {
+    hierarchy.parent.set(child, parent);
+    if (!hierarchy.children.has(parent)) hierarchy.children.set(parent, []);
+    hierarchy.children.get(parent).push(child);
+}
+
+function countDescendants(node) {
+    const visited = new Set([node]);
+    const stack = [node];
+    while (stack.length > 0) {
+        (hierarchy.children.get(stack.pop()) || []).forEach(child => {
+            if (!visited.has(child)) {
+                visited.add(child);
+                stack.push(child);
+            }
+        });
+    }
+    return visited.size - 1;
+}
+
+// The outermost collapsed ancestor, or the node itself
+function getRepresentative(node) {
+    let representative = node;
+    const seen = new Set([node]);
+    let current = hierarchy.parent.get(node);
+    while (current && !seen.has(current)) {
+        if (hierarchy.collapsed.has(current)) representative = current;
+        seen.add(current);
+        current = hierarchy.parent.get(current);
+    }
+    return representative;
+}
+
+// Applied by filters.js after filtering, so collapsing works on the filtered graph
+function collapseHierarchy(data) {
+    if (hierarchy.collapsed.size === 0) return data;
+
+    const present = new Set(data.nodes);
+    const representatives = new Map();
+    data.nodes.forEach(node => representatives.set(node, getRepresentative(node)));
+
+    const nodes = data.nodes.filter(node => representatives.get(node) === node);
+    const links = [];
+    const aggregated = new Map();
+
+    data.links.forEach(link => {
+        const source = getLinkEndpoint(link, 'source');
+        const target = getLinkEndpoint(link, 'target');
+        const repSource = representatives.get(source);
+        const repTarget = representatives.get(target);
+        if (!present.has(repSource) || !present.has(repTarget) || repSource === repTarget) return;
+
+        if (repSource === source && repTarget === target) {
+            links.push(link);
+            return;
+        }
+
+        const key = `${repSource.id}|${link.relation}|${repTarget.id}`;
+        if (!aggregated.has(key)) {
+            aggregated.set(key, {
+                source: repSource,
+                target: repTarget,
+                relation: link.relation,
+                is_negative: false,
+                properties: {},
+                details: '',
+                count: 0
+            });
+        }
+        const group = aggregated.get(key);
+        group.count++;
+        group.is_negative = group.is_negative || !!link.is_negative;
+    });
+
+    return { nodes: nodes, links: [...links, ...aggregated.values()] };
+}
+
+function setCollapsed(node, collapse) {
+    if (collapse) {
+        hierarchy.collapsed.add(node);
+        node.collapsedCount = countDescendants(node);
+    } else {
+        hierarchy.collapsed.delete(node);
+        delete node.collapsedCount;
+    }
+}
+
+function toggleGroup(node) {
+    if (!node || (!hierarchy.collapsed.has(node) && !isGroupNode(node))) return;
+    setCollapsed(node, !hierarchy.collapsed.has(node));
+    applyHierarchy();
+}
+
+function toggleListedGroup(index) {
+    const node = hierarchy.listed[index];
+    if (node) toggleGroup(node);
+}
+
+// Level 0 shows only Documents, level 1 Documents and Chunks, level 2 everything
+function expandToLevel(level) {
+    hierarchy.level = level;
+    graphData.nodes.forEach(node => {
+        const typeLevel = groupTypes.indexOf(node.type);
+        if (typeLevel >= 0 && isGroupNode(node)) {
+            setCollapsed(node, typeLevel >= level);
+        }
+    });
+    applyHierarchy();
+}
+
+// Expand every collapsed ancestor, e.g. when search or a path selects a hidden node
+function revealNode(node) {
+    let current = hierarchy.parent.get(node);
+    const seen = new Set([node]);
+    while (current && !seen.has(current)) {
+        if (hierarchy.collapsed.has(current)) setCollapsed(current, false);
+        seen.add(current);
+        current = hierarchy.parent.get(current);
+    }
+    applyHierarchy();
+}
+
+function applyHierarchy() {
+    // Collapsed nodes are rebuilt at their new size
+    refreshNodeStyles();
+    applyFilters();
+    renderHierarchyPanel();
+}
+
+function toggleHierarchyPanel() {
+    if (togglePanel('hierarchy-panel')) {
+        renderHierarchyPanel();
+    }
+}
+
+function renderHierarchyPanel() {
+    let html = '<span class="focus-label">Expand to level:</span>';
+    ['Documents', 'Chunks', 'All'].forEach((title, level) => {
+        html += `<button class="focus-depth${hierarchy.level === level ? ' active' : ''}" onclick="expandToLevel(${level})">${title}</button>`;
+    });
+    document.getElementById('hierarchy-levels').innerHTML = html;
+
+    const collapsed = [...hierarchy.collapsed].sort((a, b) => b.collapsedCount - a.collapsedCount);
+    document.getElementById('hierarchy-btn').classList.toggle('active', collapsed.length > 0);
+
+    let list = `<div class="neighbor-relation">Collapsed groups (${collapsed.length})</div>`;
+    if (collapsed.length === 0) {
+        list += '<div class="panel-note">Double-click a Document or Chunk to collapse it</div>';
+    }
+    hierarchy.listed = collapsed;
+    collapsed.forEach((node, index) => {
+        list += `
+            <div class="neighbor-item" onclick="toggleListedGroup(${index})" title="Expand">
+                <span class="status-dot" style="background: ${node.color};"></span>${escapeHtml(node.label)}
+                <span class="facet-count">+${node.collapsedCount}</span>
+            </div>
+        `;
+    });
+    document.getElementById('hierarchy-groups').innerHTML = list;
+}
+
+// A second click on the same node within DOUBLE_CLICK_MS counts as a double-click
+window.addEventListener('node-selected', (event) => {
+    const node = event.detail;
+    const now = Date.now();
+    const isDoubleClick = lastGroupClick.node === node && now - lastGroupClick.time < DOUBLE_CLICK_MS;
+    lastGroupClick = { node: isDoubleClick ? null : node, time: now };
+
+    if (getRepresentative(node) !== node) {
+        revealNode(node);
+    } else if (isDoubleClick) {
+        toggleGroup(node);
+    }
+
+    if (hierarchy.collapsed.has(node) || isGroupNode(node)) {
+        const collapsed = hierarchy.collapsed.has(node);
+        document.getElementById('node-info').insertAdjacentHTML('beforeend', `
+            <button class="info-btn" onclick="toggleGroup(selectedNode)">
+                ${collapsed ? `➕ Expand group (${node.collapsedCount})` : `➖ Collapse group (${countDescendants(node)})`}
+            </button>
+        `);
+    }
+});
+
+window.addEventListener('graph-loaded', () => {
+    hierarchy.collapsed.forEach(node => delete node.collapsedCount);
+    hierarchy.collapsed = new Set();
+    hierarchy.level = groupTypes.length;
+    buildHierarchy();
+    renderHierarchyPanel();
+});
@@ -0,0 +1,204 @@
+// label-layer.js - Always-on 3D node labels: billboarded text sprites that fade with distance and skip overlaps
+// Loaded as a classic script so both graph.js and the ar-graph.js module can use it (each brings its own THREE).
+// Distances are in layout units (see layouts.js); a layer's scale option converts them to its parent's units.
+
+// Types labelled at any distance; everything else is labelled only when the camera is close
+const pinnedLabelTypes = new Set(['Document', 'Charger_Model', 'Technical_Standard']);
+
+const LABEL_FADE_NEAR = 300;
+const LABEL_FADE_FAR = 1200;
+const LABEL_ZOOM_DISTANCE = 220;
+const LABEL_MIN_OPACITY = 0.3;      // pinned labels never fade out completely
+const LABEL_MAX_VISIBLE = 150;
+const LABEL_MAX_TESTED = 2000;      // projections per update; the nearest candidates are tried first
+const LABEL_MAX_CREATED = 30;       // new sprites per update, so zooming into a dense area does not stall a frame
+const LABEL_MAX_CACHED = 600;
+const LABEL_MAX_CHARS = 40;
+const LABEL_GRID_CELL = 80;         // px, buckets for the overlap test
+const LABEL_FONT_PX = 40;
+const LABEL_FONT = `${LABEL_FONT_PX}px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif`;
+const LABEL_PADDING = LABEL_FONT_PX * 0.4;
+
+let labelMeasureContext = null;
+
+function createLabelLayer(parent, options) {
+    const group = new THREE.Group();
+    parent.add(group);
+    return { group: group, sprites: new Map(), scale: (options && options.scale) || 1 };
+}
+
+function clearLabelLayer(layer) {
+    layer.sprites.forEach(sprite => disposeLabelSprite(layer, sprite));
+    layer.sprites.clear();
+}
+
+function disposeLabelSprite(layer, sprite) {
+    layer.group.remove(sprite);
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+}
+
+function truncateLabel(text) {
+    const value = String(text || '');
+    return value.length > LABEL_MAX_CHARS ? value.substring(0, LABEL_MAX_CHARS - 1) + '…' : value;
+}
+
+// Canvas size for a label, so overlaps can be tested before a sprite is drawn
+function measureLabel(text) {
+    if (!labelMeasureContext) {
+        labelMeasureContext = document.createElement('canvas').getContext('2d');
+        labelMeasureContext.font = LABEL_FONT;
+    }
+    return {
+        width: Math.ceil(labelMeasureContext.measureText(text).width + LABEL_PADDING * 3),
+        height: Math.ceil(LABEL_FONT_PX * 1.5)
+    };
+}
+
+// Canvas text with a type-coloured bar on the left; depth test off so labels stay readable over nodes
+function createLabelSprite(text, color) {
+    const size = measureLabel(text);
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(10, 10, 20, 0.7)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = color;
+    context.fillRect(0, 0, LABEL_PADDING * 0.5, canvas.height);
+    context.font = LABEL_FONT;
+    context.fillStyle = '#ffffff';
+    context.textBaseline = 'middle';
+    context.fillText(text, LABEL_PADDING * 1.5, canvas.height / 2);
+
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.renderOrder = 10;
+    sprite.userData.aspect = canvas.width / canvas.height;
+    return sprite;
+}
+
+function getLabelOpacity(candidate, distance) {
+    const fade = (near, far) => Math.max(0, Math.min(1, (far - distance) / (far - near)));
+    if (candidate.rank < 2) {
+        return Math.max(LABEL_MIN_OPACITY, fade(LABEL_FADE_NEAR, LABEL_FADE_FAR));
+    }
+    return fade(LABEL_ZOOM_DISTANCE * 0.6, LABEL_ZOOM_DISTANCE);
+}
+
+// candidates: [{ key, text, color, position (parent-local, anything with x/y/z), size (node radius, parent-local), rank }]
+// rank 0 = selected, 1 = pinned type, 2 = shown when zoomed in. Lower ranks and nearer labels win overlaps.
+function updateLabelLayer(layer, candidates, camera, width, height) {
+    const { group, sprites } = layer;
+    group.updateMatrixWorld();
+    const parentMatrix = group.parent.matrixWorld;
+    const worldScale = parentMatrix.getMaxScaleOnAxis();
+    const cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+    const localCamera = cameraPosition.clone().applyMatrix4(new THREE.Matrix4().copy(parentMatrix).invert());
+    // Read from the projection matrix rather than camera.fov, which an XR session does not update
+    const pixelsPerUnit = height / 2 * camera.projectionMatrix.elements[5];
+    const world = new THREE.Vector3();
+    const screen = new THREE.Vector3();
+
+    // Distance filter first; the parent is scaled uniformly, so this can happen in its own units
+    const inRange = [];
+    const distances = new Float32Array(candidates.length);
+    candidates.forEach(candidate => {
+        const distance = localCamera.distanceTo(candidate.position) / layer.scale;
+        if (candidate.rank === 2 && distance > LABEL_ZOOM_DISTANCE) return;
+        distances[inRange.length] = candidate.rank < 2 ? -1 : distance;
+        inRange.push({ candidate: candidate, distance: distance });
+    });
+
+    // Only the nearest ones are ever tried, so a crowd is cut down before the full sort
+    let tried = inRange;
+    if (inRange.length > LABEL_MAX_TESTED) {
+        const cutoff = distances.subarray(0, inRange.length).sort()[LABEL_MAX_TESTED];
+        tried = inRange.filter(entry => entry.candidate.rank < 2 || entry.distance <= cutoff);
+    }
+    tried.sort((a, b) => a.candidate.rank - b.candidate.rank || a.distance - b.distance);
+
+    const grid = new Map();
+    const overlaps = rect => {
+        for (let cx = Math.floor(rect.left / LABEL_GRID_CELL); cx <= Math.floor(rect.right / LABEL_GRID_CELL); cx++) {
+            for (let cy = Math.floor(rect.top / LABEL_GRID_CELL); cy <= Math.floor(rect.bottom / LABEL_GRID_CELL); cy++) {
+                const cell = grid.get(`${cx},${cy}`);
+                if (cell && cell.some(other => rect.left < other.right && rect.right > other.left &&
+                    rect.top < other.bottom && rect.bottom > other.top)) return true;
+            }
+        }
+        return false;
+    };
+    const reserve = rect => {
+        for (let cx = Math.floor(rect.left / LABEL_GRID_CELL); cx <= Math.floor(rect.right / LABEL_GRID_CELL); cx++) {
+            for (let cy = Math.floor(rect.top / LABEL_GRID_CELL); cy <= Math.floor(rect.bottom / LABEL_GRID_CELL); cy++) {
+                const key = `${cx},${cy}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(rect);
+            }
+        }
+    };
+
+    const visible = new Set();
+    let created = 0;
+    for (let k = 0; k < tried.length && k < LABEL_MAX_TESTED && visible.size < LABEL_MAX_VISIBLE; k++) {
+        const { candidate, distance } = tried[k];
+        world.copy(candidate.position).applyMatrix4(parentMatrix);
+        screen.copy(world).project(camera);
+        if (screen.z > 1 || Math.abs(screen.x) > 1.1 || Math.abs(screen.y) > 1.1) continue;
+        const x = (screen.x + 1) / 2 * width;
+        const y = (1 - screen.y) / 2 * height;
+
+        let sprite = sprites.get(candidate.key);
+        if (!sprite && created >= LABEL_MAX_CREATED) continue;
+        const text = truncateLabel(candidate.text);
+        let aspect;
+        if (sprite) {
+            aspect = sprite.userData.aspect;
+        } else {
+            const size = measureLabel(text);
+            aspect = size.width / size.height;
+        }
+
+        // Sprites sit above their node: center.y below 0 lifts the label by a multiple of its own height
+        const labelHeight = candidate.size;
+        const lift = 1.3;
+        const pixelHeight = labelHeight * worldScale * pixelsPerUnit / world.distanceTo(cameraPosition);
+        const pixelWidth = pixelHeight * aspect;
+        const rect = {
+            left: x - pixelWidth / 2,
+            right: x + pixelWidth / 2,
+            top: y - pixelHeight * (lift + 1),
+            bottom: y - pixelHeight * lift
+        };
+        if (overlaps(rect)) continue;
+        reserve(rect);
+
+        if (!sprite) {
+            sprite = createLabelSprite(text, candidate.color);
+            sprites.set(candidate.key, sprite);
+            group.add(sprite);
+            created++;
+        }
+
+        sprite.position.copy(candidate.position);
+        sprite.scale.set(labelHeight * sprite.userData.aspect, labelHeight, 1);
+        sprite.center.set(0.5, -lift);
+        sprite.material.opacity = getLabelOpacity(candidate, distance);
+        visible.add(sprite);
+    }
+
+    sprites.forEach((sprite, key) => {
+        sprite.visible = visible.has(sprite);
+        if (!sprite.visible && sprites.size > LABEL_MAX_CACHED) {
+            disposeLabelSprite(layer, sprite);
+            sprites.delete(key);
+        }
+    });
+}
@@ -0,0 +1,47 @@
+// labels.js - Persistent node labels on the desktop graph (sprites, fading and overlap culling in label-layer.js)
+let labelsEnabled = true;
+let nodeLabelLayer = null;
+let labelFrame = null;
+
+function toggleLabels() {
+    labelsEnabled = !labelsEnabled;
+    document.getElementById('labels-btn').classList.toggle('active', labelsEnabled);
+    if (nodeLabelLayer) nodeLabelLayer.group.visible = labelsEnabled;
+    startNodeLabels();
+}
+
+function getLabelCandidates() {
+    return Graph.graphData().nodes
+        .filter(node => node.x !== undefined && isNodeVisible(node) &&
+            (!highlightedNodes || highlightedNodes.has(node)))
+        .map(node => ({
+            key: node,
+            text: getNodeLabel(node),
+            color: node.color,
+            position: node,
+            size: Math.cbrt(getNodeVal(node)) * NODE_REL_SIZE,
+            rank: node === selectedNode ? 0 : pinnedLabelTypes.has(node.type) ? 1 : 2
+        }));
+}
+
+function startNodeLabels() {
+    if (labelFrame === null) labelFrame = requestAnimationFrame(updateNodeLabels);
+}
+
+// Every frame, since the nodes move with the simulation and the camera with the controls;
+// the loop stops while labels are hidden or no graph is loaded
+function updateNodeLabels() {
+    labelFrame = null;
+    if (!Graph || !nodeLabelLayer || !labelsEnabled) return;
+    labelFrame = requestAnimationFrame(updateNodeLabels);
+    const canvas = Graph.renderer().domElement;
+    updateLabelLayer(nodeLabelLayer, getLabelCandidates(), Graph.camera(), canvas.clientWidth, canvas.clientHeight);
+}
+
+// Each load builds a new Graph with its own scene
+window.addEventListener('graph-loaded', () => {
+    if (nodeLabelLayer) clearLabelLayer(nodeLabelLayer);
+    nodeLabelLayer = createLabelLayer(Graph.scene());
+    nodeLabelLayer.group.visible = labelsEnabled;
+    startNodeLabels();
+});
@@ -0,0 +1,69 @@
+// layout-switcher.js - Switch the desktop graph between the shared force layout and the fixed layouts in layouts.js
+let currentLayout = 'force';
+let cancelLayoutAnimation = null;
+
+const LAYOUT_TRANSITION_MS = 1200;
+
+function getLayoutEdges(links) {
+    return links
+        .map(link => ({
+            source: getLinkEndpoint(link, 'source'),
+            target: getLinkEndpoint(link, 'target'),
+            relation: link.relation
+        }))
+        .filter(edge => edge.source && edge.target);
+}
+
+function renderLayoutOptions() {
+    document.getElementById('layout-select').innerHTML = Object.entries(layoutDefinitions).map(([name, layout]) => `
+        <option value="${name}" ${name === currentLayout ? 'selected' : ''}>${layout.title}</option>
+    `).join('');
+}
+
+function setLayout(name) {
+    if (!Graph) return;
+    currentLayout = name;
+    document.getElementById('layout-select').value = name;
+    if (cancelLayoutAnimation) {
+        cancelLayoutAnimation();
+        cancelLayoutAnimation = null;
+    }
+    stopDesktopForceLayout();
+
+    const { nodes, links } = Graph.graphData();
+
+    // Force: release the pins and let the force layout settle from wherever the nodes are now
+    if (name === 'force') {
+        nodes.forEach(node => {
+            node.fx = undefined;
+            node.fy = undefined;
+            node.fz = undefined;
+        });
+        startDesktopForceLayout();
+        return;
+    }
+
+    const targets = computeLayout(name, nodes, getLayoutEdges(links));
+    const from = new Map(nodes.map(node => [node, { x: node.x || 0, y: node.y || 0, z: node.z || 0 }]));
+
+    // The engine has to keep ticking for the pinned positions to be drawn each frame
+    Graph.cooldownTicks(Infinity).d3ReheatSimulation();
+    cancelLayoutAnimation = animateLayout(nodes, from, targets, LAYOUT_TRANSITION_MS, (node, position) => {
+        node.fx = position.x;
+        node.fy = position.y;
+        node.fz = position.z;
+    }, () => {
+        cancelLayoutAnimation = null;
+        holdCooldown(0);
+        Graph.zoomToFit(1000, 50);
+    });
+}
+
+window.addEventListener('load', renderLayoutOptions);
+
+window.addEventListener('graph-loaded', () => {
+    if (cancelLayoutAnimation) cancelLayoutAnimation();
+    cancelLayoutAnimation = null;
+    currentLayout = 'force';
+    document.getElementById('layout-select').value = 'force';
+});
@@ -0,0 +1,246 @@
+// layouts.js - Deterministic graph layouts shared by the desktop and AR viewers
+// Loaded as a classic script so both graph.js and the ar-graph.js module can use it.
+// Every layout takes nodes (anything with .type) and edges ({ source, target, relation } with
+// node objects as endpoints) and returns Map(node -> { x, y, z }) in desktop units (about ±300).
+
+const layoutDefinitions = {
+    'force': { title: 'Force-directed' },
+    'dag': { title: 'Hierarchy (top-down)' },
+    'radial': { title: 'Radial from documents' },
+    'type-clusters': { title: 'Grouped by type' }
+};
+
+// Edges followed downwards by the DAG layout
+const layoutContainmentRelations = new Set([
+    'HAS_SECTION', 'CONTAINS', 'CONTAINS_SPEC', 'CONTAINS_COMPLIANCE', 'HAS_SPECIFICATION', 'HAS_COMPLIANCE_FINDING'
+]);
+
+const LAYER_GAP = 90;
+const NODE_SPACING = 18;
+const RING_GAP = 80;
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+function computeLayout(name, nodes, edges) {
+    if (name === 'dag') return computeDagLayout(nodes, edges);
+    if (name === 'radial') return computeRadialLayout(nodes, edges);
+    if (name === 'type-clusters') return computeTypeClusterLayout(nodes);
+    return computeForceLayout(nodes, edges);
+}
+
+// Evenly spread points on a sphere, for cluster interiors
+function fibonacciSphere(index, count, radius) {
+    if (count <= 1) return { x: 0, y: 0, z: 0 };
+    const y = 1 - (index / (count - 1)) * 2;
+    const r = Math.sqrt(1 - y * y);
+    const theta = GOLDEN_ANGLE * index;
+    return { x: Math.cos(theta) * r * radius, y: y * radius, z: Math.sin(theta) * r * radius };
+}
+
+// Layers by longest containment path from the roots; each layer is a grid in the x/z plane
+function computeDagLayout(nodes, edges) {
+    const children = new Map();
+    const indegree = new Map(nodes.map(node => [node, 0]));
+    edges.forEach(edge => {
+        if (!layoutContainmentRelations.has(edge.relation) || edge.source === edge.target) return;
+        if (!indegree.has(edge.source) || !indegree.has(edge.target)) return;
+        if (!children.has(edge.source)) children.set(edge.source, []);
+        children.get(edge.source).push(edge.target);
+        indegree.set(edge.target, indegree.get(edge.target) + 1);
+    });
+
+    // Kahn's algorithm; whatever is left over sits on a cycle and keeps depth 0
+    const depth = new Map(nodes.map(node => [node, 0]));
+    const remaining = new Map(indegree);
+    const queue = nodes.filter(node => remaining.get(node) === 0);
+    while (queue.length > 0) {
+        const node = queue.shift();
+        (children.get(node) || []).forEach(child => {
+            depth.set(child, Math.max(depth.get(child), depth.get(node) + 1));
+            remaining.set(child, remaining.get(child) - 1);
+            if (remaining.get(child) === 0) queue.push(child);
+        });
+    }
+
+    const layers = [];
+    nodes.forEach(node => {
+        const d = depth.get(node);
+        if (!layers[d]) layers[d] = [];
+        layers[d].push(node);
+    });
+
+    // Order each layer by its first parent's slot so siblings stay together
+    const order = new Map();
+    const firstParent = new Map();
+    children.forEach((kids, parent) => kids.forEach(kid => {
+        if (!firstParent.has(kid)) firstParent.set(kid, parent);
+    }));
+
+    const positions = new Map();
+    const top = ((layers.length - 1) * LAYER_GAP) / 2;
+    layers.forEach((layer, d) => {
+        if (!layer) return;
+        layer.sort((a, b) => {
+            const pa = firstParent.has(a) ? order.get(firstParent.get(a)) : -1;
+            const pb = firstParent.has(b) ? order.get(firstParent.get(b)) : -1;
+            return (pa === undefined ? -1 : pa) - (pb === undefined ? -1 : pb);
+        });
+        const columns = Math.min(layer.length, Math.ceil(Math.sqrt(layer.length * 4)));
+        const rows = Math.ceil(layer.length / columns);
+        layer.forEach((node, index) => {
+            order.set(node, index);
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            positions.set(node, {
+                x: (column - (columns - 1) / 2) * NODE_SPACING,
+                y: top - d * LAYER_GAP,
+                z: (row - (rows - 1) / 2) * NODE_SPACING
+            });
+        });
+    });
+    return positions;
+}
+
+// Documents in the middle, everything else on rings by hop distance, each subtree in its own sector
+function computeRadialLayout(nodes, edges) {
+    const adjacency = new Map(nodes.map(node => [node, []]));
+    edges.forEach(edge => {
+        if (!adjacency.has(edge.source) || !adjacency.has(edge.target) || edge.source === edge.target) return;
+        adjacency.get(edge.source).push(edge.target);
+        adjacency.get(edge.target).push(edge.source);
+    });
+
+    const documents = nodes.filter(node => node.type === 'Document');
+    const roots = documents.length > 0 ? documents : nodes.slice(0, 1);
+
+    const depth = new Map();
+    const treeChildren = new Map();
+    const queue = [];
+    roots.forEach(root => {
+        depth.set(root, 0);
+        queue.push(root);
+    });
+    while (queue.length > 0) {
+        const node = queue.shift();
+        adjacency.get(node).forEach(next => {
+            if (depth.has(next)) return;
+            depth.set(next, depth.get(node) + 1);
+            if (!treeChildren.has(node)) treeChildren.set(node, []);
+            treeChildren.get(node).push(next);
+            queue.push(next);
+        });
+    }
+
+    // Sector width follows the number of leaves below each node
+    const leaves = new Map();
+    const countLeaves = node => {
+        if (leaves.has(node)) return leaves.get(node);
+        const kids = treeChildren.get(node) || [];
+        const count = kids.length === 0 ? 1 : kids.reduce((sum, kid) => sum + countLeaves(kid), 0);
+        leaves.set(node, count);
+        return count;
+    };
+
+    const positions = new Map();
+    const place = (node, start, end) => {
+        const angle = (start + end) / 2;
+        const d = depth.get(node);
+        // Several documents share the centre on a small ring of their own
+        const radius = d === 0 ? (roots.length > 1 ? RING_GAP / 2 : 0) : d * RING_GAP;
+        positions.set(node, { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius, z: (d % 2 ? 1 : -1) * d * 4 });
+
+        let cursor = start;
+        const total = countLeaves(node);
+        (treeChildren.get(node) || []).forEach(kid => {
+            const span = (end - start) * countLeaves(kid) / total;
+            place(kid, cursor, cursor + span);
+            cursor += span;
+        });
+    };
+
+    const rootLeaves = roots.reduce((sum, root) => sum + countLeaves(root), 0);
+    let cursor = 0;
+    roots.forEach(root => {
+        const span = Math.PI * 2 * countLeaves(root) / rootLeaves;
+        place(root, cursor, cursor + span);
+        cursor += span;
+    });
+
+    // Nodes with no path to a document go on an outer ring
+    const unreached = nodes.filter(node => !positions.has(node));
+    const maxDepth = Math.max(0, ...depth.values());
+    unreached.forEach((node, index) => {
+        const angle = (index / unreached.length) * Math.PI * 2;
+        const radius = (maxDepth + 1.5) * RING_GAP;
+        positions.set(node, { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius, z: 0 });
+    });
+    return positions;
+}
+
+// One ball per type, balls spread on a ring sized to fit them
+function computeTypeClusterLayout(nodes) {
+    const groups = {};
+    nodes.forEach(node => {
+        if (!groups[node.type]) groups[node.type] = [];
+        groups[node.type].push(node);
+    });
+
+    const types = Object.keys(groups).sort((a, b) => groups[b].length - groups[a].length);
+    const clusterRadius = type => NODE_SPACING * Math.cbrt(groups[type].length) * 1.2;
+    const circumference = types.reduce((sum, type) => sum + clusterRadius(type) * 2 + NODE_SPACING * 2, 0);
+    const ringRadius = types.length > 1 ? circumference / (Math.PI * 2) : 0;
+
+    const positions = new Map();
+    let travelled = 0;
+    types.forEach(type => {
+        const radius = clusterRadius(type);
+        travelled += radius + NODE_SPACING;
+        const angle = (travelled / circumference) * Math.PI * 2;
+        travelled += radius + NODE_SPACING;
+
+        const center = { x: Math.cos(angle) * ringRadius, y: Math.sin(angle) * ringRadius, z: 0 };
+        groups[type].forEach((node, index) => {
+            const offset = fibonacciSphere(index, groups[type].length, radius);
+            positions.set(node, { x: center.x + offset.x, y: center.y + offset.y, z: center.z + offset.z });
+        });
+    });
+    return positions;
+}
+
+// Synchronous run of the shared simulation in force-layout.js; the viewers run it in a worker instead
+function computeForceLayout(nodes, edges, iterations) {
+    const simulation = createForceSimulation(nodes.length, getForceSprings(nodes, edges), null, iterations);
+    while (!simulation.isDone()) simulation.tick();
+    const positions = simulation.positions;
+    return new Map(nodes.map((node, i) => [node, { x: positions[i * 3], y: positions[i * 3 + 1], z: positions[i * 3 + 2] }]));
+}
+
+// Smoothstep between two position maps. apply(node, position) writes each frame;
+// returns a function that stops the animation early.
+function animateLayout(nodes, from, to, duration, apply, onDone) {
+    const startTime = performance.now();
+    let cancelled = false;
+    const frame = now => {
+        if (cancelled) return;
+        const raw = Math.min(1, (now - startTime) / duration);
+        const t = raw * raw * (3 - 2 * raw);
+        nodes.forEach(node => {
+            const a = from.get(node);
+            const b = to.get(node);
+            if (!a || !b) return;
+            apply(node, {
+                x: a.x + (b.x - a.x) * t,
+                y: a.y + (b.y - a.y) * t,
+                z: a.z + (b.z - a.z) * t
+            });
+        });
+        if (raw < 1) {
+            requestAnimationFrame(frame);
+        } else if (onDone) {
+            onDone();
+        }
+    };
+    requestAnimationFrame(frame);
+    return () => {
+        cancelled = true;
+    };
+}
@@ -0,0 +1,135 @@
+// node-bvh.js - Bounding volume hierarchy over node spheres, for ray picking in the Three.js viewer
+// Works on flat arrays (positions [x0, y0, z0, ...], radii, node indices) so it does not depend on Three.js.
+
+const BVH_LEAF_SIZE = 8;
+
+// indices lists the nodes to include (e.g. only the visible ones)
+function buildNodeBvh(positions, radii, indices) {
+    const items = Uint32Array.from(indices);
+    const bvh = { items: items, bounds: [], left: [], right: [], start: [], count: [], positions: positions, radii: radii };
+    if (items.length > 0) buildBvhNode(bvh, 0, items.length);
+    return bvh;
+}
+
+function buildBvhNode(bvh, start, end) {
+    const { items, positions, radii } = bvh;
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    let lowX = Infinity, lowY = Infinity, lowZ = Infinity;
+    let highX = -Infinity, highY = -Infinity, highZ = -Infinity;
+    for (let k = start; k < end; k++) {
+        const i = items[k];
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        const r = radii[i];
+        if (x - r < minX) minX = x - r;
+        if (y - r < minY) minY = y - r;
+        if (z - r < minZ) minZ = z - r;
+        if (x + r > maxX) maxX = x + r;
+        if (y + r > maxY) maxY = y + r;
+        if (z + r > maxZ) maxZ = z + r;
+        if (x < lowX) lowX = x;
+        if (y < lowY) lowY = y;
+        if (z < lowZ) lowZ = z;
+        if (x > highX) highX = x;
+        if (y > highY) highY = y;
+        if (z > highZ) highZ = z;
+    }
+
+    const node = bvh.start.length;
+    bvh.bounds.push(minX, minY, minZ, maxX, maxY, maxZ);
+    bvh.left.push(-1);
+    bvh.right.push(-1);
+    bvh.start.push(start);
+    bvh.count.push(end - start);
+    if (end - start <= BVH_LEAF_SIZE) return node;
+
+    // Median split along the widest axis of the centres
+    const extents = [highX - lowX, highY - lowY, highZ - lowZ];
+    const axis = extents.indexOf(Math.max(...extents));
+    const middle = (start + end) >> 1;
+    selectBvhMedian(items, positions, axis, start, end - 1, middle);
+
+    bvh.left[node] = buildBvhNode(bvh, start, middle);
+    bvh.right[node] = buildBvhNode(bvh, middle, end);
+    bvh.count[node] = 0;
+    return node;
+}
+
+// Quickselect: afterwards items[start..middle) sit at or below items[middle] along axis, the rest at or above
+function selectBvhMedian(items, positions, axis, left, right, middle) {
+    const key = k => positions[items[k] * 3 + axis];
+    const swap = (a, b) => {
+        const item = items[a];
+        items[a] = items[b];
+        items[b] = item;
+    };
+    while (left < right) {
+        const pivot = key((left + right) >> 1);
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (key(i) < pivot) i++;
+            while (key(j) > pivot) j--;
+            if (i <= j) swap(i++, j--);
+        }
+        if (middle <= j) {
+            right = j;
+        } else if (middle >= i) {
+            left = i;
+        } else {
+            return;
+        }
+    }
+}
+
+// Slab test; returns the entry distance or Infinity
+function intersectBvhBounds(bvh, node, origin, inverse) {
+    let near = 0;
+    let far = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+        const t1 = (bvh.bounds[node * 6 + axis] - origin[axis]) * inverse[axis];
+        const t2 = (bvh.bounds[node * 6 + axis + 3] - origin[axis]) * inverse[axis];
+        near = Math.max(near, Math.min(t1, t2));
+        far = Math.min(far, Math.max(t1, t2));
+    }
+    return near <= far ? near : Infinity;
+}
+
+// origin and direction are [x, y, z] in the same space as positions; direction must be normalised.
+// Returns { index, distance } of the nearest node hit, or null.
+function raycastNodeBvh(bvh, origin, direction) {
+    if (bvh.start.length === 0) return null;
+    const { items, positions, radii } = bvh;
+    const inverse = direction.map(value => 1 / (value || 1e-12));
+    let best = null;
+
+    const stack = [0];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        const entry = intersectBvhBounds(bvh, node, origin, inverse);
+        if (entry === Infinity || (best && entry > best.distance)) continue;
+
+        if (bvh.count[node] === 0) {
+            stack.push(bvh.left[node], bvh.right[node]);
+            continue;
+        }
+
+        for (let k = bvh.start[node]; k < bvh.start[node] + bvh.count[node]; k++) {
+            const i = items[k];
+            const dx = positions[i * 3] - origin[0];
+            const dy = positions[i * 3 + 1] - origin[1];
+            const dz = positions[i * 3 + 2] - origin[2];
+            const along = dx * direction[0] + dy * direction[1] + dz * direction[2];
+            const miss = dx * dx + dy * dy + dz * dz - along * along;
+            const r2 = radii[i] * radii[i];
+            if (miss > r2) continue;
+            const distance = along - Math.sqrt(r2 - miss);
+            if (distance >= 0 && (!best || distance < best.distance)) {
+                best = { index: i, distance: distance };
+            }
+        }
+    }
+    return best;
+}
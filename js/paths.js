@@ -0,0 +1,252 @@
+// paths.js - Shortest paths between two nodes, optionally constrained by relation and direction
+const pathState = {
+    start: null,
+    end: null,
+    directed: false,
+    relations: new Set(),
+    paths: [],
+    hops: [],               // nodes of the listed hops, in order
+    picked: [],             // nodes in the open endpoint picker, in order
+    savedParticles: null
+};
+
+const MAX_PATHS = 10;
+const MAX_PICKER_RESULTS = 8;
+const pathColor = '#feca57';
+
+// Breadth-first search that keeps every predecessor on a shortest route,
+// so all equally short paths can be enumerated afterwards
+function findShortestPaths(start, end, options) {
+    if (!start || !end) return [];
+    if (start === end) return [[{ node: start }]];
+
+    const links = (Graph ? Graph.graphData().links : graphData.links)
+        .filter(link => options.relations.size === 0 || options.relations.has(link.relation));
+    const adjacency = buildAdjacency(links);
+
+    const distance = new Map([[start, 0]]);
+    const predecessors = new Map();
+    let frontier = [start];
+
+    while (frontier.length > 0 && !distance.has(end)) {
+        const next = [];
+        frontier.forEach(node => {
+            (adjacency.get(node) || []).forEach(step => {
+                if (options.directed && !step.outgoing) return;
+
+                const d = distance.get(node) + 1;
+                if (!distance.has(step.node)) {
+                    distance.set(step.node, d);
+                    next.push(step.node);
+                }
+                if (distance.get(step.node) === d) {
+                    if (!predecessors.has(step.node)) predecessors.set(step.node, []);
+                    predecessors.get(step.node).push({ node: node, link: step.link, outgoing: step.outgoing });
+                }
+            });
+        });
+        frontier = next;
+    }
+
+    if (!distance.has(end)) return [];
+
+    // Walk back from the end; each path is [{ node }, { node, link, outgoing }, ...] from start to end
+    const paths = [];
+    const walk = (node, suffix) => {
+        if (paths.length >= MAX_PATHS) return;
+        if (node === start) {
+            paths.push([{ node: start }, ...suffix]);
+            return;
+        }
+        (predecessors.get(node) || []).forEach(pred => {
+            walk(pred.node, [{ node: node, link: pred.link, outgoing: pred.outgoing }, ...suffix]);
+        });
+    };
+    walk(end, []);
+    return paths;
+}
+
+function togglePathPanel() {
+    if (togglePanel('path-panel')) {
+        renderPathRelations();
+        renderPathEndpoints();
+    }
+}
+
+function setPathEndpoint(which, node) {
+    pathState[which] = node;
+    renderPathEndpoints();
+    if (pathState.start && pathState.end) {
+        runPathSearch();
+    }
+}
+
+function renderPathEndpoints() {
+    ['start', 'end'].forEach(which => {
+        const node = pathState[which];
+        document.getElementById(`path-${which}-label`).innerHTML = node ?
+            `<span class="status-dot" style="background: ${node.color};"></span>${escapeHtml(node.label)}` :
+            '<span class="panel-note">Shift-click a node or search</span>';
+    });
+}
+
+function renderPathRelations() {
+    const relations = [...new Set(graphData.links.map(link => link.relation))].sort();
+    document.getElementById('path-relations').innerHTML = relations.map(relation => `
+        <label class="facet-option">
+            <input type="checkbox" value="${escapeHtml(relation)}" ${pathState.relations.has(relation) ? 'checked' : ''}
+                   onchange="togglePathRelation(this)">
+            <span>${escapeHtml(relation)}</span>
+        </label>
+    `).join('');
+}
+
+function togglePathRelation(checkbox) {
+    if (checkbox.checked) {
+        pathState.relations.add(checkbox.value);
+    } else {
+        pathState.relations.delete(checkbox.value);
+    }
+    if (pathState.start && pathState.end) runPathSearch();
+}
+
+function setPathDirected(value) {
+    pathState.directed = value;
+    if (pathState.start && pathState.end) runPathSearch();
+}
+
+function onPathPickerInput(which) {
+    const input = document.getElementById(`path-${which}-input`);
+    const results = document.getElementById(`path-${which}-results`);
+    const query = input.value.trim();
+    if (!query) {
+        results.innerHTML = '';
+        return;
+    }
+
+    const matches = searchNodes(query).slice(0, MAX_PICKER_RESULTS);
+    pathState.picked = matches.map(result => result.entry.node);
+    results.innerHTML = matches.map((result, index) => `
+        <div class="search-result" onmousedown="pickPathEndpoint('${which}', ${index})">
+            <span class="result-type" style="color: ${result.entry.node.color};">${escapeHtml(result.entry.node.type)}</span>
+            ${escapeHtml(result.entry.label)}
+        </div>
+    `).join('');
+}
+
+function pickPathEndpoint(which, index) {
+    const node = pathState.picked[index];
+    if (!node) return;
+    document.getElementById(`path-${which}-input`).value = '';
+    document.getElementById(`path-${which}-results`).innerHTML = '';
+    setPathEndpoint(which, node);
+}
+
+function swapPathEndpoints() {
+    [pathState.start, pathState.end] = [pathState.end, pathState.start];
+    renderPathEndpoints();
+    if (pathState.start && pathState.end) runPathSearch();
+}
+
+function runPathSearch() {
+    pathState.paths = findShortestPaths(pathState.start, pathState.end, pathState);
+    showPathResults();
+}
+
+function showPathResults() {
+    const paths = pathState.paths;
+    const summary = document.getElementById('path-summary');
+
+    if (paths.length === 0) {
+        summary.textContent = 'No path found with the current constraints';
+        clearPathHighlight();
+        return;
+    }
+
+    const hops = paths[0].length - 1;
+    summary.textContent = `${paths.length}${paths.length >= MAX_PATHS ? '+' : ''} shortest path${paths.length === 1 ? '' : 's'} · ${hops} hop${hops === 1 ? '' : 's'}`;
+
+    const nodes = new Set();
+    const links = new Set();
+    paths.forEach(path => path.forEach(step => {
+        nodes.add(step.node);
+        if (step.link) links.add(step.link);
+    }));
+
+    setHighlight(nodes);
+    if (pathState.savedParticles === null) {
+        pathState.savedParticles = Graph.linkDirectionalParticles();
+    }
+    Graph.linkDirectionalParticles(link => links.has(link) ? 4 : 0)
+        .linkDirectionalParticleColor(link => links.has(link) ? pathColor : null)
+        .linkDirectionalParticleWidth(link => links.has(link) ? 3 : 2);
+
+    renderPathHops(paths);
+}
+
+function renderPathHops(paths) {
+    let html = `<div><strong>Path:</strong> ${escapeHtml(pathState.start.label)} → ${escapeHtml(pathState.end.label)}</div>`;
+    pathState.hops = [];
+    paths.forEach((path, index) => {
+        html += `<div class="path-result"><div class="neighbor-relation">Path ${index + 1}</div>`;
+        path.forEach(step => {
+            if (step.link) {
+                html += `<div class="path-hop">${step.outgoing ? '↓' : '↑'} ${escapeHtml(step.link.relation)}${step.link.is_negative ? ' (negative)' : ''}</div>`;
+            }
+            pathState.hops.push(step.node);
+            html += `
+                <div class="neighbor-item" onclick="selectPathHop(${pathState.hops.length - 1})">
+                    <span class="status-dot" style="background: ${step.node.color};"></span>${escapeHtml(step.node.label)}
+                </div>
+            `;
+        });
+        html += '</div>';
+    });
+
+    document.getElementById('node-info').innerHTML = html;
+}
+
+function selectPathHop(index) {
+    const node = pathState.hops[index];
+    if (node) handleNodeClick(node);
+}
+
+function clearPathHighlight() {
+    if (pathState.savedParticles !== null && Graph) {
+        Graph.linkDirectionalParticles(pathState.savedParticles)
+            .linkDirectionalParticleColor(null)
+            .linkDirectionalParticleWidth(2);
+        pathState.savedParticles = null;
+        setHighlight(null);
+    }
+}
+
+function clearPath() {
+    pathState.start = null;
+    pathState.end = null;
+    pathState.paths = [];
+    document.getElementById('path-summary').textContent = '';
+    renderPathEndpoints();
+    clearPathHighlight();
+}
+
+// Shift-click fills the start first, then the end, then starts over
+window.addEventListener('node-shift-selected', (event) => {
+    togglePanel('path-panel', true);
+    renderPathRelations();
+    if (!pathState.start || pathState.end) {
+        pathState.end = null;
+        clearPathHighlight();
+        setPathEndpoint('start', event.detail);
+    } else {
+        setPathEndpoint('end', event.detail);
+    }
+});
+
+window.addEventListener('view-reset', clearPathHighlight);
+window.addEventListener('graph-loaded', () => {
+    pathState.start = null;
+    pathState.end = null;
+    pathState.paths = [];
+    pathState.savedParticles = null;
+});
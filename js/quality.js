@@ -0,0 +1,98 @@
+// quality.js - Data-quality report panel for the loaded file (checks live in data-validation.js)
+let qualityReport = { problems: [] };
+let qualityCategoryFilter = '';
+let qualityRowNodes = [];       // nodes of the clickable rows, in order
+
+const MAX_QUALITY_ROWS = 200;
+const qualityColors = {
+    'schema': '#ffa502',
+    'dangling': '#ff4757',
+    'duplicate': '#feca57',
+    'unknown-type': '#a29bfe',
+    'orphan-chunk': '#4ecdc4',
+    'parent-chunk': '#ff6b81'
+};
+
+function toggleQualityPanel() {
+    if (togglePanel('quality-panel')) {
+        renderQualityPanel();
+    }
+}
+
+function setQualityCategoryFilter(category) {
+    qualityCategoryFilter = qualityCategoryFilter === category ? '' : category;
+    renderQualityPanel();
+}
+
+function renderQualityPanel() {
+    const problems = qualityReport.problems;
+    const summary = document.getElementById('quality-summary');
+    const list = document.getElementById('quality-list');
+
+    if (problems.length === 0) {
+        summary.innerHTML = '';
+        list.innerHTML = '<div class="panel-note">✅ No problems found in this file</div>';
+        return;
+    }
+
+    const counts = {};
+    problems.forEach(problem => {
+        counts[problem.category] = (counts[problem.category] || 0) + 1;
+    });
+
+    summary.innerHTML = qualityCategories.filter(category => counts[category.key]).map(category => `
+        <button class="status-chip${qualityCategoryFilter === category.key ? ' active' : ''}" style="border-color: ${qualityColors[category.key]};"
+                onclick="setQualityCategoryFilter('${category.key}')">
+            <span style="color: ${qualityColors[category.key]}; font-weight: 600;">${counts[category.key]}</span> ${category.title}
+        </button>
+    `).join('');
+
+    let html = '';
+    qualityRowNodes = [];
+    qualityCategories.forEach(category => {
+        if (!counts[category.key] || (qualityCategoryFilter && qualityCategoryFilter !== category.key)) return;
+
+        const rows = problems.filter(problem => problem.category === category.key);
+        html += `<div class="neighbor-group"><div class="neighbor-relation">${category.title} (${rows.length})</div>`;
+        rows.slice(0, MAX_QUALITY_ROWS).forEach(problem => {
+            // Problems whose record never became a node (e.g. both edge endpoints missing) are not clickable
+            const node = problem.nodeId && nodeById.get(problem.nodeId);
+            if (node) qualityRowNodes.push(node);
+            html += `
+                <div class="neighbor-item quality-item${node ? '' : ' unlinked'}" ${node ? `onclick="selectQualityRow(${qualityRowNodes.length - 1})"` : ''}>
+                    <span class="status-dot" style="background: ${qualityColors[category.key]};"></span>${escapeHtml(problem.message)}
+                </div>
+            `;
+        });
+        if (rows.length > MAX_QUALITY_ROWS) {
+            html += `<div class="panel-note">+${rows.length - MAX_QUALITY_ROWS} more</div>`;
+        }
+        html += '</div>';
+    });
+    list.innerHTML = html;
+}
+
+function selectQualityRow(index) {
+    const node = qualityRowNodes[index];
+    if (node) handleNodeClick(node);
+}
+
+function updateQualityButton() {
+    const count = qualityReport.problems.length;
+    document.getElementById('quality-count').textContent = count > 0 ? count : '';
+    document.getElementById('quality-btn').classList.toggle('warning', count > 0);
+}
+
+window.addEventListener('graph-loaded', (event) => {
+    qualityReport = validateGraphData(event.detail);
+    qualityCategoryFilter = '';
+    updateQualityButton();
+
+    const summary = summarizeQualityReport(qualityReport);
+    if (summary.length > 0) {
+        console.warn(`Data quality: ${summary.join(', ')}`);
+    }
+    if (document.getElementById('quality-panel').classList.contains('open')) {
+        renderQualityPanel();
+    }
+});
@@ -0,0 +1,263 @@
+// quantities.js - Unit-aware parsing of property values and numeric range queries over them
+// "240kW", "200-1000 Vdc", "AC 480V±10%", "≤600kg" and keys like rating_150kW become { min, max } in base units,
+// so the search box can answer "output_voltage >= 900 V" or "power between 50 and 150 kW" (see search.js).
+
+// symbol -> [dimension, factor to the dimension's base unit]
+const quantityUnits = {
+    'W': ['power', 1], 'kW': ['power', 1e3], 'MW': ['power', 1e6],
+    'V': ['voltage', 1], 'Vdc': ['voltage', 1], 'Vac': ['voltage', 1], 'VDC': ['voltage', 1], 'VAC': ['voltage', 1],
+    'kV': ['voltage', 1e3],
+    'A': ['current', 1], 'mA': ['current', 1e-3], 'kA': ['current', 1e3],
+    'Wh': ['energy', 1], 'kWh': ['energy', 1e3], 'MWh': ['energy', 1e6],
+    'Ah': ['charge', 1],
+    'Hz': ['frequency', 1], 'kHz': ['frequency', 1e3],
+    'mm': ['length', 1e-3], 'cm': ['length', 1e-2], 'm': ['length', 1], 'km': ['length', 1e3],
+    'inch': ['length', 0.0254], 'inches': ['length', 0.0254],
+    'mm2': ['area', 1e-6], 'mm²': ['area', 1e-6],
+    'g': ['mass', 1e-3], 'kg': ['mass', 1],
+    '°C': ['temperature', 1],
+    '%': ['percent', 1],
+    's': ['time', 1], 'sec': ['time', 1], 'min': ['time', 60], 'Min': ['time', 60], 'h': ['time', 3600], 'hours': ['time', 3600]
+};
+
+// Query words that name a dimension rather than a parameter: "power >= 150 kW" matches any power value
+const quantityDimensionWords = {
+    power: 'power', voltage: 'voltage', current: 'current', energy: 'energy', frequency: 'frequency',
+    length: 'length', distance: 'length', area: 'area', weight: 'mass', mass: 'mass',
+    temperature: 'temperature', time: 'time', duration: 'time', percent: 'percent'
+};
+
+// Free text and context ("For 240kW capacity", a finding's reasoning), not values the node itself has
+const quantitySkippedProperties = new Set([
+    'description', 'source_context', 'source_pdf', 'source_document', 'parent_chunk_id', 'document_id', 'id',
+    'model', 'condition', 'requirement', 'finding', 'evidence', 'recommendation'
+]);
+
+// "1,000" is one number; "50, 60" and "50,60" stay two
+const QUANTITY_NUMBER = '-?(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?';
+// A number not glued to a preceding word (so not CCS1 or M12), with an optional unit
+const QUANTITY_PATTERN = new RegExp(`(^|[^A-Za-z0-9.])(${QUANTITY_NUMBER})(?:\\s?([A-Za-z°%µ²]+2?)(?![A-Za-z0-9]))?`, 'g');
+const QUANTITY_RANGE_SEPARATOR = /^\s*(-|–|~|to)\s*$/i;
+const QUANTITY_LIST_SEPARATOR = /^\s*(\/|,|or)\s*$/i;
+const QUANTITY_UPPER_BOUND = /(≤|<=?|up to|max\.?|maximum|below|under)\s*$/i;
+const QUANTITY_LOWER_BOUND = /(≥|>=?|above|over|min\.?|minimum|at least)\s*$/i;
+const QUANTITY_TOLERANCE = /^\s*±\s*(\d+(?:\.\d+)?)\s*([A-Za-z°%]*)/;
+
+const VALUE_QUERY_NUMBER = `(${QUANTITY_NUMBER})`;
+const VALUE_QUERY_COMPARE = new RegExp(`^(.*?)\\s*(>=|<=|≥|≤|>|<|==?)\\s*${VALUE_QUERY_NUMBER}\\s*([^\\d\\s]*)$`);
+const VALUE_QUERY_BETWEEN = new RegExp(`^(.*?)\\s*between\\s+${VALUE_QUERY_NUMBER}\\s*([^\\d\\s]*)\\s+and\\s+${VALUE_QUERY_NUMBER}\\s*([^\\d\\s]*)$`, 'i');
+const VALUE_QUERY_RANGE = new RegExp(`^(.*?)\\s*${VALUE_QUERY_NUMBER}\\s*([^\\d\\s–-]*)\\s*(?:-|–|\\.\\.|to)\\s*${VALUE_QUERY_NUMBER}\\s*([^\\d\\s]+)$`, 'i');
+
+let quantityIndex = null;
+
+// Data is matched case-sensitively (G is not g); queries typed by hand are not
+function lookupUnit(symbol, ignoreCase) {
+    let entry = quantityUnits[symbol];
+    if (!entry && ignoreCase) {
+        const key = Object.keys(quantityUnits).find(unit => unit.toLowerCase() === symbol.toLowerCase());
+        entry = key && quantityUnits[key];
+    }
+    return entry ? { symbol: symbol, dimension: entry[0], factor: entry[1] } : null;
+}
+
+function parseQuantityNumber(text) {
+    return Number(String(text).replace(/,/g, ''));
+}
+
+function createQuantity(min, max, unit, text) {
+    return { min: min, max: max, unit: unit.symbol, dimension: unit.dimension, factor: unit.factor, text: text.trim() };
+}
+
+// Every quantity in a string: "CCS1:80kW or 160kW, JPN:62.5kW" gives three
+function parseQuantities(text) {
+    text = String(text);
+    const tokens = [];
+    const pattern = new RegExp(QUANTITY_PATTERN.source, 'g');
+    let match;
+    while ((match = pattern.exec(text))) {
+        const unit = match[3] ? lookupUnit(match[3]) : null;
+        tokens.push({
+            value: parseQuantityNumber(match[2]),
+            unit: unit,
+            known: !match[3] || unit !== null,
+            start: match.index + match[1].length,
+            end: pattern.lastIndex
+        });
+    }
+
+    const quantities = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (!token.known) continue;
+        const next = tokens[i + 1];
+        const gap = next ? text.slice(token.end, next.start) : '';
+
+        // "200-1000 Vdc", "-25°C to 50°C"; the first end may leave out the unit
+        if (next && next.known && (next.unit || token.unit) && QUANTITY_RANGE_SEPARATOR.test(gap)) {
+            const unit = next.unit || token.unit;
+            const startUnit = token.unit || unit;
+            if (startUnit.dimension === unit.dimension) {
+                quantities.push(createQuantity(token.value * startUnit.factor, next.value * unit.factor, unit,
+                    text.slice(token.start, next.end)));
+                i++;
+                continue;
+            }
+        }
+
+        // "50/60Hz"
+        const unit = token.unit || (next && next.unit && QUANTITY_LIST_SEPARATOR.test(gap) ? next.unit : null);
+        if (!unit) continue;
+
+        let min = token.value * unit.factor;
+        let max = min;
+        const before = text.slice(Math.max(0, token.start - 12), token.start);
+        if (QUANTITY_UPPER_BOUND.test(before)) {
+            min = -Infinity;
+        } else if (QUANTITY_LOWER_BOUND.test(before)) {
+            max = Infinity;
+        }
+
+        // "480V±10%", "700mm ± 20mm"
+        let end = token.end;
+        const tolerance = text.slice(token.end).match(QUANTITY_TOLERANCE);
+        if (tolerance) {
+            const amount = parseFloat(tolerance[1]);
+            const toleranceUnit = lookupUnit(tolerance[2]) || unit;
+            const delta = tolerance[2] === '%' ? Math.abs(token.value * unit.factor) * amount / 100 : amount * toleranceUnit.factor;
+            min -= delta;
+            max += delta;
+            end += tolerance[0].length;
+            while (tokens[i + 1] && tokens[i + 1].start < end) i++;
+        }
+        quantities.push(createQuantity(min, max, unit, text.slice(token.start, end)));
+    }
+    return quantities;
+}
+
+// rating_50kW / rating_above150kW: the key carries the quantity, the rest of it names the parameter.
+// Only identifier-style keys; an item name like "AC Input Cable for 160kW" is context, not a value
+function parseKeyQuantities(key) {
+    if (!/\d/.test(key) || /\s/.test(key)) return [];
+    const text = key.replace(/_/g, ' ').replace(/([a-z])(\d)/gi, '$1 $2');
+    return parseQuantities(text).map(quantity => {
+        const name = text.slice(0, text.indexOf(quantity.text)).replace(QUANTITY_LOWER_BOUND, '').replace(QUANTITY_UPPER_BOUND, '');
+        return { name: name.trim() || key, quantity: quantity };
+    });
+}
+
+function addQuantityEntries(entries, node, key, value) {
+    if (quantitySkippedProperties.has(key) || value === null || value === undefined) return;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([innerKey, innerValue]) => addQuantityEntries(entries, node, innerKey, innerValue));
+        return;
+    }
+
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    const names = [normalizeSpecParameter(key).name, key.toLowerCase()];
+    parseQuantities(text).forEach(quantity => {
+        entries.push({ node: node, key: key, names: names, text: text, quantity: quantity });
+    });
+    parseKeyQuantities(key).forEach(({ name, quantity }) => {
+        entries.push({ node: node, key: key, names: [normalizeSpecParameter(name).name], text: `${key}: ${text}`, quantity: quantity });
+    });
+}
+
+// Built on first use after each load, so search.js can query it from its own graph-loaded listener
+function getQuantityIndex() {
+    if (quantityIndex) return quantityIndex;
+    quantityIndex = [];
+    graphData.nodes.forEach(node => {
+        Object.entries(node.properties || {}).forEach(([key, value]) => {
+            // A specification's value belongs to its item: "Output Voltage for CCS1: 200-1000 Vdc"
+            const name = key === 'spec_value' && node.type === 'Specification' ? node.label.split(': ')[0] : key;
+            addQuantityEntries(quantityIndex, node, name, value);
+        });
+    });
+    return quantityIndex;
+}
+
+function parseQueryParameter(text) {
+    const parameter = text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return parameter || null;
+}
+
+// "output_voltage >= 900 V", "power between 50 and 150 kW", "max_current 100-250A";
+// null when the text is not a value query, so it goes to full-text search instead
+function parseValueQuery(text) {
+    let match;
+    let parameter, lower, upper, unitText, lowerStrict = false, upperStrict = false;
+
+    if ((match = text.match(VALUE_QUERY_BETWEEN))) {
+        [, parameter, lower, , upper, unitText] = match;
+        unitText = unitText || match[3];
+    } else if ((match = text.match(VALUE_QUERY_COMPARE))) {
+        const [, name, operator, value, unit] = match;
+        parameter = name;
+        unitText = unit;
+        lower = ['>', '>=', '≥', '=', '=='].includes(operator) ? value : -Infinity;
+        upper = ['<', '<=', '≤', '=', '=='].includes(operator) ? value : Infinity;
+        lowerStrict = operator === '>';
+        upperStrict = operator === '<';
+    } else if ((match = text.match(VALUE_QUERY_RANGE))) {
+        [, parameter, lower, , upper, unitText] = match;
+    } else {
+        return null;
+    }
+
+    const unit = unitText ? lookupUnit(unitText, true) : null;
+    if (unitText && !unit) return null;
+    parameter = parseQueryParameter(parameter);
+    // A bare "100-250" stays a text search
+    if (!unit && !parameter) return null;
+
+    lower = parseQuantityNumber(lower);
+    upper = parseQuantityNumber(upper);
+    if (lower > upper) [lower, upper] = [upper, lower];
+    return { parameter, lower, upper, lowerStrict, upperStrict, unit };
+}
+
+function describeValueQuery(query) {
+    const unit = query.unit ? ` ${query.unit.symbol}` : '';
+    const subject = query.parameter ? query.parameter.replace(/_/g, ' ') : 'a value';
+    if (query.lower === query.upper) return `${subject} = ${query.lower}${unit}`;
+    if (query.lower === -Infinity) return `${subject} ${query.upperStrict ? '<' : '≤'} ${query.upper}${unit}`;
+    if (query.upper === Infinity) return `${subject} ${query.lowerStrict ? '>' : '≥'} ${query.lower}${unit}`;
+    return `${subject} ${query.lower}–${query.upper}${unit}`;
+}
+
+function matchesQueryParameter(entry, parameter) {
+    if (!parameter) return true;
+    return quantityDimensionWords[parameter] === entry.quantity.dimension ||
+        entry.names.some(name => name.includes(parameter));
+}
+
+// Ranges match when they overlap the query ("200-1000 Vdc" can supply 900 V); without a unit
+// in the query the numbers are read in the unit each value was written in
+function matchesQueryRange(quantity, query) {
+    if (query.unit && query.unit.dimension !== quantity.dimension) return false;
+    const scale = query.unit ? query.unit.factor : quantity.factor;
+    const lower = query.lower * scale;
+    const upper = query.upper * scale;
+    // Open bounds are ±Infinity and must not widen the tolerance of the other one
+    const epsilon = 1e-9 * Math.max(...[lower, upper].filter(Number.isFinite).map(Math.abs), 1);
+
+    if (query.lowerStrict ? quantity.max <= lower : quantity.max < lower - epsilon) return false;
+    if (query.upperStrict ? quantity.min >= upper : quantity.min > upper + epsilon) return false;
+    return true;
+}
+
+// One result per node, with the entries that matched
+function queryValues(query) {
+    const byNode = new Map();
+    getQuantityIndex().forEach(entry => {
+        if (!matchesQueryParameter(entry, query.parameter) || !matchesQueryRange(entry.quantity, query)) return;
+        if (!byNode.has(entry.node)) byNode.set(entry.node, []);
+        byNode.get(entry.node).push(entry);
+    });
+    return [...byNode].map(([node, entries]) => ({ node, entries }))
+        .sort((a, b) => a.entries[0].quantity.min - b.entries[0].quantity.min || a.node.label.localeCompare(b.node.label));
+}
+
+window.addEventListener('graph-loaded', () => {
+    quantityIndex = null;
+});
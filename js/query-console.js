@@ -0,0 +1,522 @@
+// query-console.js - Cypher-like pattern queries over the loaded graph, with a result table and a history
+// MATCH (c:Charger_Model)-[:HAS_SPECIFICATION]->(s:Specification) WHERE s.spec_value >= 150 kW RETURN c, s LIMIT 50
+// Shorter forms work too: "Document -> Chunk -> Compliance_Finding with status Non-Compliant".
+// Bare words are node types, "(x)" is a variable unless x is a type, and an unqualified property in
+// WHERE belongs to the last node of the pattern. Numbers with units compare as quantities (quantities.js).
+
+const MAX_QUERY_ROWS = 500;
+const MAX_QUERY_STEPS = 200000;
+const MAX_QUERY_HISTORY = 20;
+
+const exampleQueries = [
+    { title: 'Specifications of each charger model', query: 'Charger_Model -[HAS_SPECIFICATION]-> Specification' },
+    { title: 'Component specs of 150 kW and up', query: 'Technical_Component -[HAS_SPECIFICATION]-> Specification where spec_value >= 150 kW' },
+    { title: 'Specs allowing at least 250 A', query: 'MATCH (s:Specification) WHERE s.related_params.max_current >= 250 A RETURN s, s.related_params.max_current' },
+    { title: 'Open compliance findings per document', query: 'Document -> Chunk -> Compliance_Finding where status != Compliant' },
+    { title: 'Components that violate a requirement', query: 'MATCH (c)-[:VIOLATES]->(f:Compliance_Finding) RETURN c, f, f.severity' },
+    { title: 'High-severity safety warnings by chunk', query: 'Chunk -[CONTAINS_SAFETY]-> Safety_Warning where severity = High' },
+    { title: 'Extracted values in amperes', query: 'Chunk -[CONTAINS]-> Value where label >= 1 A' },
+    { title: 'Charger models mentioned in each document', query: 'MATCH (d:Document)-[:HAS_SECTION]->(:Chunk)-[:CONTAINS]->(m:Charger_Model) RETURN DISTINCT d, m' }
+];
+
+const QUERY_NODE_PATTERN = /\s*\(\s*([A-Za-z_]\w*)?\s*(?::\s*([\w|]+))?\s*(?:\{([^}]*)\})?\s*\)\s*/y;
+const QUERY_BARE_NODE_PATTERN = /\s*(?:([A-Za-z_]\w*)\s*:\s*)?([A-Za-z_][\w|]*|\*)\s*/y;
+const QUERY_REL_PATTERN = /\s*(<)?-\s*(?:\[([^\]]*)\]\s*-)?\s*(-)?(>)?\s*/y;
+const QUERY_CONDITION = /^([A-Za-z_][\w.]*)\s*(=~|!=|<>|>=|<=|≥|≤|=|>|<|contains\b|starts\s+with\b|ends\s+with\b)?\s*(.*)$/is;
+const QUERY_NODE_FIELDS = ['id', 'label', 'type', 'source_doc'];
+
+let queryAdjacency = null;
+let queryResult = null;     // { columns, rows, nodes, limited }
+let queryHistory = [];      // { key (the query text), rowCount, ranAt }
+
+// ---- Parsing ----
+
+// Keywords and separators are looked for outside quotes only
+function maskQueryQuotes(text) {
+    return text.replace(/'[^']*'|"[^"]*"/g, match => '\u0001'.repeat(match.length));
+}
+
+function splitQueryList(text, separator) {
+    const masked = maskQueryQuotes(text);
+    const parts = [];
+    let start = 0;
+    let match;
+    const pattern = new RegExp(separator.source, 'gi');
+    while ((match = pattern.exec(masked))) {
+        parts.push(text.slice(start, match.index));
+        start = match.index + match[0].length;
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Exact name first, then a case-insensitive one, so "charger_model" still finds Charger_Model
+function resolveQueryName(name, known, kind) {
+    if (known.has(name)) return name;
+    const match = [...known].find(value => value.toLowerCase() === name.toLowerCase());
+    if (!match) throw new Error(`Unknown ${kind} "${name}"`);
+    return match;
+}
+
+function parseQueryTypes(text, known, kind) {
+    if (!text || text === '*') return null;
+    return new Set(text.split('|').filter(Boolean).map(name => resolveQueryName(name, known, kind)));
+}
+
+function parseQueryValue(text) {
+    const quoted = text.match(/^'([^']*)'$|^"([^"]*)"$/);
+    if (quoted) return { text: quoted[1] !== undefined ? quoted[1] : quoted[2] };
+    const number = text.match(/^(-?\d+(?:\.\d+)?)\s*(\S*)$/);
+    if (number && (!number[2] || lookupUnit(number[2], true))) {
+        return { text: text, number: Number(number[1]), unit: number[2] ? lookupUnit(number[2], true) : null };
+    }
+    return { text: text };
+}
+
+function parseQueryCondition(text, variables, lastIndex) {
+    const match = text.match(QUERY_CONDITION);
+    if (!match) throw new Error(`Cannot read condition "${text}"`);
+    let [, path, operator, valueText] = match;
+
+    // "s.related_params.max_current" names variable s; "related_params.max_current" is a path on the last node
+    let index = lastIndex;
+    const [head, ...rest] = path.split('.');
+    if (rest.length > 0 && variables.has(head)) {
+        index = variables.get(head);
+        path = rest.join('.');
+    } else if (rest.length === 0 && variables.has(head) && !operator && !valueText) {
+        throw new Error(`Condition on "${head}" needs a property`);
+    }
+    if (index === -1) throw new Error(`Conditions on relationships are not supported ("${text}")`);
+
+    // "with status Non-Compliant" means status = 'Non-Compliant'; a bare property means it has a value
+    operator = (operator || (valueText ? '=' : 'exists')).toLowerCase().replace(/\s+/g, ' ');
+    operator = { '<>': '!=', '≥': '>=', '≤': '<=' }[operator] || operator;
+    const value = parseQueryValue(valueText.trim());
+    if (operator === '=~') {
+        try {
+            value.pattern = new RegExp(value.text);
+        } catch (error) {
+            throw new Error(`Invalid regular expression ${value.text}`);
+        }
+    }
+    return { index: index, path: path, operator: operator, value: value };
+}
+
+function parseQueryPattern(text) {
+    const nodeTypes = new Set(Object.keys(typeCounts));
+    const relationTypes = new Set(graphData.links.map(link => link.relation));
+    const nodes = [];
+    const rels = [];
+    let position = 0;
+
+    const readNode = () => {
+        for (const pattern of [QUERY_NODE_PATTERN, QUERY_BARE_NODE_PATTERN]) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (!match) continue;
+            position = pattern.lastIndex;
+
+            let [, variable, types, properties] = match;
+            if (pattern === QUERY_BARE_NODE_PATTERN) {
+                properties = undefined;
+            } else if (variable && !types && nodeTypes.has(variable)) {
+                // "(Chunk)" is the type, "(c)" a variable
+                types = variable;
+                variable = undefined;
+            }
+            const node = { variable: variable || null, types: parseQueryTypes(types, nodeTypes, 'node type'), conditions: [] };
+            if (properties) {
+                splitQueryList(properties, /,/).forEach(pair => {
+                    const separator = pair.indexOf(':');
+                    if (separator === -1) throw new Error(`Expected key: value in {${properties}}`);
+                    node.conditions.push({
+                        path: pair.slice(0, separator).trim(),
+                        operator: '=',
+                        value: parseQueryValue(pair.slice(separator + 1).trim())
+                    });
+                });
+            }
+            nodes.push(node);
+            return;
+        }
+        throw new Error(`Expected a node at "${text.slice(position).trim() || 'the end'}"`);
+    };
+
+    readNode();
+    while (position < text.length) {
+        QUERY_REL_PATTERN.lastIndex = position;
+        const match = QUERY_REL_PATTERN.exec(text);
+        const [, incoming, inner, dash, outgoing] = match || [];
+        if (!match || (incoming && outgoing) || (!incoming && !outgoing && inner === undefined && !dash)) {
+            throw new Error(`Expected ->, <- or -- at "${text.slice(position).trim()}"`);
+        }
+        position = QUERY_REL_PATTERN.lastIndex;
+
+        // [HAS_SPECIFICATION], [:HAS_SPECIFICATION], [r:HAS_SPECIFICATION|CONTAINS_SPEC]; a lone unknown word is a variable
+        let variable = null;
+        let types = (inner || '').trim();
+        if (types.includes('*')) throw new Error('Variable-length relationships are not supported');
+        if (types.includes(':')) {
+            [variable, types] = types.split(':').map(part => part.trim());
+        } else if (/^[a-z_]\w*$/.test(types) && ![...relationTypes].some(type => type.toLowerCase() === types.toLowerCase())) {
+            variable = types;
+            types = '';
+        }
+        rels.push({
+            variable: variable || null,
+            types: parseQueryTypes(types, relationTypes, 'relation'),
+            direction: outgoing ? 'out' : incoming ? 'in' : 'both'
+        });
+        readNode();
+    }
+    return { nodes, rels };
+}
+
+function parseQuery(text) {
+    const masked = maskQueryQuotes(text);
+    const keywords = [...masked.matchAll(/\b(MATCH|WHERE|(?<!(?:STARTS|ENDS)\s+)WITH|RETURN|LIMIT)\b/gi)];
+    const clauses = { match: '' };
+    let current = 'match';
+    let start = 0;
+    keywords.forEach(keyword => {
+        clauses[current] = text.slice(start, keyword.index).trim();
+        current = keyword[1].toLowerCase() === 'with' ? 'where' : keyword[1].toLowerCase();
+        start = keyword.index + keyword[0].length;
+    });
+    clauses[current] = text.slice(start).trim();
+    if (!clauses.match) throw new Error('The query needs a pattern, e.g. Document -> Chunk');
+
+    const pattern = parseQueryPattern(clauses.match);
+    const variables = new Map();
+    pattern.nodes.forEach((node, i) => {
+        if (node.variable && !variables.has(node.variable)) variables.set(node.variable, i);
+    });
+    pattern.rels.forEach(rel => {
+        if (rel.variable && !variables.has(rel.variable)) variables.set(rel.variable, -1);
+    });
+    // Without a variable, a node can be named by its type: "Chunk -> Value RETURN Value.label"
+    pattern.nodes.forEach((node, i) => {
+        const type = !node.variable && node.types && node.types.size === 1 && [...node.types][0];
+        if (type && !variables.has(type)) variables.set(type, i);
+    });
+
+    const lastIndex = pattern.nodes.length - 1;
+    if (/\bOR\b/i.test(maskQueryQuotes(clauses.where || ''))) throw new Error('Only AND is supported between conditions');
+    splitQueryList(clauses.where || '', /\s+AND\s+/).forEach(text => {
+        const condition = parseQueryCondition(text, variables, lastIndex);
+        pattern.nodes[condition.index].conditions.push(condition);
+    });
+
+    let returns = null;
+    let distinct = false;
+    if (clauses.return) {
+        const items = clauses.return.replace(/^DISTINCT\s+/i, () => {
+            distinct = true;
+            return '';
+        });
+        returns = splitQueryList(items, /,/).map(item => {
+            const [variable, ...path] = item.split('.');
+            if (!variables.has(variable)) throw new Error(`Unknown variable "${variable}" in RETURN`);
+            const index = variables.get(variable);
+            return {
+                title: item,
+                index: index,
+                rel: index === -1 ? pattern.rels.findIndex(rel => rel.variable === variable) : -1,
+                path: path.join('.')
+            };
+        });
+    }
+
+    let limit = MAX_QUERY_ROWS;
+    if (clauses.limit) {
+        limit = parseInt(clauses.limit, 10);
+        if (!(limit > 0)) throw new Error(`LIMIT needs a positive number, not "${clauses.limit}"`);
+        limit = Math.min(limit, MAX_QUERY_ROWS);
+    }
+    return { pattern, returns, distinct, limit };
+}
+
+// ---- Evaluation ----
+
+function getQueryProperty(node, path) {
+    const [head, ...rest] = path.split('.');
+    let value = QUERY_NODE_FIELDS.includes(head) ? node[head] :
+        node.properties && node.properties[head] !== undefined ? node.properties[head] : node[head];
+    rest.forEach(key => {
+        value = value && typeof value === 'object' ? value[key] : undefined;
+    });
+    return value;
+}
+
+function compareQueryNumber(actual, operator, value) {
+    const number = value.number;
+    const query = {
+        lower: ['=', '>', '>='].includes(operator) ? number : -Infinity,
+        upper: ['=', '<', '<='].includes(operator) ? number : Infinity,
+        lowerStrict: operator === '>',
+        upperStrict: operator === '<',
+        unit: value.unit
+    };
+    if (typeof actual === 'number' || /^\s*-?\d+(?:\.\d+)?\s*$/.test(actual)) {
+        const n = Number(actual);
+        return (query.lowerStrict ? n > query.lower : n >= query.lower) && (query.upperStrict ? n < query.upper : n <= query.upper);
+    }
+    return parseQuantities(String(actual)).some(quantity => matchesQueryRange(quantity, query));
+}
+
+function testQueryValue(actual, condition) {
+    const { operator, value } = condition;
+    if (operator === '!=') return !testQueryValue(actual, { operator: '=', value: value });
+    if (Array.isArray(actual)) return actual.some(item => testQueryValue(item, condition));
+    if (actual === undefined || actual === null) return false;
+    if (operator === 'exists') return actual !== '';
+
+    const text = (typeof actual === 'object' ? JSON.stringify(actual) : String(actual)).toLowerCase();
+    const expected = value.text.toLowerCase();
+    switch (operator) {
+        case 'contains': return text.includes(expected);
+        case 'starts with': return text.startsWith(expected);
+        case 'ends with': return text.endsWith(expected);
+        case '=~': return value.pattern.test(String(actual));
+    }
+    if (value.number !== undefined) return compareQueryNumber(actual, operator, value);
+
+    const order = text.localeCompare(expected, undefined, { numeric: true });
+    return { '=': order === 0, '>': order > 0, '>=': order >= 0, '<': order < 0, '<=': order <= 0 }[operator];
+}
+
+function getQueryAdjacency() {
+    if (!queryAdjacency) queryAdjacency = buildAdjacency(graphData.links);
+    return queryAdjacency;
+}
+
+// Depth-first over the pattern; a path uses each link once, and a repeated variable is the same node
+function matchQueryPattern(query) {
+    const { nodes: patterns, rels } = query.pattern;
+    const adjacency = getQueryAdjacency();
+    const bound = new Array(patterns.length);
+    const links = new Array(rels.length);
+    const rows = [];
+    let steps = 0;
+
+    const nodeMatches = (node, index) => {
+        const pattern = patterns[index];
+        if (pattern.types && !pattern.types.has(node.type)) return false;
+        const first = pattern.variable ? patterns.findIndex(other => other.variable === pattern.variable) : index;
+        if (first < index && bound[first] !== node) return false;
+        return pattern.conditions.every(condition => testQueryValue(getQueryProperty(node, condition.path), condition));
+    };
+
+    const extend = index => {
+        if (index === patterns.length - 1) {
+            rows.push({ nodes: [...bound], links: [...links] });
+            return;
+        }
+        const rel = rels[index];
+        for (const { node, link, outgoing } of adjacency.get(bound[index]) || []) {
+            if (rows.length >= query.limit) return;
+            if (++steps > MAX_QUERY_STEPS) throw new Error('The query is too broad; add types or conditions');
+            if (rel.types && !rel.types.has(link.relation)) continue;
+            if ((rel.direction === 'out' && !outgoing) || (rel.direction === 'in' && outgoing)) continue;
+            if (links.slice(0, index).includes(link)) continue;
+            if (!nodeMatches(node, index + 1)) continue;
+            bound[index + 1] = node;
+            links[index] = link;
+            extend(index + 1);
+        }
+    };
+
+    for (const node of graphData.nodes) {
+        if (rows.length >= query.limit) break;
+        if (!nodeMatches(node, 0)) continue;
+        bound[0] = node;
+        extend(0);
+    }
+    return rows;
+}
+
+function formatQueryValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Rows of cells: { node } for node columns, { text } for properties and relationships
+function projectQueryRows(query, matches) {
+    const patterns = query.pattern.nodes;
+    const columns = query.returns || patterns.map((pattern, index) => ({
+        title: pattern.variable || (pattern.types ? [...pattern.types].join('|') : `node ${index + 1}`),
+        index: index,
+        rel: -1,
+        path: ''
+    }));
+
+    let rows = matches.map(match => columns.map(column => {
+        if (column.rel !== -1) return { text: match.links[column.rel].relation };
+        const node = match.nodes[column.index];
+        return column.path ? { text: formatQueryValue(getQueryProperty(node, column.path)) } : { node: node };
+    }));
+    if (query.distinct) {
+        const seen = new Set();
+        rows = rows.filter(row => {
+            const key = row.map(cell => cell.node ? `#${cell.node.id}` : cell.text).join('\u0001');
+            return !seen.has(key) && seen.add(key);
+        });
+    }
+    return { columns: columns.map(column => column.title), rows };
+}
+
+// ---- Console ----
+
+function toggleQueryPanel() {
+    if (togglePanel('query-panel')) {
+        renderQueryHistory();
+        document.getElementById('query-input').focus();
+    }
+}
+
+function runQuery(text) {
+    const input = document.getElementById('query-input');
+    if (text !== undefined) input.value = text;
+    text = input.value.trim();
+    if (!text || !Graph) return;
+
+    let query, matches;
+    try {
+        query = parseQuery(text);
+        matches = matchQueryPattern(query);
+    } catch (error) {
+        queryResult = null;
+        setHighlight(null);
+        renderQueryResult(error.message);
+        return;
+    }
+
+    const { columns, rows } = projectQueryRows(query, matches);
+    const nodes = new Set();
+    matches.forEach(match => match.nodes.forEach(node => nodes.add(node)));
+    queryResult = { columns, rows, nodes, limited: matches.length >= query.limit };
+    setHighlight(nodes.size > 0 ? nodes : null);
+    renderQueryResult();
+    rememberQuery(text, rows.length);
+}
+
+function clearQuery() {
+    document.getElementById('query-input').value = '';
+    queryResult = null;
+    setHighlight(null);
+    renderQueryResult();
+}
+
+function onQueryKeydown(event) {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        runQuery();
+        event.preventDefault();
+    }
+}
+
+function loadExampleQuery(index) {
+    const example = exampleQueries[index];
+    document.getElementById('query-examples').value = '';
+    if (example) runQuery(example.query);
+}
+
+function renderQueryResult(error) {
+    const status = document.getElementById('query-status');
+    const table = document.getElementById('query-table');
+    status.classList.toggle('query-error', !!error);
+    if (error || !queryResult) {
+        status.textContent = error || '';
+        table.innerHTML = '';
+        return;
+    }
+
+    const { columns, rows, nodes, limited } = queryResult;
+    status.textContent = `${rows.length} row${rows.length === 1 ? '' : 's'} · ${nodes.size} node${nodes.size === 1 ? '' : 's'} highlighted` +
+        (limited ? ' · stopped at the row limit' : '');
+    table.innerHTML = `
+        <thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map((row, r) => `
+            <tr>${row.map((cell, c) => cell.node ? `
+                <td class="query-node" title="${escapeHtml(cell.node.type)}" onclick="selectQueryCell(${r}, ${c})">
+                    <span class="status-dot" style="background: ${cell.node.color};"></span>${escapeHtml(cell.node.label)}
+                </td>` : `<td title="${escapeHtml(cell.text)}">${escapeHtml(cell.text)}</td>`).join('')}
+            </tr>`).join('')}
+        </tbody>
+    `;
+}
+
+function selectQueryCell(row, column) {
+    const cell = queryResult && queryResult.rows[row] && queryResult.rows[row][column];
+    if (cell && cell.node) handleNodeClick(cell.node);
+}
+
+// ---- History ----
+
+async function loadQueryHistory() {
+    try {
+        const entries = await withViewerStore('queryHistory', 'readonly', store => store.getAll());
+        queryHistory = entries.sort((a, b) => b.ranAt - a.ranAt);
+    } catch (error) {
+        console.warn('Query history unavailable:', error.message);
+    }
+    renderQueryHistory();
+}
+
+// Keyed by the query text, so running a query again moves it to the top
+async function rememberQuery(text, rowCount) {
+    try {
+        await withViewerStore('queryHistory', 'readwrite', store => store.put({ key: text, rowCount: rowCount, ranAt: Date.now() }));
+        const entries = await withViewerStore('queryHistory', 'readonly', store => store.getAll());
+        const stale = entries.sort((a, b) => b.ranAt - a.ranAt).slice(MAX_QUERY_HISTORY);
+        if (stale.length > 0) {
+            await withViewerStore('queryHistory', 'readwrite', store => {
+                stale.forEach(old => store.delete(old.key));
+            });
+        }
+    } catch (error) {
+        console.warn('Could not save query history:', error.message);
+    }
+    await loadQueryHistory();
+}
+
+async function forgetQuery(index) {
+    const entry = queryHistory[index];
+    if (!entry) return;
+    try {
+        await withViewerStore('queryHistory', 'readwrite', store => store.delete(entry.key));
+    } catch (error) {
+        console.warn('Could not remove query:', error.message);
+    }
+    await loadQueryHistory();
+}
+
+function runHistoryQuery(index) {
+    const entry = queryHistory[index];
+    if (entry) runQuery(entry.key);
+}
+
+function renderQueryHistory() {
+    document.getElementById('query-history').innerHTML = queryHistory.length === 0 ?
+        '<div class="recent-empty">Queries you run appear here</div>' :
+        queryHistory.map((entry, index) => `
+            <div class="recent-source" title="${escapeHtml(entry.key)}" onclick="runHistoryQuery(${index})">
+                <span class="recent-icon">⌨️</span>
+                <span class="recent-name query-text">${escapeHtml(entry.key)}</span>
+                <span class="recent-meta">${entry.rowCount} row${entry.rowCount === 1 ? '' : 's'} · ${new Date(entry.ranAt).toLocaleString()}</span>
+                <button class="recent-remove" title="Remove from history" onclick="event.stopPropagation(); forgetQuery(${index})">✕</button>
+            </div>
+        `).join('');
+}
+
+window.addEventListener('load', () => {
+    document.getElementById('query-examples').innerHTML = '<option value="">Examples…</option>' +
+        exampleQueries.map((example, index) => `<option value="${index}">${escapeHtml(example.title)}</option>`).join('');
+    loadQueryHistory();
+});
+
+window.addEventListener('graph-loaded', () => {
+    queryAdjacency = null;
+    queryResult = null;
+    renderQueryResult();
+});
@@ -0,0 +1,149 @@
+// reader.js - Source-text reader for Chunk nodes
+let readerChunk = null;
+let readerMarkIds = [];     // node ids behind the open chunk's highlights, in order
+
+// Page banners look like "====\nPAGE 3 | Source: file.pdf\n====" inside full_text
+const PAGE_SEPARATOR = /={10,}\s*\n\s*PAGE\s+(\d+)\s*\|\s*Source:\s*([^\n]*)\n\s*={10,}/g;
+
+function getChunkText(chunkId) {
+    const doc = ((rawData && rawData.parent_documents) || []).find(d => d.id === chunkId);
+    return doc ? doc.full_text || '' : '';
+}
+
+function splitPages(text) {
+    const pages = [];
+    let match;
+    let lastIndex = 0;
+    let current = { page: null, source: null };
+
+    PAGE_SEPARATOR.lastIndex = 0;
+    while ((match = PAGE_SEPARATOR.exec(text)) !== null) {
+        const body = text.slice(lastIndex, match.index).trim();
+        if (body || current.page !== null) {
+            pages.push({ ...current, text: body });
+        }
+        current = { page: Number(match[1]), source: match[2].trim() };
+        lastIndex = PAGE_SEPARATOR.lastIndex;
+    }
+    pages.push({ ...current, text: text.slice(lastIndex).trim() });
+
+    return pages.filter(p => p.page !== null || p.text);
+}
+
+// Spec and finding values extracted from this chunk, to be marked up in its text
+function getChunkHighlights(chunkId) {
+    const highlights = [];
+    const add = (term, kind, nodeId) => {
+        term = String(term || '').trim();
+        if (term.length >= 2) highlights.push({ term: term, kind: kind, nodeId: nodeId });
+    };
+
+    ((rawData && rawData.technical_specifications) || [])
+        .filter(spec => spec.parent_chunk_id === chunkId)
+        .forEach(spec => {
+            add(spec.spec_value, 'spec', spec.id);
+            Object.values(spec.related_params || {}).forEach(value => add(value, 'spec', spec.id));
+        });
+
+    graphData.nodes
+        .filter(node => node.type === 'Compliance_Finding' && node.properties &&
+            node.properties.parent_chunk_id === chunkId)
+        .forEach(node => add(node.properties.subject, 'finding', node.id));
+
+    return highlights;
+}
+
+function renderHighlightedText(text, highlights) {
+    if (highlights.length === 0) return escapeHtml(text);
+
+    // Longest terms first so "160kW" wins over "60kW"
+    const byTerm = new Map();
+    highlights
+        .slice()
+        .sort((a, b) => b.term.length - a.term.length)
+        .forEach(h => {
+            const key = h.term.toLowerCase();
+            if (!byTerm.has(key)) byTerm.set(key, h);
+        });
+
+    const pattern = new RegExp(
+        `(${[...byTerm.values()].map(h => h.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`,
+        'gi'
+    );
+
+    return text.split(pattern).map((part, index) => {
+        // Odd indices are the captured matches
+        if (index % 2 === 0) return escapeHtml(part);
+        const h = byTerm.get(part.toLowerCase());
+        return `<mark class="reader-${h.kind}" title="${h.kind === 'spec' ? 'Specification' : 'Compliance finding'}"
+                      onclick="selectReaderMark(${readerMarkIds.push(h.nodeId) - 1})">${escapeHtml(part)}</mark>`;
+    }).join('');
+}
+
+function findSectionNeighbor(chunk, direction) {
+    const link = graphData.links.find(l => l.relation === 'NEXT_SECTION' &&
+        (direction > 0 ? l.source === chunk : l.target === chunk));
+    if (!link) return null;
+    return direction > 0 ? link.target : link.source;
+}
+
+function openReader(chunk) {
+    readerChunk = chunk;
+    togglePanel('reader-panel', true);
+
+    const text = getChunkText(chunk.id);
+    const highlights = getChunkHighlights(chunk.id);
+    const pages = splitPages(text);
+
+    document.getElementById('reader-title').textContent = chunk.label;
+
+    let html = '';
+    readerMarkIds = [];
+    if (!text) {
+        html = '<div class="panel-note">No source text found for this chunk.</div>';
+    } else {
+        pages.forEach(page => {
+            if (page.page !== null) {
+                html += `<h3 class="reader-page">Page ${page.page}<span>${escapeHtml(page.source || '')}</span></h3>`;
+            }
+            html += `<p>${renderHighlightedText(page.text, highlights)}</p>`;
+        });
+    }
+    const body = document.getElementById('reader-text');
+    body.innerHTML = html;
+    body.scrollTop = 0;
+
+    const specCount = new Set(highlights.filter(h => h.kind === 'spec').map(h => h.nodeId)).size;
+    const findingCount = new Set(highlights.filter(h => h.kind === 'finding').map(h => h.nodeId)).size;
+    document.getElementById('reader-meta').textContent =
+        `${pages.length} page${pages.length === 1 ? '' : 's'} · ${specCount} specs · ${findingCount} findings`;
+
+    document.getElementById('reader-prev').disabled = !findSectionNeighbor(chunk, -1);
+    document.getElementById('reader-next').disabled = !findSectionNeighbor(chunk, 1);
+}
+
+function selectReaderMark(index) {
+    selectNodeById(readerMarkIds[index]);
+}
+
+function readerStep(direction) {
+    if (!readerChunk) return;
+    const neighbor = findSectionNeighbor(readerChunk, direction);
+    if (neighbor) handleNodeClick(neighbor);
+}
+
+function closeReader() {
+    readerChunk = null;
+    togglePanel('reader-panel', false);
+}
+
+// The reader opens from the "Read source text" button; once open it follows the selected chunk
+window.addEventListener('node-selected', (event) => {
+    if (event.detail.type === 'Chunk' && document.getElementById('reader-panel').classList.contains('open')) {
+        openReader(event.detail);
+    }
+});
+
+window.addEventListener('graph-loaded', () => {
+    closeReader();
+});
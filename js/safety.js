@@ -0,0 +1,183 @@
+// safety.js - Safety warnings from compliance_and_safety as their own nodes, with a hazard marker and a panel
+// The pipeline repeats a warning for every overlapping chunk it appears in and reuses record ids,
+// so records with the same document, page and text become one node linked to each of those chunks.
+
+const SAFETY_TYPE = 'Safety_Warning';
+const SAFETY_RELATION = 'CONTAINS_SAFETY';
+
+const safetySeverityColors = {
+    'High': '#ff4757',
+    'Medium': '#ffa502',
+    'Low': '#feca57'
+};
+
+let safetyHaloGeometry = null;
+const safetyHaloMaterials = {};
+let safetyGlyphMaterial = null;
+let safetyListNodes = [];       // warnings in the panel's list, in order
+
+function getSafetyKey(record) {
+    return [record.source_document || record.source_pdf, record.source_page, record.category, record.content].join('|');
+}
+
+// Raw records -> { nodes, links }; ids come from the content so notes and links survive a re-run.
+// resolveChunk(id) gives the node id of a record's chunk; warnings whose chunk is not in the graph stay unlinked.
+function buildSafetyWarnings(records, resolveChunk) {
+    const nodes = [];
+    const links = [];
+    const nodesByKey = new Map();
+    const usedIds = new Set();
+
+    records.forEach(record => {
+        if (!record || !record.content) return;
+        const key = getSafetyKey(record);
+        let node = nodesByKey.get(key);
+        if (!node) {
+            let id = `safety_${hashString(key).toString(36)}`;
+            for (let n = 2; usedIds.has(id); n++) id = `safety_${hashString(key).toString(36)}_${n}`;
+            usedIds.add(id);
+
+            const { content, category, severity, source_document, ...properties } = record;
+            node = {
+                id: id,
+                label: `${category || 'Safety'}: ${content}`,
+                type: SAFETY_TYPE,
+                properties: { category: category || 'Safety', severity: severity || 'Low', content, ...properties },
+                source_doc: source_document || record.source_pdf,
+                color: getTypeStyle(SAFETY_TYPE).color,
+                val: getTypeStyle(SAFETY_TYPE).size,
+                chunkIds: new Set()
+            };
+            nodesByKey.set(key, node);
+            nodes.push(node);
+        }
+        const chunkId = record.parent_chunk_id && resolveChunk(record.parent_chunk_id);
+        if (chunkId && !node.chunkIds.has(chunkId)) {
+            node.chunkIds.add(chunkId);
+            links.push({ source: chunkId, target: node.id, relation: SAFETY_RELATION, is_negative: false });
+        }
+    });
+    nodes.forEach(node => delete node.chunkIds);
+    return { nodes, links };
+}
+
+// Yellow warning triangle, drawn once and shared by every marker
+function getSafetyGlyphMaterial() {
+    if (safetyGlyphMaterial) return safetyGlyphMaterial;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.beginPath();
+    context.moveTo(32, 4);
+    context.lineTo(61, 58);
+    context.lineTo(3, 58);
+    context.closePath();
+    context.fillStyle = '#ffd32a';
+    context.fill();
+    context.lineWidth = 4;
+    context.strokeStyle = '#1e1e1e';
+    context.stroke();
+    context.fillStyle = '#1e1e1e';
+    context.font = 'bold 36px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText('!', 32, 38);
+    safetyGlyphMaterial = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true });
+    return safetyGlyphMaterial;
+}
+
+// Called from createNodeObject for safety nodes: a severity-colored halo and a hazard sign above the node
+function createSafetyMarker(node, radius) {
+    const severity = node.properties && node.properties.severity;
+    const color = safetySeverityColors[severity] || safetySeverityColors.Low;
+    if (!safetyHaloMaterials[color]) {
+        safetyHaloMaterials[color] = new THREE.MeshBasicMaterial({ color: color, transparent: true, opacity: 0.25, depthWrite: false });
+    }
+
+    if (!safetyHaloGeometry) safetyHaloGeometry = new THREE.SphereGeometry(1, 16, 12);
+
+    const marker = new THREE.Group();
+    const halo = new THREE.Mesh(safetyHaloGeometry, safetyHaloMaterials[color]);
+    halo.scale.setScalar(radius * 2);
+    marker.add(halo);
+
+    const glyph = new THREE.Sprite(getSafetyGlyphMaterial());
+    glyph.scale.setScalar(radius * 2);
+    glyph.position.y = radius * 2.6;
+    marker.add(glyph);
+    return marker;
+}
+
+// ---- Panel ----
+
+function toggleSafetyPanel() {
+    if (togglePanel('safety-panel')) {
+        renderSafetyPanel();
+    }
+}
+
+function setSafetyVisible(visible) {
+    if (isTypeVisible(SAFETY_TYPE) !== visible) toggleTypeVisibility(SAFETY_TYPE);
+    renderTypeLegend(document.getElementById('node-legend-items'), refreshVisibility);
+    refreshVisibility();
+}
+
+function selectSafetyWarning(index) {
+    const node = safetyListNodes[index];
+    if (!node) return;
+    if (!isTypeVisible(SAFETY_TYPE)) {
+        setSafetyVisible(true);
+        document.getElementById('safety-visible').checked = true;
+    }
+    handleNodeClick(node);
+}
+
+// Grouped by document, then by page
+function renderSafetyPanel() {
+    const severity = document.getElementById('safety-severity-filter').value;
+    const warnings = graphData.nodes.filter(node => node.type === SAFETY_TYPE &&
+        (!severity || node.properties.severity === severity));
+    document.getElementById('safety-visible').checked = isTypeVisible(SAFETY_TYPE);
+    document.getElementById('safety-count').textContent =
+        `${warnings.length} warning${warnings.length === 1 ? '' : 's'}${severity ? ` of ${severity} severity` : ''}`;
+
+    const documents = new Map();
+    warnings.forEach(node => {
+        const doc = node.source_doc || 'Unknown document';
+        const page = node.properties.source_page !== undefined ? node.properties.source_page : '?';
+        if (!documents.has(doc)) documents.set(doc, new Map());
+        const pages = documents.get(doc);
+        if (!pages.has(page)) pages.set(page, []);
+        pages.get(page).push(node);
+    });
+
+    let html = '';
+    safetyListNodes = [];
+    [...documents.keys()].sort().forEach(doc => {
+        const pages = documents.get(doc);
+        const count = [...pages.values()].reduce((sum, nodes) => sum + nodes.length, 0);
+        html += `<div class="neighbor-group"><div class="neighbor-relation">📄 ${escapeHtml(doc)} (${count})</div>`;
+        [...pages.keys()].sort((a, b) => Number(a) - Number(b)).forEach(page => {
+            html += `<div class="safety-page">Page ${escapeHtml(page)}</div>`;
+            pages.get(page)
+                .sort((a, b) => (severityRank[b.properties.severity] || 0) - (severityRank[a.properties.severity] || 0))
+                .forEach(node => {
+                    const color = safetySeverityColors[node.properties.severity] || safetySeverityColors.Low;
+                    safetyListNodes.push(node);
+                    html += `
+                        <div class="neighbor-item quality-item" title="${escapeHtml(node.properties.severity)} severity"
+                             onclick="selectSafetyWarning(${safetyListNodes.length - 1})">
+                            <span class="status-dot" style="background: ${color};"></span><strong>${escapeHtml(node.properties.category)}</strong>
+                            ${escapeHtml(node.properties.content)}
+                        </div>
+                    `;
+                });
+        });
+        html += '</div>';
+    });
+    document.getElementById('safety-list').innerHTML = html || '<div class="panel-note">No safety warnings in this file</div>';
+}
+
+window.addEventListener('graph-loaded', () => {
+    if (document.getElementById('safety-panel').classList.contains('open')) renderSafetyPanel();
+});
@@ -0,0 +1,243 @@
+// search.js - Full-text search over entity labels, properties and chunk text
+// Queries like "power >= 150 kW" search property values by quantity instead (quantities.js).
+let searchIndex = [];
+let searchResults = [];
+let valueQuery = null;
+let activeResult = -1;
+let searchTimer = null;
+
+const MAX_SEARCH_RESULTS = 50;
+const SNIPPET_RADIUS = 60;
+
+function flattenValues(value) {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) return value.flatMap(flattenValues);
+    if (typeof value === 'object') return Object.values(value).flatMap(flattenValues);
+    return [String(value)];
+}
+
+function buildSearchIndex() {
+    const chunkText = {};
+    ((rawData && rawData.parent_documents) || []).forEach(doc => {
+        chunkText[doc.id] = doc.full_text || '';
+    });
+
+    searchIndex = graphData.nodes.map(node => {
+        const label = String(node.label || '');
+        const properties = Object.entries(node.properties || {})
+            .map(([key, value]) => `${key}: ${flattenValues(value).join(', ')}`)
+            .join('\n');
+        const text = node.type === 'Chunk' ? chunkText[node.id] || '' : '';
+
+        return {
+            node: node,
+            label: label,
+            properties: properties,
+            text: text,
+            labelLower: label.toLowerCase(),
+            propertiesLower: properties.toLowerCase(),
+            textLower: text.toLowerCase()
+        };
+    });
+}
+
+function searchNodes(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    searchIndex.forEach(entry => {
+        let score = 0;
+        let field = null;
+
+        // Every term has to match somewhere; label hits outrank property and text hits
+        for (const term of terms) {
+            if (entry.labelLower.includes(term)) {
+                score += 10;
+                field = field || 'label';
+            } else if (entry.propertiesLower.includes(term)) {
+                score += 3;
+                field = field || 'properties';
+            } else if (entry.textLower.includes(term)) {
+                score += 1;
+                field = field || 'text';
+            } else {
+                return;
+            }
+        }
+
+        if (entry.labelLower === terms.join(' ')) score += 20;
+        else if (entry.labelLower.startsWith(terms[0])) score += 5;
+
+        results.push({ entry: entry, score: score, field: field, terms: terms });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label));
+}
+
+// Value queries list every node with a matching value
+function searchValues(query) {
+    return queryValues(query).map(({ node, entries }) => ({
+        entry: { node: node, label: String(node.label || '') },
+        field: 'value',
+        terms: [],
+        values: entries
+    }));
+}
+
+function renderValueSnippet(values) {
+    const seen = new Set();
+    return values.map(value => `${escapeHtml(value.key)}: <mark>${escapeHtml(value.quantity.text)}</mark>`)
+        .filter(html => !seen.has(html) && seen.add(html))
+        .join(' · ');
+}
+
+function buildSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const position = Math.max(0, ...terms.map(term => lower.indexOf(term)));
+    const start = Math.max(0, position - SNIPPET_RADIUS);
+    const end = Math.min(text.length, position + SNIPPET_RADIUS);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').replace(/=+/g, '');
+    return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+}
+
+// Matches are found on the raw text and only then escaped, so terms never hit entities or earlier <mark> tags
+function markTerms(text, terms) {
+    text = String(text);
+    const lower = text.toLowerCase();
+    const marked = new Array(text.length).fill(false);
+    terms.filter(Boolean).forEach(term => {
+        for (let index = lower.indexOf(term); index !== -1; index = lower.indexOf(term, index + term.length)) {
+            marked.fill(true, index, index + term.length);
+        }
+    });
+
+    let html = '';
+    let start = 0;
+    for (let i = 1; i <= text.length; i++) {
+        if (i < text.length && marked[i] === marked[start]) continue;
+        const segment = escapeHtml(text.slice(start, i));
+        html += marked[start] ? `<mark>${segment}</mark>` : segment;
+        start = i;
+    }
+    return html;
+}
+
+function renderSearchResults() {
+    const container = document.getElementById('search-results');
+    if (searchResults.length === 0) {
+        const query = document.getElementById('search-input').value.trim();
+        const message = valueQuery ? `No values with ${escapeHtml(describeValueQuery(valueQuery))}` : 'No matches';
+        container.innerHTML = query ? `<div class="search-empty">${message}</div>` : '';
+        container.style.display = query ? 'block' : 'none';
+        return;
+    }
+
+    const shown = searchResults.slice(0, MAX_SEARCH_RESULTS);
+    let html = `<div class="search-empty">${searchResults.length} match${searchResults.length === 1 ? '' : 'es'}${
+        valueQuery ? ` with ${escapeHtml(describeValueQuery(valueQuery))}` : ''}</div>`;
+    html += shown.map((result, index) => {
+        const { entry, field, terms } = result;
+        let snippet = '';
+        if (field === 'value') {
+            snippet = renderValueSnippet(result.values);
+        } else if (field === 'properties') {
+            snippet = markTerms(buildSnippet(entry.properties, terms), terms);
+        } else if (field === 'text') {
+            snippet = markTerms(buildSnippet(entry.text, terms), terms);
+        }
+        return `
+            <div class="search-result${index === activeResult ? ' active' : ''}" data-index="${index}"
+                 onmousedown="chooseSearchResult(${index})">
+                <div>
+                    <span class="result-type" style="color: ${entry.node.color};">${escapeHtml(entry.node.type)}</span>
+                    ${markTerms(entry.label, terms)}
+                </div>
+                ${snippet ? `<div class="result-snippet">${snippet}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = html;
+    container.style.display = 'block';
+}
+
+function runSearch() {
+    const query = document.getElementById('search-input').value.trim();
+    valueQuery = query ? parseValueQuery(query) : null;
+    searchResults = !query ? [] : valueQuery ? searchValues(valueQuery) : searchNodes(query);
+    activeResult = -1;
+    renderSearchResults();
+}
+
+function chooseSearchResult(index) {
+    const result = searchResults[index];
+    if (!result) return;
+
+    activeResult = index;
+    renderSearchResults();
+
+    // Highlight every match for the query, then focus the chosen one
+    setHighlight(searchResults.map(r => r.entry.node));
+    handleNodeClick(result.entry.node);
+}
+
+function clearSearch() {
+    document.getElementById('search-input').value = '';
+    searchResults = [];
+    valueQuery = null;
+    activeResult = -1;
+    renderSearchResults();
+    setHighlight(null);
+}
+
+function onSearchKeydown(event) {
+    const count = Math.min(searchResults.length, MAX_SEARCH_RESULTS);
+    if (event.key === 'ArrowDown' && count > 0) {
+        activeResult = (activeResult + 1) % count;
+        renderSearchResults();
+        scrollActiveResultIntoView();
+        event.preventDefault();
+    } else if (event.key === 'ArrowUp' && count > 0) {
+        activeResult = (activeResult - 1 + count) % count;
+        renderSearchResults();
+        scrollActiveResultIntoView();
+        event.preventDefault();
+    } else if (event.key === 'Enter') {
+        chooseSearchResult(activeResult >= 0 ? activeResult : 0);
+    } else if (event.key === 'Escape') {
+        clearSearch();
+        event.target.blur();
+    }
+}
+
+function scrollActiveResultIntoView() {
+    const active = document.querySelector('#search-results .search-result.active');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+window.addEventListener('load', () => {
+    const input = document.getElementById('search-input');
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(runSearch, 120);
+    });
+    input.addEventListener('keydown', onSearchKeydown);
+    input.addEventListener('focus', renderSearchResults);
+    input.addEventListener('blur', () => {
+        document.getElementById('search-results').style.display = 'none';
+    });
+});
+
+// "/" jumps to the search box
+document.addEventListener('keydown', (event) => {
+    if (event.key === '/' && event.target.tagName !== 'INPUT' && event.target.tagName !== 'TEXTAREA') {
+        document.getElementById('search-input').focus();
+        event.preventDefault();
+    }
+});
+
+window.addEventListener('graph-loaded', () => {
+    buildSearchIndex();
+    if (document.getElementById('search-input').value.trim()) runSearch();
+});
@@ -0,0 +1,260 @@
+// spec-matrix.js - Specification comparison matrix: one row per model or item, one column per normalized parameter
+// Values come from Specification nodes (related_params) and from the parameters stored on model/component entities.
+
+const SPEC_LOW_CONFIDENCE = 0.8;
+const specMatrixTypes = ['Charger_Model', 'Technical_Component'];
+
+// Parameters listed first, in this order; everything else follows by how often it occurs
+const specPreferredColumns = ['power_rating', 'output_voltage', 'input_voltage', 'max_current', 'connector_type'];
+
+// Spellings seen in pipeline output for the same parameter
+const specParameterAliases = {
+    'maximum_current': 'max_current',
+    'max_output_current': 'max_current',
+    'rated_current': 'max_current',
+    'charger_capacity': 'power_rating',
+    'rated_power': 'power_rating',
+    'output_power': 'power_rating',
+    'power': 'power_rating',
+    'connector': 'connector_type',
+    'connector_options': 'connector_type',
+    'voltage_output': 'output_voltage',
+    'voltage_input': 'input_voltage'
+};
+
+// Provenance and bookkeeping fields on entities, not specifications
+const specIgnoredProperties = new Set([
+    'source_page', 'source_pdf', 'source_document', 'source_context', 'source_type', 'parent_chunk_id',
+    'parent_type', 'document_id', 'chunk_index', 'confidence', 'description', 'model', 'condition', 'spec_value'
+]);
+
+const specMatrix = {
+    rowMode: 'component',   // 'component' (model/component nodes), 'model' or 'item' (spec fields)
+    showRare: false,
+    rows: [],
+    columns: [],
+    activeColumn: null
+};
+
+// "Connector_Type_A" -> { name: 'connector_type', variant: 'A' }
+function normalizeSpecParameter(key) {
+    let name = String(key).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    let variant = '';
+    const suffix = name.match(/^(.+)_([ab])$/);
+    if (suffix) {
+        name = suffix[1];
+        variant = suffix[2].toUpperCase();
+    }
+    return { name: specParameterAliases[name] || name, variant: variant };
+}
+
+// Entries of one node: { column, variant, value, node, page, pdf, chunkId, confidence }
+function collectSpecEntries(node, params) {
+    const properties = node.properties || {};
+    const entries = [];
+    Object.entries(params || {}).forEach(([key, value]) => {
+        if (specIgnoredProperties.has(key) || value === null || value === undefined || value === '') return;
+        if (typeof value === 'object') return;
+        const { name, variant } = normalizeSpecParameter(key);
+        entries.push({
+            column: name,
+            variant: variant,
+            value: String(value),
+            node: node,
+            page: properties.source_page,
+            pdf: properties.source_pdf || properties.source_document || node.source_doc || '',
+            chunkId: properties.parent_chunk_id || node.parent_chunk_id,
+            confidence: getNodeConfidence(node)
+        });
+    });
+    return entries;
+}
+
+function buildSpecMatrix() {
+    const specs = graphData.nodes.filter(node => node.type === 'Specification');
+    const rowsByKey = new Map();
+    const addEntries = (key, label, node, entries) => {
+        if (entries.length === 0) return;
+        if (!rowsByKey.has(key)) rowsByKey.set(key, { key: key, label: label, node: node, cells: new Map() });
+        const row = rowsByKey.get(key);
+        entries.forEach(entry => {
+            if (!row.cells.has(entry.column)) row.cells.set(entry.column, []);
+            const cell = row.cells.get(entry.column);
+            if (!cell.some(other => other.node === entry.node && other.value === entry.value && other.variant === entry.variant)) {
+                cell.push(entry);
+            }
+        });
+    };
+
+    if (specMatrix.rowMode === 'component') {
+        const adjacency = buildAdjacency(graphData.links);
+        graphData.nodes
+            .filter(node => specMatrixTypes.includes(node.type))
+            .forEach(node => {
+                const linkedSpecs = (adjacency.get(node) || [])
+                    .filter(({ node: other, link }) => link.relation === 'HAS_SPECIFICATION' && other.type === 'Specification')
+                    .map(({ node: spec }) => spec);
+                const entries = collectSpecEntries(node, node.properties);
+                linkedSpecs.forEach(spec => entries.push(...collectSpecEntries(spec, spec.properties.related_params)));
+                // Duplicate ids (occurrence keys in graph-diff.js) would merge rows, so key by the node itself
+                addEntries(node, node.label, node, entries);
+            });
+    } else {
+        const field = specMatrix.rowMode === 'model' ? 'model' : 'item_name';
+        specs.forEach(spec => {
+            const label = String((field === 'model' ? spec.properties.model : spec.label.split(': ')[0]) || 'Unspecified').trim();
+            addEntries(label, label, null, collectSpecEntries(spec, spec.properties.related_params));
+        });
+    }
+
+    const columnCounts = {};
+    rowsByKey.forEach(row => row.cells.forEach((entries, column) => {
+        columnCounts[column] = (columnCounts[column] || 0) + 1;
+    }));
+    specMatrix.columns = Object.keys(columnCounts)
+        .filter(column => specMatrix.showRare || columnCounts[column] > 1 || specPreferredColumns.includes(column))
+        .sort((a, b) => {
+            const rankA = specPreferredColumns.indexOf(a);
+            const rankB = specPreferredColumns.indexOf(b);
+            if (rankA !== -1 || rankB !== -1) {
+                return (rankA === -1 ? Infinity : rankA) - (rankB === -1 ? Infinity : rankB);
+            }
+            return columnCounts[b] - columnCounts[a] || a.localeCompare(b);
+        });
+    specMatrix.columnCounts = columnCounts;
+
+    // Rows without a value in the shown columns would be empty lines
+    specMatrix.rows = [...rowsByKey.values()]
+        .filter(row => specMatrix.columns.some(column => row.cells.has(column)))
+        .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+}
+
+function toggleSpecMatrixPanel() {
+    if (togglePanel('spec-matrix-panel')) {
+        buildSpecMatrix();
+        renderSpecMatrix();
+    }
+}
+
+function setSpecMatrixRows(mode) {
+    specMatrix.rowMode = mode;
+    buildSpecMatrix();
+    renderSpecMatrix();
+}
+
+function setSpecMatrixShowRare(value) {
+    specMatrix.showRare = value;
+    buildSpecMatrix();
+    renderSpecMatrix();
+}
+
+function formatSpecColumn(column) {
+    return column.replace(/_/g, ' ');
+}
+
+function renderSpecCell(rowIndex, columnIndex) {
+    const column = specMatrix.columns[columnIndex];
+    const entries = specMatrix.rows[rowIndex].cells.get(column);
+    if (!entries) return '<td></td>';
+
+    const lowConfidence = entries.some(entry => entry.confidence !== null && entry.confidence < SPEC_LOW_CONFIDENCE);
+    const values = entries.map((entry, i) => {
+        const confidence = entry.confidence !== null ? ` · confidence ${entry.confidence}` : '';
+        const source = entry.page !== undefined ? `${entry.pdf} p.${entry.page}` : entry.pdf;
+        const low = entry.confidence !== null && entry.confidence < SPEC_LOW_CONFIDENCE;
+        return `
+            <div class="spec-entry">
+                <span class="spec-value${low ? ' low-confidence' : ''}" title="${escapeHtml(`${entry.node.label}${confidence}`)}"
+                      onclick="selectSpecEntry(${rowIndex}, ${columnIndex}, ${i})">${low ? '⚠ ' : ''}${entry.variant ? `<b>${escapeHtml(entry.variant)}</b> ` : ''}${escapeHtml(entry.value)}</span>
+                ${entry.chunkId && entry.page !== undefined ? `<span class="spec-page" title="${escapeHtml(source)}"
+                      onclick="openSpecSource(${rowIndex}, ${columnIndex}, ${i})">p.${entry.page}</span>` : ''}
+            </div>
+        `;
+    }).join('');
+    return `<td class="${lowConfidence ? 'low-confidence' : ''}">${values}</td>`;
+}
+
+function renderSpecMatrix() {
+    const { rows, columns } = specMatrix;
+    document.getElementById('spec-matrix-count').textContent =
+        `${rows.length} rows × ${columns.length} parameters`;
+
+    if (rows.length === 0) {
+        document.getElementById('spec-matrix-table').innerHTML =
+            '<tbody><tr><td class="panel-note">No specifications with parameters in this file</td></tr></tbody>';
+        return;
+    }
+
+    const header = columns.map((column, columnIndex) => `
+        <th class="${column === specMatrix.activeColumn ? 'active' : ''}" onclick="highlightSpecColumn(${columnIndex})"
+            title="Highlight the ${specMatrix.columnCounts[column]} row(s) with this parameter">${escapeHtml(formatSpecColumn(column))}</th>
+    `).join('');
+    const body = rows.map((row, rowIndex) => `
+        <tr>
+            <th class="spec-row-label${row.node ? '' : ' unlinked'}" ${row.node ? `onclick="selectSpecRow(${rowIndex})"` : ''}
+                title="${escapeHtml(row.label)}">${escapeHtml(row.label)}</th>
+            ${columns.map((column, columnIndex) => renderSpecCell(rowIndex, columnIndex)).join('')}
+        </tr>
+    `).join('');
+
+    document.getElementById('spec-matrix-table').innerHTML = `
+        <thead><tr><th>${specMatrix.rowMode === 'component' ? 'Model / component' : specMatrix.rowMode === 'model' ? 'Model' : 'Item'}</th>${header}</tr></thead>
+        <tbody>${body}</tbody>
+    `;
+}
+
+function getSpecEntry(rowIndex, columnIndex, index) {
+    const row = specMatrix.rows[rowIndex];
+    return row && (row.cells.get(specMatrix.columns[columnIndex]) || [])[index];
+}
+
+function selectSpecEntry(rowIndex, columnIndex, index) {
+    const entry = getSpecEntry(rowIndex, columnIndex, index);
+    if (entry) handleNodeClick(entry.node);
+}
+
+function selectSpecRow(rowIndex) {
+    const row = specMatrix.rows[rowIndex];
+    if (row && row.node) handleNodeClick(row.node);
+}
+
+// Opens the chunk the value was extracted from in the reader, scrolled to its page
+function openSpecSource(rowIndex, columnIndex, index) {
+    const entry = getSpecEntry(rowIndex, columnIndex, index);
+    const chunk = entry && nodeById.get(entry.chunkId);
+    if (!chunk) return;
+    openReader(chunk);
+    const heading = [...document.querySelectorAll('#reader-text .reader-page')]
+        .find(h => h.firstChild && h.firstChild.textContent === `Page ${entry.page}`);
+    if (heading) heading.scrollIntoView();
+}
+
+// Clicking the active column again clears the highlight
+function highlightSpecColumn(columnIndex) {
+    const column = specMatrix.columns[columnIndex];
+    if (specMatrix.activeColumn === column) {
+        specMatrix.activeColumn = null;
+        setHighlight(null);
+    } else {
+        specMatrix.activeColumn = column;
+        const nodes = new Set();
+        specMatrix.rows.forEach(row => {
+            (row.cells.get(column) || []).forEach(entry => nodes.add(entry.node));
+            if (row.node && row.cells.has(column)) nodes.add(row.node);
+        });
+        setHighlight(nodes);
+    }
+    renderSpecMatrix();
+}
+
+window.addEventListener('view-reset', () => {
+    specMatrix.activeColumn = null;
+});
+
+window.addEventListener('graph-loaded', () => {
+    specMatrix.activeColumn = null;
+    if (document.getElementById('spec-matrix-panel').classList.contains('open')) {
+        buildSpecMatrix();
+        renderSpecMatrix();
+    }
+});
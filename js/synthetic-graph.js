@@ -0,0 +1,85 @@
+// synthetic-graph.js - Generated knowledge graphs of any size, for benchmarking the viewers (?benchmark=50000)
+// Loaded as a classic script so both graph.js and the ar-graph.js module can use it.
+// Same shape as the pipeline output: Documents -> Chunks -> entities, plus NEXT_SECTION chains and cross links.
+
+const SYNTHETIC_CHUNKS_PER_DOCUMENT = 25;
+const SYNTHETIC_ENTITIES_PER_CHUNK = 20;
+const SYNTHETIC_CROSS_LINKS = 0.5;   // extra entity-entity edges per entity
+const syntheticEntityTypes = ['Organization', 'Person', 'Location', 'Technology', 'Product', 'Regulation', 'Material', 'Process'];
+
+// Seeded so every run of a benchmark draws the same graph
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createSyntheticGraph(nodeCount) {
+    const random = createSeededRandom(nodeCount);
+    const pick = items => items[Math.floor(random() * items.length)];
+    const entities = [];
+    const relationships = [];
+
+    const perDocument = 1 + SYNTHETIC_CHUNKS_PER_DOCUMENT * (1 + SYNTHETIC_ENTITIES_PER_CHUNK);
+    const documentCount = Math.max(1, Math.round(nodeCount / perDocument));
+    const chunkCount = Math.max(1, Math.round(nodeCount / (1 + SYNTHETIC_ENTITIES_PER_CHUNK)) - documentCount);
+
+    for (let d = 0; d < documentCount; d++) {
+        entities.push({ id: `doc_${d}`, label: `Document ${d + 1}`, type: 'Document', properties: { synthetic: true } });
+    }
+
+    const chunks = [];
+    for (let c = 0; c < chunkCount; c++) {
+        const documentIndex = c % documentCount;
+        const chunk = {
+            id: `chunk_${c}`,
+            label: `Chunk ${c + 1}`,
+            type: 'Chunk',
+            source_doc: `doc_${documentIndex}`,
+            properties: { document_id: `doc_${documentIndex}`, chunk_index: Math.floor(c / documentCount) }
+        };
+        entities.push(chunk);
+        relationships.push({ source: chunk.properties.document_id, target: chunk.id, relation: 'HAS_SECTION' });
+        if (c >= documentCount) {
+            relationships.push({ source: `chunk_${c - documentCount}`, target: chunk.id, relation: 'NEXT_SECTION' });
+        }
+        chunks.push(chunk);
+    }
+
+    const entityIds = [];
+    for (let e = 0; entities.length < nodeCount; e++) {
+        const chunk = pick(chunks);
+        const entity = {
+            id: `entity_${e}`,
+            label: `Entity ${e + 1}`,
+            type: pick(syntheticEntityTypes),
+            source_doc: chunk.source_doc,
+            parent_chunk_id: chunk.id,
+            confidence: Math.round((0.5 + random() * 0.5) * 100) / 100,
+            properties: {}
+        };
+        entities.push(entity);
+        entityIds.push(entity.id);
+        relationships.push({ source: chunk.id, target: entity.id, relation: 'CONTAINS' });
+    }
+
+    const crossLinks = Math.round(entityIds.length * SYNTHETIC_CROSS_LINKS);
+    for (let l = 0; l < crossLinks; l++) {
+        const source = pick(entityIds);
+        const target = pick(entityIds);
+        if (source !== target) relationships.push({ source: source, target: target, relation: 'RELATED_TO' });
+    }
+
+    return {
+        metadata: { generated_at: new Date().toISOString(), config: { synthetic: true, node_count: nodeCount } },
+        entities: entities,
+        relationships: relationships,
+        technical_specifications: [],
+        compliance_and_safety: []
+    };
+}
@@ -0,0 +1,137 @@
+// type-registry.js - Shared node type styling for the desktop and AR viewers
+// Loaded as a classic script so both graph.js and the ar-graph.js module can use it.
+
+// Known types get hand-picked styles; size is in nodeVal units (radius grows with its cube root)
+const typeStyles = {
+    'Document': { color: '#ff6b6b', size: 8, shape: 'sphere' },
+    'Chunk': { color: '#4ecdc4', size: 5, shape: 'box' },
+    'Component': { color: '#45b7d1', size: 4, shape: 'sphere' },
+    'Value': { color: '#feca57', size: 3, shape: 'tetrahedron' },
+    'Specification': { color: '#48dbfb', size: 3, shape: 'tetrahedron' },
+    'Compliance_Finding': { color: '#a29bfe', size: 5, shape: 'octahedron' },
+    'Technical_Component': { color: '#54a0ff', size: 5, shape: 'dodecahedron' },
+    'Technical_Standard': { color: '#ee5253', size: 8, shape: 'box' },
+    'Charger_Model': { color: '#ff9ff3', size: 8, shape: 'icosahedron' },
+    'Product': { color: '#f368e0', size: 6, shape: 'icosahedron' },
+    'Infrastructure': { color: '#10ac84', size: 5, shape: 'cylinder' },
+    'Equipment': { color: '#ff9f43', size: 5, shape: 'cylinder' },
+    'User_Interface': { color: '#c8d6e5', size: 4, shape: 'box' },
+    'Proposal': { color: '#5f27cd', size: 5, shape: 'dodecahedron' },
+    'Summary': { color: '#8395a7', size: 5, shape: 'box' },
+    'Financial_Component': { color: '#01a3a4', size: 5, shape: 'octahedron' },
+    'Safety_Warning': { color: '#ffb142', size: 4, shape: 'tetrahedron' }
+};
+
+// Types declared above, before getTypeStyle adds the ones it discovers; data-validation.js reports the rest
+const declaredTypeNames = Object.freeze(Object.keys(typeStyles));
+
+// Fallbacks for types only discovered in the data, picked by a hash of the type name
+// so the same type keeps the same look across reloads and files
+const typePalette = ['#e17055', '#00b894', '#fdcb6e', '#6c5ce7', '#e84393', '#00cec9', '#fab1a0', '#74b9ff', '#55efc4', '#b8e994'];
+const typeShapes = ['sphere', 'box', 'octahedron', 'tetrahedron', 'dodecahedron', 'icosahedron', 'cylinder'];
+const shapeGlyphs = {
+    'sphere': '●',
+    'box': '■',
+    'octahedron': '◆',
+    'tetrahedron': '▲',
+    'dodecahedron': '⬟',
+    'icosahedron': '⬢',
+    'cylinder': '▮'
+};
+
+const typeCounts = {};
+const hiddenTypes = new Set();
+
+function hashString(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = (hash * 31 + value.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+}
+
+function getTypeStyle(type) {
+    type = type || 'Unknown';
+    if (!typeStyles[type]) {
+        const hash = hashString(type);
+        typeStyles[type] = {
+            color: typePalette[hash % typePalette.length],
+            size: 4,
+            shape: typeShapes[hash % typeShapes.length]
+        };
+    }
+    return typeStyles[type];
+}
+
+// Three.js wants colors as numbers
+function getTypeColorHex(type) {
+    return parseInt(getTypeStyle(type).color.slice(1), 16);
+}
+
+// Count the types present in a list of entities/nodes; returns them most common first
+function discoverTypes(items) {
+    Object.keys(typeCounts).forEach(type => delete typeCounts[type]);
+    items.forEach(item => {
+        const type = item.type || 'Unknown';
+        typeCounts[type] = (typeCounts[type] || 0) + 1;
+        getTypeStyle(type);
+    });
+    return Object.keys(typeCounts).sort((a, b) => typeCounts[b] - typeCounts[a] || a.localeCompare(b));
+}
+
+function isTypeVisible(type) {
+    return !hiddenTypes.has(type || 'Unknown');
+}
+
+function toggleTypeVisibility(type) {
+    if (hiddenTypes.has(type)) {
+        hiddenTypes.delete(type);
+    } else {
+        hiddenTypes.add(type);
+    }
+    return !hiddenTypes.has(type);
+}
+
+function createTypeGeometry(shape, radius, detail) {
+    switch (shape) {
+        case 'box':
+            return new THREE.BoxGeometry(radius * 1.6, radius * 1.6, radius * 1.6);
+        case 'octahedron':
+            return new THREE.OctahedronGeometry(radius * 1.2);
+        case 'tetrahedron':
+            return new THREE.TetrahedronGeometry(radius * 1.3);
+        case 'dodecahedron':
+            return new THREE.DodecahedronGeometry(radius * 1.1);
+        case 'icosahedron':
+            return new THREE.IcosahedronGeometry(radius * 1.1);
+        case 'cylinder':
+            return new THREE.CylinderGeometry(radius, radius, radius * 1.8, detail);
+        default:
+            return new THREE.SphereGeometry(radius, detail, detail);
+    }
+}
+
+// Fill a legend container with one clickable entry per discovered type
+function renderTypeLegend(container, onToggle) {
+    container.innerHTML = '';
+    Object.keys(typeCounts)
+        .sort((a, b) => typeCounts[b] - typeCounts[a] || a.localeCompare(b))
+        .forEach(type => {
+            const style = getTypeStyle(type);
+            const item = document.createElement('div');
+            item.className = 'legend-item legend-toggle' + (isTypeVisible(type) ? '' : ' hidden');
+            item.title = 'Click to show/hide';
+            item.innerHTML = `
+                <span class="legend-shape" style="color: ${style.color};">${shapeGlyphs[style.shape] || shapeGlyphs.sphere}</span>
+                <span class="legend-name"></span>
+            `;
+            // Type names come from the loaded file
+            item.querySelector('.legend-name').textContent = `${type.replace(/_/g, ' ')} (${typeCounts[type]})`;
+            item.addEventListener('click', () => {
+                const visible = toggleTypeVisibility(type);
+                item.classList.toggle('hidden', !visible);
+                if (onToggle) onToggle(type, visible);
+            });
+            container.appendChild(item);
+        });
+}
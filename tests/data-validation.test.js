@@ -0,0 +1,42 @@
+// data-validation.test.js - Quality report checks, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const graphScripts = ['type-registry.js', 'data-validation.js', 'safety.js', 'graph.js'];
+
+function getProblems(report, category) {
+    return report.problems.filter(problem => problem.category === category);
+}
+
+test('unknown types are reported after the graph has been built', () => {
+    const scripts = loadScripts(graphScripts);
+    const data = {
+        entities: [
+            { id: 'doc_1', label: 'Manual', type: 'Document' },
+            { id: 'odd_1', label: 'Odd', type: 'Weird_Type' }
+        ],
+        relationships: [{ source: 'doc_1', target: 'odd_1', relation: 'CONTAINS' }]
+    };
+
+    scripts.buildGraphData(data);
+    const unknown = getProblems(scripts.validateGraphData(data), 'unknown-type');
+    assert.deepStrictEqual(Array.from(unknown, problem => problem.nodeId), ['odd_1']);
+
+    // A second build (a reload, or the AR scene) must not make the type look declared
+    scripts.buildGraphData(data);
+    assert.strictEqual(getProblems(scripts.validateGraphData(data), 'unknown-type').length, 1);
+});
+
+test('declared types are not reported', () => {
+    const scripts = loadScripts(graphScripts);
+    const data = {
+        entities: [
+            { id: 'doc_1', label: 'Manual', type: 'Document' },
+            { id: 'chunk_1', label: 'Chunk 1', type: 'Chunk', properties: { document_id: 'doc_1' } }
+        ]
+    };
+
+    scripts.buildGraphData(data);
+    assert.strictEqual(getProblems(scripts.validateGraphData(data), 'unknown-type').length, 0);
+});
@@ -0,0 +1,77 @@
+// export.test.js - GraphML, GEXF, CSV and Cypher serializers, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, runInScripts } = require('./load-scripts');
+
+const scripts = loadScripts(['type-registry.js', 'data-validation.js', 'safety.js', 'graph.js', 'doc-compare.js', 'export.js']);
+
+// The second "spec_1" is a duplicate entity id; links attach to the first copy
+const manual = { id: 'doc_1', label: 'Manual "A&B"', type: 'Document', x: 1.23456, y: 0, z: -2,
+    properties: { pages: 12, id: 'clash', tags: ['a', 'b'] } };
+const spec = { id: 'spec_1', label: "O'Brien, 50\nHz", type: 'Specification', properties: { rated: true } };
+const copy = { id: 'spec_1', label: 'Copy', type: 'Specification', properties: { rated: false } };
+scripts.fixture = {
+    nodes: [manual, spec, copy],
+    links: [{ source: manual, target: spec, relation: 'HAS_SPECIFICATION', details: 'p. 3', properties: { weight: 0.5 } }]
+};
+runInScripts(scripts, `
+    graphData = fixture;
+    nodeById = new Map([['doc_1', fixture.nodes[0]], ['spec_1', fixture.nodes[1]]]);
+    Graph = { graphData: () => graphData };
+`);
+
+test('export rows keep core fields and prefix clashing properties', () => {
+    const data = scripts.collectExportData(true);
+    assert.deepStrictEqual(Array.from(data.nodes, row => row.id), ['doc_1', 'spec_1', 'spec_1~1']);
+
+    const row = data.nodes[0];
+    assert.strictEqual(row.prop_id, 'clash');
+    assert.strictEqual(row.tags, '["a","b"]');
+    assert.strictEqual(row.x, 1.235);
+
+    const types = Object.fromEntries(Array.from(data.nodeColumns, column => [column.name, column.type]));
+    assert.strictEqual(types.pages, 'int');
+    assert.strictEqual(types.rated, 'boolean');
+    assert.strictEqual(types.x, 'double');
+
+    assert.strictEqual(data.edges.length, 1);
+    assert.strictEqual(data.edges[0].source, 'doc_1');
+    assert.strictEqual(data.edges[0].target, 'spec_1');
+});
+
+test('GraphML declares keys and escapes values', () => {
+    const xml = scripts.toGraphML(scripts.collectExportData(false));
+    assert.match(xml, /<key id="n\d+" for="node" attr.name="pages" attr.type="int"\/>/);
+    assert.match(xml, /<key id="e\d+" for="edge" attr.name="weight" attr.type="double"\/>/);
+    assert.ok(xml.includes('>Manual &quot;A&amp;B&quot;</data>'));
+    assert.ok(xml.includes('<node id="spec_1~1">'));
+    assert.ok(xml.includes('<edge id="e0" source="doc_1" target="spec_1">'));
+    assert.ok(!xml.includes('<key id="n0" for="node" attr.name="x"'));
+});
+
+test('GEXF writes attributes, colours and positions', () => {
+    const xml = scripts.toGEXF(scripts.collectExportData(true), true);
+    assert.ok(xml.includes('<node id="doc_1" label="Manual &quot;A&amp;B&quot;">'));
+    assert.ok(xml.includes('<attvalue for="pages" value="12"/>'));
+    assert.ok(xml.includes('<viz:position x="1.235" y="0" z="-2"/>'));
+    assert.match(xml, /<viz:color r="\d+" g="\d+" b="\d+"\/>/);
+    assert.ok(xml.includes('label="HAS_SPECIFICATION">'));
+});
+
+test('CSV quotes cells with commas, quotes and newlines', () => {
+    const data = scripts.collectExportData(false);
+    const lines = scripts.toCSV(data.nodes, data.nodeColumns).split('\r\n');
+    assert.strictEqual(lines[0], data.nodeColumns.map(column => column.name).join(','));
+    assert.ok(lines[1].startsWith('doc_1,"Manual ""A&B""",Document,'));
+    assert.ok(lines[2].startsWith(`spec_1,"O'Brien, 50\nHz",Specification,`));
+    assert.strictEqual(lines.length, 4);
+});
+
+test('Cypher creates labelled nodes and matches edges by id', () => {
+    const cypher = scripts.toCypher(scripts.collectExportData(false));
+    assert.ok(cypher.includes("CREATE (:Entity:`Specification` {`id`: 'spec_1', `label`: 'O\\'Brien, 50\\nHz', `rated`: true});"));
+    assert.ok(cypher.includes(
+        "MATCH (a:Entity {id: 'doc_1'}), (b:Entity {id: 'spec_1'}) " +
+        "CREATE (a)-[:`HAS_SPECIFICATION` {`is_negative`: false, `details`: 'p. 3', `weight`: 0.5}]->(b);"
+    ));
+});
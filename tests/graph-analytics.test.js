@@ -0,0 +1,72 @@
+// graph-analytics.test.js - Betweenness, Louvain communities and the other centralities, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const scripts = loadScripts(['graph-analytics.js']);
+
+function assertClose(actual, expected) {
+    Array.from(actual).forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) < 1e-9, `index ${i}: ${value} != ${expected[i]}`);
+    });
+}
+
+// Two 4-cliques (0-3 and 4-7) joined by the edge 3-4
+function twoCliques() {
+    const edges = [];
+    [[0, 1, 2, 3], [4, 5, 6, 7]].forEach(clique => {
+        clique.forEach((a, i) => clique.slice(i + 1).forEach(b => edges.push(a, b)));
+    });
+    edges.push(3, 4);
+    return edges;
+}
+
+test('betweenness on a path is scaled by the number of node pairs', () => {
+    const graph = scripts.buildAnalyticsGraph(5, [0, 1, 1, 2, 2, 3, 3, 4]);
+    const { centrality, sampled } = scripts.computeBetweenness(graph);
+    assert.strictEqual(sampled, false);
+    assertClose(centrality, [0, 0.5, 2 / 3, 0.5, 0]);
+});
+
+test('betweenness splits across equally short routes and ignores repeated edges', () => {
+    // A square 0-1-2-3: each pair of opposite corners has two routes
+    const square = scripts.computeBetweenness(scripts.buildAnalyticsGraph(4, [0, 1, 1, 2, 2, 3, 3, 0]));
+    assertClose(square.centrality, [1 / 6, 1 / 6, 1 / 6, 1 / 6]);
+
+    // Star with a doubled spoke and a self-loop
+    const star = scripts.computeBetweenness(scripts.buildAnalyticsGraph(4, [0, 1, 0, 2, 0, 3, 0, 3, 2, 2]));
+    assertClose(star.centrality, [1, 0, 0, 0]);
+});
+
+test('Louvain finds both cliques and reports their modularity', () => {
+    const graph = scripts.buildAnalyticsGraph(8, twoCliques());
+    const { community, count, modularity } = scripts.computeCommunities(graph);
+    assert.strictEqual(count, 2);
+    const labels = Array.from(community);
+    assert.ok(labels.slice(0, 4).every(label => label === labels[0]));
+    assert.ok(labels.slice(4).every(label => label === labels[4]));
+    assert.notStrictEqual(labels[0], labels[4]);
+    // Each clique holds 12 of the 26 edge ends and half of the total degree
+    assert.ok(Math.abs(modularity - 2 * (12 / 26 - 0.25)) < 1e-9);
+});
+
+test('Louvain leaves edgeless graphs as singletons', () => {
+    const { community, count, modularity } = scripts.computeCommunities(scripts.buildAnalyticsGraph(3, []));
+    assert.strictEqual(count, 3);
+    assert.deepStrictEqual(Array.from(community).sort(), [0, 1, 2]);
+    assert.strictEqual(modularity, 0);
+});
+
+test('components, degree and PageRank', () => {
+    const edges = [0, 1, 1, 2, 3, 4, 0, 1];
+    const result = scripts.computeGraphAnalytics(6, edges);
+    assert.strictEqual(result.componentCount, 3);
+    assert.deepStrictEqual(Array.from(result.component), [0, 0, 0, 1, 1, 2]);
+    assert.deepStrictEqual(Array.from(result.degree), [2, 3, 1, 1, 1, 0]);
+
+    const total = Array.from(result.pagerank).reduce((sum, value) => sum + value, 0);
+    assert.ok(Math.abs(total - 1) < 1e-6);
+    // Rank follows edge direction, so targets outrank their sources
+    assert.ok(result.pagerank[1] > result.pagerank[0]);
+    assert.ok(result.pagerank[4] > result.pagerank[3]);
+});
@@ -0,0 +1,86 @@
+// graph-diff.test.js - Baseline comparison, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const scripts = loadScripts(['type-registry.js', 'data-validation.js', 'safety.js', 'graph.js', 'graph-diff.js']);
+
+const baseline = {
+    metadata: { generated_at: '2024-01-01', config: { model: 'a', chunk_size: 512 } },
+    entities: [
+        { id: 'doc_1', label: 'Manual', type: 'Document' },
+        { id: 'comp_1', label: 'Inverter', type: 'Component', properties: { rating: '5kW' } },
+        { id: 'comp_2', label: 'Fuse', type: 'Component' },
+        { id: 'dup', label: 'First', type: 'Component' }
+    ],
+    relationships: [
+        { source: 'doc_1', target: 'comp_1', relation: 'MENTIONS' },
+        { source: 'doc_1', target: 'comp_2', relation: 'MENTIONS', details: 'p. 2' },
+        { source: 'comp_1', target: 'comp_2', relation: 'CONNECTS_TO' },
+        { source: 'comp_1', target: 'comp_2', relation: 'CONNECTS_TO' }
+    ]
+};
+
+const current = {
+    metadata: { generated_at: '2024-02-01', config: { model: 'b', chunk_size: 512 } },
+    entities: [
+        { id: 'doc_1', label: 'Manual', type: 'Document' },
+        { id: 'comp_1', label: 'Inverter', type: 'Component', properties: { rating: '6kW' } },
+        { id: 'comp_3', label: 'Breaker', type: 'Component' },
+        { id: 'dup', label: 'First', type: 'Component' },
+        { id: 'dup', label: 'Second', type: 'Component' }
+    ],
+    relationships: [
+        { source: 'doc_1', target: 'comp_1', relation: 'MENTIONS', is_negative: true },
+        { source: 'doc_1', target: 'comp_3', relation: 'MENTIONS' },
+        { source: 'comp_1', target: 'comp_3', relation: 'CONNECTS_TO' }
+    ]
+};
+
+const diff = scripts.computeGraphDiff(scripts.buildGraphData(baseline), scripts.buildGraphData(current));
+
+// "id:status" for every node, or "source|relation|target:status" for every link
+function statuses(diffs, keyFn) {
+    return Array.from(diffs, ([item, entry]) => `${keyFn(item)}:${entry.status}`).sort();
+}
+
+test('nodes are matched by id, repeated ids by occurrence', () => {
+    assert.deepStrictEqual(statuses(diff.nodeDiffs, node => node.id), [
+        'comp_1:changed', 'comp_2:removed', 'comp_3:added', 'doc_1:unchanged', 'dup:added', 'dup:unchanged'
+    ]);
+    assert.deepStrictEqual(Array.from(diff.removedNodes.keys()), ['comp_2#1']);
+});
+
+test('changed nodes list their property changes', () => {
+    const inverter = Array.from(diff.nodeDiffs.keys()).find(node => node.id === 'comp_1');
+    const changes = diff.nodeDiffs.get(inverter).changes;
+    assert.deepStrictEqual(Array.from(changes, change => [change.field, change.before, change.after]),
+        [['properties.rating', '5kW', '6kW']]);
+});
+
+test('links are matched by source, relation and target', () => {
+    const key = link => `${scripts.endpointId(link, 'source')}|${link.relation}|${scripts.endpointId(link, 'target')}`;
+    assert.deepStrictEqual(statuses(diff.linkDiffs, key), [
+        'comp_1|CONNECTS_TO|comp_2:removed',
+        'comp_1|CONNECTS_TO|comp_2:removed',
+        'comp_1|CONNECTS_TO|comp_3:added',
+        'doc_1|MENTIONS|comp_1:changed',
+        'doc_1|MENTIONS|comp_2:removed',
+        'doc_1|MENTIONS|comp_3:added'
+    ]);
+});
+
+test('removed links attach to the current node where it still exists', () => {
+    const removed = diff.removedLinks.find(link => link.relation === 'MENTIONS');
+    assert.strictEqual(diff.nodeDiffs.get(removed.source).status, 'unchanged');
+    assert.strictEqual(diff.nodeDiffs.get(removed.target).status, 'removed');
+});
+
+test('status counts and metadata rows', () => {
+    assert.deepStrictEqual({ ...scripts.countDiffStatuses(diff.nodeDiffs) },
+        { added: 2, removed: 1, changed: 1, unchanged: 2 });
+
+    const metadata = scripts.compareMetadata(baseline, current);
+    assert.strictEqual(metadata.generatedAfter, '2024-02-01');
+    assert.deepStrictEqual(Array.from(metadata.rows, row => `${row.key}:${row.changed}`), ['chunk_size:false', 'model:true']);
+});
@@ -0,0 +1,107 @@
+// hierarchy.test.js - Collapsing Document and Chunk groups, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, runInScripts } = require('./load-scripts');
+
+// doc_1 > chunk_1 > {inverter, fuse}, doc_1 > chunk_2 > breaker; doc_2 > chunk_3 > panel
+function loadHierarchy() {
+    const scripts = loadScripts(['type-registry.js', 'data-validation.js', 'safety.js', 'graph.js', 'hierarchy.js']);
+    scripts.fixture = scripts.buildGraphData({
+        entities: [
+            { id: 'doc_1', label: 'Manual', type: 'Document' },
+            { id: 'doc_2', label: 'Datasheet', type: 'Document' },
+            { id: 'chunk_1', label: 'Chunk 1', type: 'Chunk' },
+            { id: 'chunk_2', label: 'Chunk 2', type: 'Chunk' },
+            { id: 'chunk_3', label: 'Chunk 3', type: 'Chunk' },
+            { id: 'inverter', label: 'Inverter', type: 'Component' },
+            { id: 'fuse', label: 'Fuse', type: 'Component' },
+            { id: 'breaker', label: 'Breaker', type: 'Component' },
+            { id: 'panel', label: 'Panel', type: 'Component' }
+        ],
+        relationships: [
+            { source: 'doc_1', target: 'chunk_1', relation: 'HAS_SECTION' },
+            { source: 'doc_1', target: 'chunk_2', relation: 'HAS_SECTION' },
+            { source: 'doc_2', target: 'chunk_3', relation: 'HAS_SECTION' },
+            { source: 'chunk_1', target: 'inverter', relation: 'CONTAINS' },
+            { source: 'chunk_1', target: 'fuse', relation: 'CONTAINS' },
+            { source: 'chunk_2', target: 'breaker', relation: 'CONTAINS' },
+            { source: 'chunk_3', target: 'panel', relation: 'CONTAINS' },
+            { source: 'inverter', target: 'panel', relation: 'CONNECTS_TO' },
+            { source: 'fuse', target: 'panel', relation: 'CONNECTS_TO', is_negative: true },
+            { source: 'breaker', target: 'panel', relation: 'CONNECTS_TO' },
+            { source: 'inverter', target: 'fuse', relation: 'CONNECTS_TO' }
+        ]
+    });
+    runInScripts(scripts, `
+        graphData = fixture;
+        nodeById = new Map(graphData.nodes.map(node => [node.id, node]));
+        buildHierarchy();
+    `);
+    return scripts;
+}
+
+function node(scripts, id) {
+    return scripts.fixture.nodes.find(candidate => candidate.id === id);
+}
+
+// "source|relation|target xcount" per link, with plain links counted once
+function describeLinks(scripts, links) {
+    return Array.from(links, link => {
+        const source = scripts.getLinkEndpoint(link, 'source').id;
+        const target = scripts.getLinkEndpoint(link, 'target').id;
+        return `${source}|${link.relation}|${target} x${link.count || 1}${link.is_negative ? ' negative' : ''}`;
+    }).sort();
+}
+
+test('nothing collapsed returns the data unchanged', () => {
+    const scripts = loadHierarchy();
+    assert.strictEqual(scripts.collapseHierarchy(scripts.fixture), scripts.fixture);
+});
+
+test('a collapsed chunk stands in for its entities and aggregates their edges', () => {
+    const scripts = loadHierarchy();
+    const chunk = node(scripts, 'chunk_1');
+    scripts.setCollapsed(chunk, true);
+    assert.strictEqual(chunk.collapsedCount, 2);
+
+    const collapsed = scripts.collapseHierarchy(scripts.fixture);
+    const ids = Array.from(collapsed.nodes, n => n.id);
+    assert.ok(!ids.includes('inverter') && !ids.includes('fuse'));
+    assert.ok(ids.includes('chunk_1') && ids.includes('breaker'));
+
+    // inverter -> fuse is now internal to chunk_1 and disappears
+    assert.deepStrictEqual(describeLinks(scripts, collapsed.links), [
+        'breaker|CONNECTS_TO|panel x1',
+        'chunk_1|CONNECTS_TO|panel x2 negative',
+        'chunk_2|CONTAINS|breaker x1',
+        'chunk_3|CONTAINS|panel x1',
+        'doc_1|HAS_SECTION|chunk_1 x1',
+        'doc_1|HAS_SECTION|chunk_2 x1',
+        'doc_2|HAS_SECTION|chunk_3 x1'
+    ]);
+});
+
+test('the outermost collapsed ancestor wins', () => {
+    const scripts = loadHierarchy();
+    scripts.setCollapsed(node(scripts, 'chunk_1'), true);
+    scripts.setCollapsed(node(scripts, 'doc_1'), true);
+    assert.strictEqual(node(scripts, 'doc_1').collapsedCount, 5);
+
+    const collapsed = scripts.collapseHierarchy(scripts.fixture);
+    assert.deepStrictEqual(Array.from(collapsed.nodes, n => n.id).sort(), ['chunk_3', 'doc_1', 'doc_2', 'panel']);
+    assert.deepStrictEqual(describeLinks(scripts, collapsed.links), [
+        'chunk_3|CONTAINS|panel x1',
+        'doc_1|CONNECTS_TO|panel x3 negative',
+        'doc_2|HAS_SECTION|chunk_3 x1'
+    ]);
+});
+
+test('links between two collapsed groups join their representatives', () => {
+    const scripts = loadHierarchy();
+    scripts.setCollapsed(node(scripts, 'doc_1'), true);
+    scripts.setCollapsed(node(scripts, 'doc_2'), true);
+
+    const collapsed = scripts.collapseHierarchy(scripts.fixture);
+    assert.deepStrictEqual(Array.from(collapsed.nodes, n => n.id).sort(), ['doc_1', 'doc_2']);
+    assert.deepStrictEqual(describeLinks(scripts, collapsed.links), ['doc_1|CONNECTS_TO|doc_2 x3 negative']);
+});
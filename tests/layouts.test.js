@@ -0,0 +1,100 @@
+// layouts.test.js - Deterministic layouts and the shared force simulation, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const scripts = loadScripts(['layouts.js', 'force-layout.js']);
+
+// doc > chunk_1 > {a, b}, doc > chunk_2 > c, plus a MENTIONS edge and an unconnected node
+function makeGraph() {
+    const nodes = {};
+    [['doc', 'Document'], ['chunk_1', 'Chunk'], ['chunk_2', 'Chunk'], ['a', 'Component'], ['b', 'Component'],
+        ['c', 'Specification'], ['loose', 'Component']].forEach(([id, type]) => {
+        nodes[id] = { id: id, type: type };
+    });
+    const edge = (source, relation, target) => ({ source: nodes[source], target: nodes[target], relation: relation });
+    const edges = [
+        edge('doc', 'HAS_SECTION', 'chunk_1'), edge('doc', 'HAS_SECTION', 'chunk_2'),
+        edge('chunk_1', 'CONTAINS', 'a'), edge('chunk_1', 'CONTAINS', 'b'),
+        edge('chunk_2', 'HAS_SPECIFICATION', 'c'), edge('a', 'MENTIONS', 'c')
+    ];
+    return { nodes: nodes, list: Object.values(nodes), edges: edges };
+}
+
+function assertFinite(positions, nodes) {
+    nodes.forEach(node => {
+        const p = positions.get(node);
+        assert.ok(p && [p.x, p.y, p.z].every(Number.isFinite), `${node.id} has a position`);
+    });
+}
+
+test('DAG layers follow containment depth from the top down', () => {
+    const graph = makeGraph();
+    const positions = scripts.computeLayout('dag', graph.list, graph.edges);
+    assertFinite(positions, graph.list);
+
+    const y = id => positions.get(graph.nodes[id]).y;
+    assert.ok(y('doc') > y('chunk_1'));
+    assert.strictEqual(y('chunk_1'), y('chunk_2'));
+    assert.ok(y('chunk_1') > y('a'));
+    assert.strictEqual(y('a'), y('c'));
+    // MENTIONS is not followed, and roots share the top layer
+    assert.strictEqual(y('loose'), y('doc'));
+});
+
+test('DAG layout survives containment cycles', () => {
+    const graph = makeGraph();
+    graph.edges.push({ source: graph.nodes.a, target: graph.nodes.chunk_1, relation: 'CONTAINS' });
+    assertFinite(scripts.computeLayout('dag', graph.list, graph.edges), graph.list);
+});
+
+test('radial layout rings nodes by hop distance from the documents', () => {
+    const graph = makeGraph();
+    const positions = scripts.computeLayout('radial', graph.list, graph.edges);
+    assertFinite(positions, graph.list);
+
+    const radius = id => Math.hypot(positions.get(graph.nodes[id]).x, positions.get(graph.nodes[id]).y);
+    assert.strictEqual(radius('doc'), 0);
+    assert.ok(Math.abs(radius('chunk_1') - radius('chunk_2')) < 1e-9);
+    assert.ok(radius('a') > radius('chunk_1'));
+    assert.ok(radius('loose') > radius('a'));
+});
+
+test('type clusters keep each type together', () => {
+    const graph = makeGraph();
+    const positions = scripts.computeLayout('type-clusters', graph.list, graph.edges);
+    assertFinite(positions, graph.list);
+
+    const distance = (a, b) => {
+        const p = positions.get(graph.nodes[a]);
+        const q = positions.get(graph.nodes[b]);
+        return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+    };
+    assert.ok(distance('a', 'b') < distance('a', 'doc'));
+    assert.ok(distance('a', 'loose') < distance('a', 'c'));
+});
+
+test('force layout is deterministic and pulls linked nodes together', () => {
+    const graph = makeGraph();
+    const first = scripts.computeLayout('force', graph.list, graph.edges);
+    const second = scripts.computeLayout('force', graph.list, graph.edges);
+    assertFinite(first, graph.list);
+    graph.list.forEach(node => assert.deepStrictEqual({ ...first.get(node) }, { ...second.get(node) }));
+
+    const distance = (a, b) => {
+        const p = first.get(graph.nodes[a]);
+        const q = first.get(graph.nodes[b]);
+        return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+    };
+    assert.ok(distance('chunk_1', 'a') < distance('loose', 'a'));
+});
+
+test('cached positions are matched by id and occurrence', () => {
+    const nodes = [{ id: 'x' }, { id: 'y' }, { id: 'x' }];
+    assert.deepStrictEqual(Array.from(scripts.getLayoutNodeKeys(nodes)), ['x#1', 'y#1', 'x#2']);
+
+    const cached = new Map([['x#2', { x: 1, y: 2, z: 3 }], ['y#1', { x: 4, y: 5, z: 6 }]]);
+    const { positions, missing } = scripts.getCachedPositions(nodes, cached);
+    assert.strictEqual(missing, 1);
+    assert.deepStrictEqual(Array.from(positions.slice(3)), [4, 5, 6, 1, 2, 3]);
+});
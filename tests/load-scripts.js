@@ -0,0 +1,25 @@
+// load-scripts.js - Runs the viewer's classic scripts in a fresh context, in the order the page loads them
+// Only functions are reachable on the returned context; top-level const/let stay inside it, as in a browser.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(files) {
+    const context = vm.createContext({
+        console: console,
+        window: { addEventListener() {} },
+        document: { addEventListener() {} }
+    });
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+// Evaluates source inside a loaded context, e.g. to assign one of its top-level let bindings
+function runInScripts(context, source) {
+    return vm.runInContext(source, context);
+}
+
+module.exports = { loadScripts, runInScripts };
@@ -0,0 +1,47 @@
+// paths.test.js - Shortest path search, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, runInScripts } = require('./load-scripts');
+
+const scripts = loadScripts(['type-registry.js', 'data-validation.js', 'safety.js', 'graph.js', 'paths.js']);
+
+// a -CONTAINS-> b -CONTAINS-> d, and a shortcut a -MENTIONS-> c <-MENTIONS- d
+const nodes = {};
+['a', 'b', 'c', 'd'].forEach(id => { nodes[id] = { id: id }; });
+const link = (source, relation, target) => ({ source: nodes[source], target: nodes[target], relation: relation });
+scripts.fixture = {
+    nodes: Object.values(nodes),
+    links: [link('a', 'CONTAINS', 'b'), link('b', 'CONTAINS', 'd'), link('a', 'MENTIONS', 'c'), link('d', 'MENTIONS', 'c')]
+};
+runInScripts(scripts, 'graphData = fixture');
+
+// Paths as lists of node ids
+function search(start, end, relations, directed) {
+    const paths = scripts.findShortestPaths(nodes[start], nodes[end], { relations: new Set(relations), directed: directed });
+    return Array.from(paths, path => Array.from(path, step => step.node.id));
+}
+
+test('every equally short path is returned', () => {
+    assert.deepStrictEqual(search('a', 'd', [], false), [['a', 'b', 'd'], ['a', 'c', 'd']]);
+});
+
+test('relation filter only follows the selected relations', () => {
+    assert.deepStrictEqual(search('a', 'd', ['CONTAINS'], false), [['a', 'b', 'd']]);
+    assert.deepStrictEqual(search('a', 'd', ['MENTIONS'], false), [['a', 'c', 'd']]);
+    assert.deepStrictEqual(search('a', 'd', ['HAS_SPECIFICATION'], false), []);
+});
+
+test('directed search only follows links from source to target', () => {
+    assert.deepStrictEqual(search('a', 'd', [], true), [['a', 'b', 'd']]);
+    assert.deepStrictEqual(search('d', 'a', [], true), []);
+    assert.deepStrictEqual(search('d', 'a', [], false), [['d', 'b', 'a'], ['d', 'c', 'a']]);
+});
+
+test('steps record the link direction they were walked in', () => {
+    const [path] = scripts.findShortestPaths(nodes.a, nodes.d, { relations: new Set(['MENTIONS']), directed: false });
+    assert.deepStrictEqual(Array.from(path.slice(1), step => step.outgoing), [true, false]);
+});
+
+test('a node is its own path', () => {
+    assert.deepStrictEqual(search('b', 'b', [], true), [['b']]);
+});
@@ -0,0 +1,37 @@
+// quantities.test.js - Unit-aware value parsing, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const scripts = loadScripts(['quantities.js']);
+
+// [text, min, max, unit] per quantity
+function parse(text) {
+    return Array.from(scripts.parseQuantities(text), quantity => [quantity.text, quantity.min, quantity.max, quantity.unit]);
+}
+
+test('thousands separators are part of the number', () => {
+    assert.deepStrictEqual(parse('1,000V'), [['1,000V', 1000, 1000, 'V']]);
+    assert.deepStrictEqual(parse('12,500 kWh'), [['12,500 kWh', 12.5e6, 12.5e6, 'kWh']]);
+    assert.deepStrictEqual(parse('200-1,000 Vdc'), [['200-1,000 Vdc', 200, 1000, 'Vdc']]);
+    assert.deepStrictEqual(parse('≤1,200kg'), [['1,200kg', -Infinity, 1200, 'kg']]);
+});
+
+test('commas between values still separate them', () => {
+    assert.deepStrictEqual(parse('50,60Hz'), [['50', 50, 50, 'Hz'], ['60Hz', 60, 60, 'Hz']]);
+    assert.deepStrictEqual(parse('CCS1:80kW or 160kW, JPN:62.5kW'),
+        [['80kW', 80e3, 80e3, 'kW'], ['160kW', 160e3, 160e3, 'kW'], ['62.5kW', 62.5e3, 62.5e3, 'kW']]);
+    assert.deepStrictEqual(parse('1,000V, 250A'), [['1,000V', 1000, 1000, 'V'], ['250A', 250, 250, 'A']]);
+});
+
+test('value queries accept thousands separators', () => {
+    const compare = scripts.parseValueQuery('output_voltage >= 1,000 V');
+    assert.strictEqual(compare.parameter, 'output_voltage');
+    assert.strictEqual(compare.lower, 1000);
+    assert.strictEqual(compare.upper, Infinity);
+
+    const between = scripts.parseValueQuery('power between 1,500 and 2,000 kW');
+    assert.strictEqual(between.lower, 1500);
+    assert.strictEqual(between.upper, 2000);
+    assert.strictEqual(between.unit.symbol, 'kW');
+});
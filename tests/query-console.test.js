@@ -0,0 +1,103 @@
+// query-console.test.js - Query parsing and pattern matching, run with `node --test tests/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, runInScripts } = require('./load-scripts');
+
+const scripts = loadScripts(['type-registry.js', 'data-validation.js', 'safety.js', 'graph.js', 'quantities.js', 'query-console.js']);
+
+scripts.fixture = scripts.buildGraphData({
+    entities: [
+        { id: 'doc_1', label: 'Manual', type: 'Document' },
+        { id: 'chunk_1', label: 'Chunk 1', type: 'Chunk' },
+        { id: 'model_a', label: 'Model A', type: 'Charger_Model' },
+        { id: 'model_b', label: 'Model B', type: 'Charger_Model' },
+        { id: 'finding_1', label: 'Finding 1', type: 'Compliance_Finding', properties: { status: 'Non-Compliant', severity: 'High' } },
+        { id: 'finding_2', label: 'Finding 2', type: 'Compliance_Finding', properties: { status: 'Compliant' } }
+    ],
+    technical_specifications: [
+        { id: 'spec_a', item_name: 'Output power', spec_value: '150 kW', related_params: { max_current: '300 A' } },
+        { id: 'spec_b', item_name: 'Output power', spec_value: '50 kW', related_params: { max_current: '125 A' } }
+    ],
+    relationships: [
+        { source: 'doc_1', target: 'chunk_1', relation: 'HAS_SECTION' },
+        { source: 'chunk_1', target: 'model_a', relation: 'CONTAINS' },
+        { source: 'chunk_1', target: 'model_b', relation: 'CONTAINS' },
+        { source: 'chunk_1', target: 'finding_1', relation: 'CONTAINS_COMPLIANCE' },
+        { source: 'chunk_1', target: 'finding_2', relation: 'CONTAINS_COMPLIANCE' },
+        { source: 'model_a', target: 'spec_a', relation: 'HAS_SPECIFICATION' },
+        { source: 'model_b', target: 'spec_b', relation: 'HAS_SPECIFICATION' },
+        { source: 'model_a', target: 'finding_1', relation: 'VIOLATES' }
+    ]
+});
+runInScripts(scripts, `
+    graphData = fixture;
+    nodeById = new Map(graphData.nodes.map(node => [node.id, node]));
+    discoverTypes(graphData.nodes);
+`);
+
+// Result rows as node ids or text cells
+function run(text) {
+    const query = scripts.parseQuery(text);
+    const result = scripts.projectQueryRows(query, scripts.matchQueryPattern(query));
+    return Array.from(result.rows, row => Array.from(row, cell => cell.node ? cell.node.id : cell.text));
+}
+
+test('patterns parse into nodes, relationships and directions', () => {
+    const query = scripts.parseQuery('MATCH (c:Charger_Model)-[:HAS_SPECIFICATION]->(s) WHERE s.spec_value >= 150 kW RETURN c, s LIMIT 5');
+    const [first, second] = query.pattern.nodes;
+    assert.strictEqual(first.variable, 'c');
+    assert.deepStrictEqual([...first.types], ['Charger_Model']);
+    assert.strictEqual(second.variable, 's');
+    assert.strictEqual(second.types, null);
+    assert.strictEqual(query.pattern.rels[0].direction, 'out');
+    assert.deepStrictEqual([...query.pattern.rels[0].types], ['HAS_SPECIFICATION']);
+    assert.strictEqual(second.conditions[0].operator, '>=');
+    assert.strictEqual(second.conditions[0].value.number, 150);
+    assert.strictEqual(query.limit, 5);
+});
+
+test('bare types, "with" and case-insensitive names work as shorthand', () => {
+    assert.deepStrictEqual(run('document -> chunk -> Compliance_Finding with status Non-Compliant'),
+        [['doc_1', 'chunk_1', 'finding_1']]);
+    assert.deepStrictEqual(run('(Chunk) -[contains]-> Charger_Model'), [['chunk_1', 'model_a'], ['chunk_1', 'model_b']]);
+});
+
+test('unknown names and unsupported clauses are errors', () => {
+    assert.throws(() => scripts.parseQuery('Widget -> Chunk'), /Unknown node type "Widget"/);
+    assert.throws(() => scripts.parseQuery('Chunk -[OWNS]-> Document'), /Unknown relation "OWNS"/);
+    assert.throws(() => scripts.parseQuery('Chunk <-> Document'), /Expected ->, <- or --/);
+    assert.throws(() => scripts.parseQuery('Compliance_Finding where status = a OR status = b'), /Only AND/);
+    assert.throws(() => scripts.parseQuery('MATCH (c) RETURN d'), /Unknown variable "d"/);
+    assert.throws(() => scripts.parseQuery('Chunk LIMIT 0'), /LIMIT needs a positive number/);
+});
+
+test('direction constrains which links are followed', () => {
+    assert.deepStrictEqual(run('Specification <- Charger_Model'), [['spec_a', 'model_a'], ['spec_b', 'model_b']]);
+    assert.deepStrictEqual(run('Specification -> Charger_Model'), []);
+    assert.deepStrictEqual(run('Specification -- Charger_Model'), [['spec_a', 'model_a'], ['spec_b', 'model_b']]);
+});
+
+test('conditions compare quantities by unit and nested properties by path', () => {
+    assert.deepStrictEqual(run('Charger_Model -> Specification where spec_value >= 100 kW'), [['model_a', 'spec_a']]);
+    assert.deepStrictEqual(run('Charger_Model -> Specification where spec_value < 100000 W'), [['model_b', 'spec_b']]);
+    assert.deepStrictEqual(run('MATCH (s:Specification) WHERE s.related_params.max_current >= 250 A RETURN s, s.related_params.max_current'),
+        [['spec_a', '300 A']]);
+});
+
+test('text operators, exists and != on missing properties', () => {
+    assert.deepStrictEqual(run('MATCH (f:Compliance_Finding) WHERE f.status starts with non RETURN f'), [['finding_1']]);
+    assert.deepStrictEqual(run('MATCH (f:Compliance_Finding) WHERE f.severity RETURN f'), [['finding_1']]);
+    assert.deepStrictEqual(run("MATCH (f:Compliance_Finding) WHERE f.label =~ '2$' RETURN f"), [['finding_2']]);
+    assert.deepStrictEqual(run('MATCH (f:Compliance_Finding) WHERE f.severity != High RETURN f'), [['finding_2']]);
+});
+
+test('repeated variables bind the same node and RETURN DISTINCT drops duplicate rows', () => {
+    // chunk -> model -> finding <- chunk: only model_a violates a finding in the same chunk
+    assert.deepStrictEqual(run('MATCH (c:Chunk)-->(m:Charger_Model)-[:VIOLATES]->(f)<--(c) RETURN m, f'), [['model_a', 'finding_1']]);
+    assert.deepStrictEqual(run('MATCH (d:Document)-->(c:Chunk)-->(x) RETURN DISTINCT d, c'), [['doc_1', 'chunk_1']]);
+});
+
+test('relationship variables return the relation name', () => {
+    assert.deepStrictEqual(run('MATCH (m:Charger_Model)-[r]->(f:Compliance_Finding) RETURN m, r'), [['model_a', 'VIOLATES']]);
+    assert.throws(() => scripts.parseQuery('MATCH (m)-[r]->(f) WHERE r.weight > 1'), /Conditions on relationships/);
+});